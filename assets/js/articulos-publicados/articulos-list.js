@@ -68,6 +68,12 @@ async function loadArticlesFromFirestore() {
         }));
         console.log('📢 Evento articlesLoaded emitido');
         
+        // Enlace directo (?slug=), p. ej. desde los feeds RSS/Atom/JSON
+        const requestedSlug = new URLSearchParams(window.location.search).get('slug');
+        if (requestedSlug) {
+            loadArticleDetail(requestedSlug);
+        }
+        
     } catch (error) {
         console.error('❌ Error cargando artículos:', error);
         showError();
@@ -134,7 +140,7 @@ function createArticleCard(article) {
             
             <div class="news-card-body">
                 <h3>
-                    <a href="/articulo.html?slug=${article.slug}" onclick="loadArticleDetail('${article.slug}'); return false;">
+                    <a href="?slug=${article.slug}" onclick="loadArticleDetail('${article.slug}'); return false;">
                         ${article.title}
                     </a>
                 </h3>
@@ -142,7 +148,7 @@ function createArticleCard(article) {
             </div>
             
             <div class="news-card-footer">
-                <a href="/articulo.html?slug=${article.slug}" 
+                <a href="?slug=${article.slug}" 
                    onclick="loadArticleDetail('${article.slug}'); return false;" 
                    class="read-more-btn">
                     Leer análisis completo →
@@ -214,7 +220,8 @@ function updateStats() {
 // ============================================
 
 function loadArticleDetail(slug) {
-    const article = allArticles.find(a => a.slug === slug);
+    // Los feeds enlazan por id a los artículos sin slug
+    const article = allArticles.find(a => a.slug === slug) || allArticles.find(a => a.id === slug);
     if (!article) {
         console.error('❌ Artículo no encontrado:', slug);
         return;
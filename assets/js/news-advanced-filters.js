@@ -12,23 +12,49 @@
 // CONFIGURACIÓN DE FILTROS AVANZADOS
 // ============================================
 
-// Threat Actors conocidos y activos
-const KNOWN_THREAT_ACTORS = [
-    'Lazarus', 'APT29', 'APT28', 'APT41', 'APT38', 'FIN7', 'FIN8', 'TA505', 
-    'Carbanak', 'Sandworm', 'Turla', 'Kimsuky', 'Winnti', 'Cozy Bear', 
-    'Fancy Bear', 'Equation Group', 'DarkSide', 'REvil', 'Conti', 'LockBit',
-    'BlackCat', 'ALPHV', 'Cl0p', 'Hive', 'Vice Society', 'BlackBasta'
-];
+// Threat Actors: taxonomía compartida con el pipeline (scripts/lib/threat-actors.js)
+// Los alias de cada fabricante se resuelven al id canónico ("Fancy Bear" → apt28)
+const THREAT_ACTORS_URL = '/assets/data/threat-actors.json';
+const THREAT_ACTOR_TAXONOMY = {
+    loaded: false,
+    byId: new Map(),       // id → { id, name, aliases, motivation, suspectedOrigin, type }
+    byAlias: new Map(),    // clave normalizada → id
+    patterns: []           // [{ id, regex }]
+};
+
+// Productos: catálogo compartido con el pipeline (scripts/lib/product-catalog.js)
+// Ids vendor:product de CPE; una mención solo del fabricante es vendor:*
+const PRODUCTS_URL = '/assets/data/products.json';
+const PRODUCT_CATALOG = {
+    loaded: false,
+    families: {},          // familia → etiqueta
+    byId: new Map(),       // id → { id, vendor, name, family, aliases }
+    byAlias: new Map(),    // clave normalizada → id
+    patterns: []           // [{ id, regex }] (globales: se buscan todas las posiciones)
+};
 
-// Productos/Tecnologías críticas a monitorear
-const CRITICAL_PRODUCTS = [
-    'Windows Server', 'Exchange', 'Active Directory', 'SharePoint', 'Azure',
-    'Office 365', 'Microsoft 365', 'Fortinet', 'FortiGate', 'Cisco', 'Palo Alto',
-    'VMware', 'vSphere', 'ESXi', 'Citrix', 'VPN', 'Firewall', 'Apache', 'nginx',
-    'SAP', 'Oracle', 'PostgreSQL', 'MySQL', 'Redis', 'MongoDB', 'Kubernetes',
-    'Docker', 'Jenkins', 'GitLab', 'Linux', 'Ubuntu', 'Red Hat', 'CentOS'
+// Tácticas MITRE ATT&CK Enterprise en el orden de la matriz
+// (shortname del bundle STIX que usa el pipeline: scripts/lib/attack-mapping.js)
+const ATTACK_TACTICS = [
+    { shortname: 'reconnaissance', id: 'TA0043', label: 'Reconocimiento' },
+    { shortname: 'resource-development', id: 'TA0042', label: 'Desarrollo de recursos' },
+    { shortname: 'initial-access', id: 'TA0001', label: 'Acceso inicial' },
+    { shortname: 'execution', id: 'TA0002', label: 'Ejecución' },
+    { shortname: 'persistence', id: 'TA0003', label: 'Persistencia' },
+    { shortname: 'privilege-escalation', id: 'TA0004', label: 'Escalada de privilegios' },
+    { shortname: 'defense-evasion', id: 'TA0005', label: 'Evasión de defensas' },
+    { shortname: 'credential-access', id: 'TA0006', label: 'Acceso a credenciales' },
+    { shortname: 'discovery', id: 'TA0007', label: 'Descubrimiento' },
+    { shortname: 'lateral-movement', id: 'TA0008', label: 'Movimiento lateral' },
+    { shortname: 'collection', id: 'TA0009', label: 'Recolección' },
+    { shortname: 'command-and-control', id: 'TA0011', label: 'Comando y control' },
+    { shortname: 'exfiltration', id: 'TA0010', label: 'Exfiltración' },
+    { shortname: 'impact', id: 'TA0040', label: 'Impacto' }
 ];
 
+// Niveles de confianza de las técnicas inferidas por el pipeline
+const ATTACK_CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
 // Técnicas MITRE ATT&CK de alta prioridad
 const PRIORITY_ATTACK_TECHNIQUES = [
     'T1078', 'T1190', 'T1566', 'T1059', 'T1003', 'T1486', 'T1021',
@@ -69,6 +95,263 @@ const REGEX_CACHE = {
     patch: /\b(patch|update|fixed|patched|actualización|parche)\b/i
 };
 
+// ============================================
+// ALIAS (threat actors y productos)
+// ============================================
+
+/**
+ * Clave de comparación: minúsculas, sin acentos ni separadores ("APT-28" = "apt28")
+ */
+function aliasKey(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Regex de un alias (las mismas variantes que aliasPhrases() del pipeline):
+ * separadores opcionales entre palabras y entre letras y números
+ */
+function aliasPattern(alias) {
+    const body = alias.trim().toLowerCase()
+        .split(/[\s-]+/)
+        .map(part => part
+            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/([a-z])(\d)/g, '$1[\\s-]?$2'))
+        .join('[\\s-]?');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+// ============================================
+// TAXONOMÍA DE THREAT ACTORS
+// ============================================
+
+/**
+ * Carga la taxonomía de threat actors (una sola vez)
+ * Sin taxonomía, solo se usan los actores que ya trae cada noticia
+ */
+async function loadThreatActorTaxonomy() {
+    if (THREAT_ACTOR_TAXONOMY.loaded) return true;
+    
+    try {
+        const response = await fetch(THREAT_ACTORS_URL, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const taxonomy = await response.json();
+        (taxonomy.actors || []).forEach(actor => {
+            const names = [actor.name, ...(actor.aliases || [])];
+            THREAT_ACTOR_TAXONOMY.byId.set(actor.id, actor);
+            names.forEach(name => THREAT_ACTOR_TAXONOMY.byAlias.set(aliasKey(name), actor.id));
+            
+            // matchName: false → el nombre es una palabra común; solo alias calificados
+            const matchable = actor.matchName === false ? (actor.aliases || []) : names;
+            matchable.forEach(name => {
+                THREAT_ACTOR_TAXONOMY.patterns.push({ id: actor.id, regex: aliasPattern(name) });
+            });
+        });
+        
+        THREAT_ACTOR_TAXONOMY.loaded = true;
+        console.log(`🎭 Taxonomía de threat actors v${taxonomy.version}: ${THREAT_ACTOR_TAXONOMY.byId.size} actores`);
+        return true;
+    } catch (error) {
+        console.warn('⚠️ No se pudo cargar la taxonomía de threat actors:', error);
+        return false;
+    }
+}
+
+/**
+ * Nombre o id → { id, name } canónico
+ * Desconocidos: id por slug y el nombre tal como viene
+ */
+function resolveThreatActor(nameOrId) {
+    const known = THREAT_ACTOR_TAXONOMY.byId.get(nameOrId) ||
+        THREAT_ACTOR_TAXONOMY.byId.get(THREAT_ACTOR_TAXONOMY.byAlias.get(aliasKey(nameOrId)));
+    if (known) {
+        return { id: known.id, name: known.name };
+    }
+    
+    const name = String(nameOrId || '').trim();
+    const apt = /^apt[-\s]?(\d+)$/i.exec(name);
+    if (apt) {
+        return { id: `apt${apt[1]}`, name: `APT${apt[1]}` };
+    }
+    return {
+        id: name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+        name
+    };
+}
+
+/**
+ * Lista de nombres/ids → actores canónicos sin duplicados
+ */
+function canonicalizeThreatActors(names) {
+    const seen = new Map();
+    (names || []).forEach(name => {
+        if (!name) return;
+        const actor = resolveThreatActor(name);
+        if (actor.id && !seen.has(actor.id)) seen.set(actor.id, actor);
+    });
+    return [...seen.values()];
+}
+
+/**
+ * Ids canónicos de los actores de una noticia
+ * (documentos anteriores a la taxonomía solo tienen nombres)
+ */
+function getThreatActorIds(article) {
+    const meta = article && article.metadata;
+    if (!meta) return [];
+    if (Array.isArray(meta.threatActorIds) && meta.threatActorIds.length > 0) {
+        return meta.threatActorIds;
+    }
+    return canonicalizeThreatActors(meta.threatActors).map(actor => actor.id);
+}
+
+/**
+ * Nombre para mostrar de un actor: el de la taxonomía o, fuera de ella, el que
+ * guardó la noticia (metadata.threatActors, alineado con threatActorIds)
+ */
+function getThreatActorName(id, article) {
+    const known = THREAT_ACTOR_TAXONOMY.byId.get(id);
+    if (known) return known.name;
+    const meta = (article && article.metadata) || {};
+    const index = (meta.threatActorIds || []).indexOf(id);
+    return (index >= 0 && (meta.threatActors || [])[index]) || resolveThreatActor(id).name;
+}
+
+/**
+ * Ficha de un actor de la taxonomía (motivación, origen, alias) o null
+ */
+function getThreatActorInfo(id) {
+    return THREAT_ACTOR_TAXONOMY.byId.get(id) || null;
+}
+
+// ============================================
+// CATÁLOGO DE PRODUCTOS
+// ============================================
+
+/**
+ * Carga el catálogo de fabricantes/productos (una sola vez)
+ * Sin catálogo, solo se usan los productos que ya trae cada noticia
+ */
+async function loadProductCatalog() {
+    if (PRODUCT_CATALOG.loaded) return true;
+    
+    try {
+        const response = await fetch(PRODUCTS_URL, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const catalog = await response.json();
+        const register = (names, id) => names.forEach(name => {
+            PRODUCT_CATALOG.byAlias.set(aliasKey(name), id);
+            PRODUCT_CATALOG.patterns.push({ id, regex: new RegExp(aliasPattern(name).source, 'giu') });
+        });
+        
+        PRODUCT_CATALOG.families = catalog.families || {};
+        (catalog.vendors || []).forEach(vendor => {
+            const id = `${vendor.id}:*`;
+            PRODUCT_CATALOG.byId.set(id, { id, vendor: vendor.id, name: vendor.name, family: null, aliases: vendor.aliases || [] });
+            register([vendor.name, ...(vendor.aliases || [])], id);
+        });
+        (catalog.products || []).forEach(product => {
+            PRODUCT_CATALOG.byId.set(product.id, {
+                id: product.id,
+                vendor: product.id.split(':')[0],
+                name: product.name,
+                family: product.family || null,
+                aliases: product.aliases || []
+            });
+            register([product.name, ...(product.aliases || [])], product.id);
+        });
+        
+        PRODUCT_CATALOG.loaded = true;
+        console.log(`💻 Catálogo de productos v${catalog.version}: ${PRODUCT_CATALOG.byId.size} fabricantes/productos`);
+        return true;
+    } catch (error) {
+        console.warn('⚠️ No se pudo cargar el catálogo de productos:', error);
+        return false;
+    }
+}
+
+/**
+ * Nombre o id → { id, vendor, name, family } canónico
+ * Desconocidos: id *:slug y el nombre tal como viene
+ */
+function resolveProduct(nameOrId) {
+    const known = PRODUCT_CATALOG.byId.get(nameOrId) ||
+        PRODUCT_CATALOG.byId.get(PRODUCT_CATALOG.byAlias.get(aliasKey(nameOrId)));
+    if (known) {
+        return { id: known.id, vendor: known.vendor, name: known.name, family: known.family };
+    }
+    
+    const name = String(nameOrId || '').trim();
+    return {
+        id: `*:${name.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_.-]/g, '')}`,
+        vendor: null,
+        name,
+        family: null
+    };
+}
+
+/**
+ * Nombre para mostrar de un producto: el del catálogo o, fuera de él, el que
+ * guardó la noticia (metadata.affectedProducts, alineado con productIds)
+ */
+function getProductName(id, article) {
+    const known = PRODUCT_CATALOG.byId.get(id);
+    if (known) return known.name;
+    const meta = (article && article.metadata) || {};
+    const index = (meta.productIds || []).indexOf(id);
+    return (index >= 0 && (meta.affectedProducts || [])[index]) || resolveProduct(id).name;
+}
+
+/**
+ * Sin menciones solo del fabricante (vendor:*) si ya hay un producto suyo
+ */
+function dropVendorOnly(products) {
+    const withProduct = new Set(products.filter(p => !p.id.endsWith(':*')).map(p => p.vendor));
+    return products.filter(p => !p.id.endsWith(':*') || !withProduct.has(p.vendor));
+}
+
+/**
+ * Lista de nombres/ids → productos canónicos sin duplicados
+ */
+function canonicalizeProducts(names) {
+    const seen = new Map();
+    (names || []).forEach(name => {
+        if (!name) return;
+        const product = resolveProduct(name);
+        if (!seen.has(product.id)) seen.set(product.id, product);
+    });
+    return dropVendorOnly([...seen.values()]);
+}
+
+/**
+ * Ids vendor:product de una noticia
+ * (documentos anteriores al catálogo solo tienen nombres)
+ */
+function getProductIds(article) {
+    const meta = article && article.metadata;
+    if (!meta) return [];
+    if (Array.isArray(meta.productIds) && meta.productIds.length > 0) {
+        return meta.productIds;
+    }
+    return canonicalizeProducts(meta.affectedProducts).map(product => product.id);
+}
+
+/**
+ * Ficha de un producto del catálogo (nombre, familia, alias) o null
+ */
+function getProductInfo(id) {
+    return PRODUCT_CATALOG.byId.get(id) || null;
+}
+
 // ============================================
 // EXTRACCIÓN DE METADATA (OPTIMIZADO)
 // ============================================
@@ -101,38 +384,140 @@ function extractMitreAttack(text) {
     return matches ? [...new Set(matches.map(t => t.toUpperCase()))] : [];
 }
 
+// ============================================
+// MITRE ATT&CK (técnicas y tácticas)
+// ============================================
+
+/**
+ * Táctica por shortname o id TA ("initial-access", "TA0001")
+ * Las desconocidas conservan el texto como etiqueta
+ */
+function getTacticInfo(tactic) {
+    const key = String(tactic || '').trim().toLowerCase();
+    const index = ATTACK_TACTICS.findIndex(t => t.shortname === key || t.id.toLowerCase() === key);
+    return index >= 0
+        ? { ...ATTACK_TACTICS[index], order: index }
+        : { shortname: key, id: null, label: tactic, order: ATTACK_TACTICS.length };
+}
+
+/**
+ * Técnicas inferidas por el pipeline con confianza mínima
+ * Documentos anteriores (sin attackDetails): IDs sueltos sin táctica
+ */
+function getAttackTechniques(article, minConfidence = 'low') {
+    const meta = article && article.metadata;
+    if (!meta) return [];
+    const minLevel = ATTACK_CONFIDENCE_LEVELS.indexOf(minConfidence);
+    if (Array.isArray(meta.attackDetails) && meta.attackDetails.length > 0) {
+        return meta.attackDetails.filter(t => ATTACK_CONFIDENCE_LEVELS.indexOf(t.confidence) >= minLevel);
+    }
+    return (meta.mitreAttackTechniques || meta.attackTechniques || [])
+        .map(id => ({ id, name: null, tactics: [], confidence: 'high', sources: ['text'] }));
+}
+
+/**
+ * Tácticas de un artículo (shortnames, orden de la matriz)
+ */
+function getAttackTactics(article, minConfidence = 'low') {
+    const tactics = new Set(getAttackTechniques(article, minConfidence).flatMap(t => t.tactics || []));
+    if (tactics.size === 0 && minConfidence === 'low' && article && article.metadata) {
+        (article.metadata.attackTactics || []).forEach(t => tactics.add(t));
+    }
+    return [...tactics].sort((a, b) => getTacticInfo(a).order - getTacticInfo(b).order);
+}
+
 /**
- * Extrae threat actors mencionados (OPTIMIZADO)
+ * Agrupa artículos por táctica (un artículo aparece en cada táctica que toca)
+ * @returns {Array} - [{ tactic, id, label, articles, techniques: [{ id, name, count }] }] en orden de la matriz
+ */
+function groupByTactic(articles, minConfidence = 'low') {
+    const groups = new Map();
+    
+    articles.forEach(article => {
+        getAttackTechniques(article, minConfidence).forEach(technique => {
+            (technique.tactics || []).forEach(tactic => {
+                if (!groups.has(tactic)) {
+                    const info = getTacticInfo(tactic);
+                    groups.set(tactic, { tactic, id: info.id, label: info.label, order: info.order, articles: new Set(), techniques: new Map() });
+                }
+                const group = groups.get(tactic);
+                group.articles.add(article);
+                const entry = group.techniques.get(technique.id) || { id: technique.id, name: technique.name, count: 0 };
+                entry.count++;
+                group.techniques.set(technique.id, entry);
+            });
+        });
+    });
+    
+    return [...groups.values()]
+        .sort((a, b) => a.order - b.order)
+        .map(group => ({
+            tactic: group.tactic,
+            id: group.id,
+            label: group.label,
+            articles: [...group.articles],
+            techniques: [...group.techniques.values()].sort((a, b) => b.count - a.count)
+        }));
+}
+
+/**
+ * ¿Técnica (o su técnica padre) en la lista de prioridad?
+ */
+function isPriorityTechnique(id) {
+    return PRIORITY_ATTACK_TECHNIQUES.includes(String(id).toUpperCase().split('.')[0]);
+}
+
+/**
+ * Extrae threat actors mencionados (alias → nombre canónico)
  */
 function extractThreatActors(text) {
-    const textLower = text.toLowerCase();
-    const found = [];
+    const found = new Set();
     
-    // Optimización: hacer búsqueda de substring antes de regex
-    for (const actor of KNOWN_THREAT_ACTORS) {
-        if (textLower.includes(actor.toLowerCase())) {
-            found.push(actor);
+    for (const { id, regex } of THREAT_ACTOR_TAXONOMY.patterns) {
+        if (!found.has(id) && regex.test(text)) {
+            found.add(id);
         }
     }
     
-    return found;
+    // APTnn fuera de la taxonomía
+    (text.match(/\bapt[-\s]?\d+\b/gi) || []).forEach(apt => found.add(resolveThreatActor(apt).id));
+    
+    return [...found].map(id => resolveThreatActor(id).name);
 }
 
 /**
- * Extrae productos afectados (OPTIMIZADO)
+ * Extrae productos mencionados (alias → vendor:product)
+ * Entre alias solapados gana el más largo ("Windows Server" no suma "Windows")
  */
-function extractAffectedProducts(text) {
-    const textLower = text.toLowerCase();
-    const found = [];
-    
-    // Optimización: búsqueda de substring antes de regex
-    for (const product of CRITICAL_PRODUCTS) {
-        if (textLower.includes(product.toLowerCase())) {
-            found.push(product);
+function extractProducts(text) {
+    const candidates = [];
+    for (const { id, regex } of PRODUCT_CATALOG.patterns) {
+        regex.lastIndex = 0;
+        for (const match of text.matchAll(regex)) {
+            candidates.push({ id, start: match.index, end: match.index + match[0].length });
         }
     }
     
-    return found;
+    candidates.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+    const taken = [];
+    const found = new Map();
+    for (const candidate of candidates) {
+        if (taken.some(span => candidate.start < span.end && span.start < candidate.end)) continue;
+        taken.push(candidate);
+        if (!found.has(candidate.id)) found.set(candidate.id, candidate.start);
+    }
+    
+    const products = [...found.entries()]
+        .sort((a, b) => a[1] - b[1])
+        .map(([id]) => resolveProduct(id));
+    return dropVendorOnly(products);
+}
+
+/**
+ * Extrae productos afectados (nombres canónicos)
+ */
+function extractAffectedProducts(text) {
+    return extractProducts(text).map(product => product.name);
 }
 
 /**
@@ -223,6 +608,7 @@ function calculateRelevanceScore(article) {
     if (meta.patchAvailable) score += 10;
     if (meta.isOfficialSource) score += 10;
     if (meta.mitreAttackTechniques.length > 0) score += 10;
+    if (meta.mitreAttackTechniques.some(isPriorityTechnique)) score += 5;
     
     const totalIOCs = meta.iocs.ips.length + meta.iocs.hashes.length + meta.iocs.domains.length;
     if (totalIOCs > 0) score += 5;
@@ -245,6 +631,14 @@ function enrichArticleMetadata(article) {
     
     const fullText = `${article.title} ${article.description || ''}`;
     
+    // Actores que ya trae la noticia (pipeline: reglas + modelo)
+    const storedActors = article.metadata ? (article.metadata.threatActorIds || article.metadata.threatActors || []) : [];
+    const storedProducts = article.metadata ? (article.metadata.productIds || article.metadata.affectedProducts || []) : [];
+    
+    // Técnicas ATT&CK inferidas por el pipeline (comportamientos + bundle STIX)
+    const attackDetails = article.metadata && Array.isArray(article.metadata.attackDetails) ? article.metadata.attackDetails : [];
+    const storedTechniques = article.metadata ? (article.metadata.attackTechniques || []) : [];
+    
     // Extraer metadata (solo lo esencial primero)
     const cves = extractCVEs(fullText);
     const cvssScore = extractCVSS(fullText);
@@ -263,6 +657,18 @@ function enrichArticleMetadata(article) {
         iocs = extractIOCs(fullText);
     }
     
+    const actors = canonicalizeThreatActors([...storedActors, ...threatActors]);
+    threatActors = actors.map(actor => actor.name);
+    const threatActorIds = actors.map(actor => actor.id);
+    
+    const products = canonicalizeProducts([...storedProducts, ...affectedProducts]);
+    affectedProducts = products.map(product => product.name);
+    const productIds = products.map(product => product.id);
+    const productFamilies = [...new Set(products.map(product => product.family).filter(Boolean))];
+    
+    mitreAttackTechniques = [...new Set([...storedTechniques, ...mitreAttackTechniques])];
+    const attackTactics = getAttackTactics({ metadata: { attackDetails, attackTactics: article.metadata ? article.metadata.attackTactics : [] } });
+    
     const patchAvailable = hasPatchAvailable(fullText);
     const isOfficialSrc = isOfficialSource(article.sourceName);
     const regulatoryKeywords = extractRegulatoryKeywords(fullText);
@@ -277,8 +683,13 @@ function enrichArticleMetadata(article) {
         cves,
         cvssScore,
         mitreAttackTechniques,
+        attackDetails,
+        attackTactics,
         threatActors,
+        threatActorIds,
         affectedProducts,
+        productIds,
+        productFamilies,
         patchAvailable,
         iocs,
         isOfficialSource: isOfficialSrc,
@@ -356,6 +767,33 @@ function applyAdvancedFilters(articles, filters) {
             return false;
         }
         
+        // Filtro: Threat actor (id canónico; cualquier alias cuenta)
+        if (filters.threatActor && !getThreatActorIds(article).includes(resolveThreatActor(filters.threatActor).id)) {
+            return false;
+        }
+        
+        // Filtro: Producto (vendor:product; vendor:* = cualquier producto del fabricante)
+        if (filters.product) {
+            const wanted = resolveProduct(filters.product);
+            const ids = getProductIds(article);
+            const matches = wanted.id.endsWith(':*')
+                ? ids.some(id => id.split(':')[0] === wanted.vendor)
+                : ids.includes(wanted.id);
+            if (!matches) return false;
+        }
+        
+        // Filtro: Táctica ATT&CK (shortname o TA, con confianza mínima opcional)
+        if (filters.tactic &&
+            !getAttackTactics(article, filters.minAttackConfidence || 'low').includes(getTacticInfo(filters.tactic).shortname)) {
+            return false;
+        }
+        
+        // Filtro: Familia de producto (os, browser, network...)
+        if (filters.productFamily &&
+            !getProductIds(article).some(id => resolveProduct(id).family === filters.productFamily)) {
+            return false;
+        }
+        
         return true;
     });
 }
@@ -397,10 +835,16 @@ function calculateMetadataStats(articles) {
         official: 0,
         regulatory: 0,
         criticalSeverity: 0,
-        topProducts: []
+        topProducts: [],
+        topThreatActors: [],
+        topTactics: []
     };
     
     const productCount = {};
+    const productNames = {};
+    const actorCount = {};
+    const actorNames = {};
+    const tacticCount = {};
     
     articles.forEach(article => {
         const meta = article.metadata;
@@ -415,18 +859,38 @@ function calculateMetadataStats(articles) {
         const totalIOCs = meta.iocs.ips.length + meta.iocs.hashes.length + meta.iocs.domains.length;
         if (totalIOCs > 0) stats.withIOCs++;
         
-        // Contar productos
-        meta.affectedProducts.forEach(product => {
-            productCount[product] = (productCount[product] || 0) + 1;
+        // Contar productos por vendor:product (los alias no se cuentan aparte)
+        getProductIds(article).forEach(id => {
+            productCount[id] = (productCount[id] || 0) + 1;
+            if (!productNames[id]) productNames[id] = getProductName(id, article);
+        });
+        
+        // Contar actores por id canónico (los alias no se cuentan aparte)
+        getThreatActorIds(article).forEach(id => {
+            actorCount[id] = (actorCount[id] || 0) + 1;
+            if (!actorNames[id]) actorNames[id] = getThreatActorName(id, article);
+        });
+        
+        getAttackTactics(article).forEach(tactic => {
+            tacticCount[tactic] = (tacticCount[tactic] || 0) + 1;
         });
     });
     
     // Top 10 productos
     stats.topProducts = Object.entries(productCount)
-        .map(([product, count]) => ({ product, count }))
+        .map(([id, count]) => ({ id, product: productNames[id], count }))
         .sort((a, b) => b.count - a.count)
         .slice(0, 10);
     
+    stats.topThreatActors = Object.entries(actorCount)
+        .map(([id, count]) => ({ id, name: actorNames[id], count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 10);
+    
+    stats.topTactics = Object.entries(tacticCount)
+        .map(([tactic, count]) => ({ tactic, label: getTacticInfo(tactic).label, count }))
+        .sort((a, b) => b.count - a.count);
+    
     return stats;
 }
 
@@ -441,8 +905,25 @@ window.AdvancedFilters = {
     extractCVEs,
     extractCVSS,
     extractMitreAttack,
+    getAttackTechniques,
+    getAttackTactics,
+    getTacticInfo,
+    groupByTactic,
     extractThreatActors,
     extractAffectedProducts,
+    extractProducts,
+    loadProductCatalog,
+    resolveProduct,
+    getProductName,
+    canonicalizeProducts,
+    getProductIds,
+    getProductInfo,
+    loadThreatActorTaxonomy,
+    resolveThreatActor,
+    getThreatActorName,
+    canonicalizeThreatActors,
+    getThreatActorIds,
+    getThreatActorInfo,
     extractIOCs
 };
 
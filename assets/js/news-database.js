@@ -434,44 +434,16 @@ const NewsDB = {
     // ============================================
     
     /**
-     * Limpia noticias más antiguas que N días
+     * OBSOLETO: la retención se aplica en el servidor (scripts/archive-news.js),
+     * que archiva cada mes vencido antes de borrarlo. Borrar desde el navegador
+     * perdería noticias sin archivo, así que este método ya no elimina nada.
      * 
-     * @param {number} daysToKeep - Días a mantener (default: 90)
-     * @returns {Promise<number>} - Número de noticias eliminadas
+     * @param {number} daysToKeep - Ignorado
+     * @returns {Promise<number>} - Siempre 0
      */
     async cleanOldNews(daysToKeep = 90) {
-        if (!this.db) return 0;
-        
-        try {
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-            const cutoffTimestamp = firebase.firestore.Timestamp.fromDate(cutoffDate);
-            
-            console.log(`🗑️ Limpiando noticias anteriores a ${cutoffDate.toLocaleDateString()}...`);
-            
-            const snapshot = await this.db.collection('news')
-                .where('pubDate', '<', cutoffTimestamp)
-                .limit(500) // Procesar en lotes
-                .get();
-            
-            if (snapshot.empty) {
-                console.log('✅ No hay noticias antiguas para limpiar');
-                return 0;
-            }
-            
-            const batch = this.db.batch();
-            snapshot.forEach(doc => {
-                batch.delete(doc.ref);
-            });
-            
-            await batch.commit();
-            console.log(`✅ ${snapshot.size} noticias antiguas eliminadas`);
-            return snapshot.size;
-            
-        } catch (error) {
-            console.error('❌ Error limpiando noticias antiguas:', error);
-            return 0;
-        }
+        console.warn('⚠️ NewsDB.cleanOldNews() está obsoleto: la retención la aplica "npm run archive" en el pipeline');
+        return 0;
     },
     
     /**
@@ -537,5 +509,4 @@ console.log('   - NewsDB.getAllNews(fromDate)');
 console.log('   - NewsDB.getRecentNews(days)');
 console.log('   - NewsDB.getTodayNews()');
 console.log('   - NewsDB.getMonthNews(year, month)');
-console.log('   - NewsDB.getMonthlyStats()');
-console.log('   - NewsDB.cleanOldNews(days)');
\ No newline at end of file
+console.log('   - NewsDB.getMonthlyStats()');
\ No newline at end of file
@@ -18,9 +18,14 @@ const MONTH_NAMES = [
     'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'
 ];
 
+// Meses archivados por el pipeline (scripts/archive-news.js): ya no están en
+// Firestore, pero el índice conserva el enlace a su archivo comprimido
+const NEWS_ARCHIVE_BASE_URL = '/archive/news/';
+
 // Estado del widget
 let lastRenderedCount = 0;
 let currentFilteredNews = null;
+let archivedMonths = [];
 
 // ============================================
 // GENERAR ESTRUCTURA DE ARCHIVO POR FECHA
@@ -66,6 +71,63 @@ function generateDateArchive(articles) {
     return archive;
 }
 
+// ============================================
+// MESES ARCHIVADOS (índice del pipeline)
+// ============================================
+
+/**
+ * Carga el índice de archivos mensuales; sin índice, el widget
+ * muestra solo las noticias cargadas
+ */
+async function loadArchiveIndex() {
+    try {
+        const response = await fetch(`${NEWS_ARCHIVE_BASE_URL}index.json`, { cache: 'no-cache' });
+        if (!response.ok) return;
+        const index = await response.json();
+        archivedMonths = Array.isArray(index.months) ? index.months : [];
+        console.log(`📦 Índice de archivo: ${archivedMonths.length} mes(es) archivado(s)`);
+        
+        if (archivedMonths.length > 0 && currentFilteredNews) {
+            renderDateArchiveWidget(currentFilteredNews);
+        }
+    } catch (error) {
+        console.warn('⚠️ Índice de archivo no disponible:', error.message);
+    }
+}
+
+/**
+ * Añade al archivo por fecha los meses archivados (solo en la vista sin filtros:
+ * sus noticias no se pueden filtrar)
+ */
+function addArchivedMonths(archive) {
+    if (window.SidebarFilters && window.SidebarFilters.isActive && window.SidebarFilters.isActive()) {
+        return archive;
+    }
+    
+    archivedMonths.forEach(entry => {
+        const [year, monthNumber] = String(entry.month).split('-').map(Number);
+        const month = monthNumber - 1;
+        if (!year || month < 0 || month > 11) return;
+        
+        if (!archive[year]) {
+            archive[year] = { total: 0, months: {} };
+        }
+        
+        if (!archive[year].months[month]) {
+            archive[year].months[month] = {
+                name: MONTH_NAMES[month],
+                count: entry.count,
+                articles: []
+            };
+            archive[year].total += entry.count;
+        }
+        
+        archive[year].months[month].archived = entry;
+    });
+    
+    return archive;
+}
+
 // ============================================
 // RENDERIZAR WIDGET DE ARCHIVO CON ACORDEÓN
 // ============================================
@@ -98,7 +160,7 @@ function renderDateArchiveWidget(articles) {
     lastRenderedCount = articles.length;
     
     // Generar estructura de archivo
-    const archive = generateDateArchive(articles);
+    const archive = addArchivedMonths(generateDateArchive(articles));
     
     // Ordenar años descendentemente
     const years = Object.keys(archive).sort((a, b) => b - a);
@@ -170,6 +232,19 @@ function renderDateArchiveWidget(articles) {
             html += `<div id="${monthId}" class="month-news-list" style="display: ${isMonthOpen ? 'block' : 'none'}; padding: 0.5rem 0 0.5rem 1rem; max-height: 400px; overflow-y: auto;">`;
             html += '<ul style="list-style: none; padding: 0; margin: 0;">';
             
+            // Mes archivado: enlace al archivo comprimido
+            if (monthData.archived) {
+                html += `
+                    <li style="margin-bottom: 0.5rem;">
+                        <a href="${NEWS_ARCHIVE_BASE_URL}${monthData.archived.file}" download
+                           style="display: block; padding: 0.625rem 0.75rem; background: #fef9e7; border-radius: 6px; text-decoration: none; color: #7d6608; font-size: 0.8rem; line-height: 1.4;"
+                           title="Archivado el ${new Date(monthData.archived.archivedAt).toLocaleDateString('es-ES')}">
+                            📦 Archivo del mes (${monthData.archived.count} noticias, ${Math.max(1, Math.round(monthData.archived.bytes / 1024))} KB)
+                        </a>
+                    </li>
+                `;
+            }
+            
             // Artículos del mes
             monthData.articles
                 .sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate))
@@ -390,6 +465,8 @@ document.addEventListener('advancedFiltersApplied', function(event) {
 document.addEventListener('DOMContentLoaded', function() {
     console.log('📅 Date Widget v4.4 CORREGIDO - Búsqueda por link');
     
+    loadArchiveIndex();
+    
     if (!tryInitialize()) {
         setTimeout(tryInitialize, 500);
     }
@@ -459,6 +536,7 @@ document.head.appendChild(style);
 window.DateArchiveWidget = {
     render: renderDateArchiveWidget,
     update: updateDateWidget,
+    loadArchiveIndex,
     getCurrentFiltered: () => currentFilteredNews
 };
 
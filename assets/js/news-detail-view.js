@@ -160,16 +160,62 @@ async function getRelatedNews(currentNews, daysBack = 30) {
     }
 }
 
+/**
+ * Ids canónicos de threat actors: "Fancy Bear" y "APT28" cuentan como el mismo actor
+ */
+function threatActorIdsOf(news) {
+    if (window.AdvancedFilters) {
+        return window.AdvancedFilters.getThreatActorIds(news);
+    }
+    return news.metadata?.threatActorIds || (news.metadata?.threatActors || []).map(name => String(name).toLowerCase());
+}
+
+/**
+ * Ids vendor:product: "Exchange Server" y "Microsoft Exchange" cuentan como el mismo producto
+ */
+function productIdsOf(news) {
+    if (window.AdvancedFilters) {
+        return window.AdvancedFilters.getProductIds(news);
+    }
+    return news.metadata?.productIds || news.metadata?.affectedProducts || [];
+}
+
+/**
+ * Técnicas ATT&CK agrupadas por táctica (inferidas por el pipeline)
+ * La confianza se muestra en la clase; la evidencia, en el tooltip
+ * (la evidencia es texto de la noticia: todo pasa por sanitizeHTML)
+ */
+function renderAttackTactics(news) {
+    if (!window.AdvancedFilters) return '';
+    const techniques = window.AdvancedFilters.getAttackTechniques(news);
+    const groups = window.AdvancedFilters.getAttackTactics(news).map(tactic => ({
+        info: window.AdvancedFilters.getTacticInfo(tactic),
+        techniques: techniques.filter(t => (t.tactics || []).includes(tactic))
+    })).filter(group => group.techniques.length > 0);
+    
+    if (groups.length === 0) return '';
+    
+    return groups.map(group => `
+        <div class="detail-attack-tactic">
+            <span class="detail-attack-tactic-name">${sanitizeHTML(group.info.label)}</span>
+            ${group.techniques.map(t => `
+                <span class="detail-attack-technique confidence-${sanitizeHTML(t.confidence)}"
+                      title="${sanitizeHTML([t.name, `Confianza: ${t.confidence}`, ...(t.evidence || [])].filter(Boolean).join('\n'))}">${sanitizeHTML(t.id)}</span>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
 function calculateRelevance(current, other) {
     let score = 0;
     
     const commonCVEs = countCommonItems(current.metadata?.cves, other.metadata?.cves);
     score += commonCVEs * 10;
     
-    const commonThreatActors = countCommonItems(current.metadata?.threatActors, other.metadata?.threatActors);
+    const commonThreatActors = countCommonItems(threatActorIdsOf(current), threatActorIdsOf(other));
     score += commonThreatActors * 8;
     
-    const commonProducts = countCommonItems(current.metadata?.affectedProducts, other.metadata?.affectedProducts);
+    const commonProducts = countCommonItems(productIdsOf(current), productIdsOf(other));
     score += commonProducts * 5;
     
     if (current.sourceName === other.sourceName) {
@@ -187,8 +233,10 @@ function calculateRelevance(current, other) {
 function identifySimilarities(current, other) {
     return {
         cves: getCommonItems(current.metadata?.cves, other.metadata?.cves),
-        threatActors: getCommonItems(current.metadata?.threatActors, other.metadata?.threatActors),
-        products: getCommonItems(current.metadata?.affectedProducts, other.metadata?.affectedProducts)
+        threatActors: getCommonItems(threatActorIdsOf(current), threatActorIdsOf(other))
+            .map(id => window.AdvancedFilters ? window.AdvancedFilters.getThreatActorName(id, current) : id),
+        products: getCommonItems(productIdsOf(current), productIdsOf(other))
+            .map(id => window.AdvancedFilters ? window.AdvancedFilters.getProductName(id, current) : id)
     };
 }
 
@@ -246,6 +294,10 @@ async function renderNewsDetail(newsData) {
     // Capitalizar primera letra del día y mes
     formattedDate = formattedDate.charAt(0).toUpperCase() + formattedDate.slice(1);
     
+    // Tags CIA+NR con la explicación de cada dimensión (news-integrated.js)
+    const ciaTagsHTML = typeof window.renderCIATags === 'function' ? window.renderCIATags(newsData) : '';
+    const attackHTML = renderAttackTactics(newsData);
+    
     // HTML - TERMINA DESPUÉS DE "Leer más →"
     const detailHTML = `
         <div class="news-detail-header">
@@ -260,12 +312,16 @@ async function renderNewsDetail(newsData) {
                 <span class="detail-date"> | ${formattedDate}</span>
             </div>
             
+            ${ciaTagsHTML ? `<div class="cia-tags-container detail-cia-tags">${ciaTagsHTML}</div>` : ''}
+            
             <h1 class="detail-title">${titleEs}</h1>
             
             <div class="detail-summary">
                 ${formatSummary(summaryEs)}
             </div>
             
+            ${attackHTML ? `<div class="detail-attack">${attackHTML}</div>` : ''}
+            
             <div class="detail-actions">
                 <a href="${link}" target="_blank" rel="noopener noreferrer" class="read-more-btn">
                     Leer más →
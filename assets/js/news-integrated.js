@@ -2,6 +2,7 @@
  * News Loader OPTIMIZADO v3.1 - CON TÍTULOS Y RESÚMENES EN ESPAÑOL
  * 
  * NUEVAS CARACTERÍSTICAS:
+ * ✅ Snapshots JSON estáticos del pipeline (cacheables por CDN), Firestore como respaldo
  * ✅ Integración con Firebase Firestore para caché persistente
  * ✅ Carga instantánea desde base de datos
  * ✅ Actualización automática en background
@@ -32,6 +33,9 @@ const PERFORMANCE_CONFIG = {
     CACHE_DURATION: 5 * 60 * 1000, // 5 minutos
     CACHE_KEY: 'herliss_news_cache',
     
+    // Registro de fuentes compartido con el pipeline
+    SOURCES_URL: '/assets/data/news-sources.json',
+    
     // Carga - VALORES OPTIMIZADOS
     BATCH_SIZE: 4, // Cargar 4 fuentes en paralelo
     ARTICLES_PER_SOURCE_FIRST_LOAD: 15,
@@ -47,121 +51,102 @@ const PERFORMANCE_CONFIG = {
         'https://thingproxy.freeboard.io/fetch/'
     ],
     
+    // Snapshots estáticos del pipeline (scripts/lib/news-snapshots.js)
+    SNAPSHOTS_URL: '/assets/data/news/',
+    SNAPSHOT_TIMEOUT: 10000,
+    
+    // Historial mostrado: desde Diciembre 2025 (snapshots y Firestore)
+    NEWS_FROM_DATE: '2025-12-01T00:00:00Z',
+    
     // Firestore
     FIRESTORE_RECENT_DAYS: 7, // Días a mantener en caché rápido
     BACKGROUND_UPDATE_DELAY: 3000 // 3 segundos después de cargar desde Firestore
 };
 
-const NEWS_SOURCES = {
-    thehackernews: {
-        name: 'The Hacker News',
-        rss: 'https://feeds.feedburner.com/TheHackersNews',
-        color: '#e74c3c',
-        category: 'general',
-        priority: 1
-    },
-    bleepingcomputer: {
-        name: 'BleepingComputer',
-        rss: 'https://www.bleepingcomputer.com/feed/',
-        color: '#2ecc71',
-        category: 'general',
-        priority: 1
-    },
-    microsoft: {
-        name: 'Microsoft Security',
-        rss: 'https://www.microsoft.com/security/blog/feed/',
-        color: '#00a4ef',
-        category: 'corporate',
-        priority: 1
-    },
-    securityweek: {
-        name: 'SecurityWeek',
-        rss: 'https://www.securityweek.com/rss/',
-        color: '#e67e22',
-        category: 'general',
-        priority: 2
-    },
-    darkreading: {
-        name: 'Dark Reading',
-        rss: 'https://www.darkreading.com/rss.xml',
-        color: '#9b59b6',
-        category: 'general',
-        priority: 2
-    },
-    krebs: {
-        name: 'Krebs on Security',
-        rss: 'https://krebsonsecurity.com/feed/',
-        color: '#3498db',
-        category: 'general',
-        priority: 2
-    },
-    googlecloud: {
-        name: 'Google Cloud Security',
-        rss: 'https://cloud.google.com/blog/topics/security/rss/',
-        color: '#4285f4',
-        category: 'corporate',
-        priority: 2
-    },
-    cisco: {
-        name: 'Cisco Security',
-        rss: 'https://blogs.cisco.com/security/feed',
-        color: '#049fd9',
-        category: 'corporate',
-        priority: 2
-    },
-    paloalto: {
-        name: 'Palo Alto Unit42',
-        rss: 'https://unit42.paloaltonetworks.com/feed/',
-        color: '#fa582d',
-        category: 'corporate',
-        priority: 2
-    },
-    talos: {
-        name: 'Talos Intelligence',
-        rss: 'https://blog.talosintelligence.com/feeds/posts/default',
-        color: '#16a085',
-        category: 'intelligence',
-        priority: 2
-    },
-    scmagazine: {
-        name: 'SC Magazine',
-        rss: 'https://www.scmagazine.com/home/feed/',
-        color: '#1abc9c',
-        category: 'general',
-        priority: 3
-    },
-    cybernews: {
-        name: 'Cybernews',
-        rss: 'https://cybernews.com/feed/',
-        color: '#34495e',
-        category: 'general',
-        priority: 3
-    },
-    virustotal: {
-        name: 'VirusTotal Blog',
-        rss: 'https://blog.virustotal.com/feeds/posts/default',
-        color: '#27ae60',
-        category: 'intelligence',
-        priority: 3
-    },
-    crowdstrike: {
-        name: 'CrowdStrike Blog',
-        rss: 'https://www.crowdstrike.com/blog/feed/',
-        color: '#e01f3d',
-        category: 'corporate',
-        priority: 3
-    },
-    mandiant: {
-        name: 'Mandiant',
-        rss: 'https://www.mandiant.com/resources/rss',
-        color: '#ff6600',
-        category: 'corporate',
-        priority: 3
+// Fuentes: se cargan desde el registro compartido con el pipeline
+// (assets/data/news-sources.json). Solo las habilitadas.
+let NEWS_SOURCES = {};
+let SOURCE_CATEGORIES = {};
+
+// ============================================
+// REGISTRO DE FUENTES
+// ============================================
+
+/**
+ * Carga el registro de fuentes y construye NEWS_SOURCES
+ * Mantiene la forma anterior: { key: { name, rss, color, category, priority } }
+ */
+async function loadSourceRegistry() {
+    try {
+        const response = await fetch(PERFORMANCE_CONFIG.SOURCES_URL, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const registry = await response.json();
+        const defaults = registry.defaults || {};
+        
+        SOURCE_CATEGORIES = registry.categories || {};
+        NEWS_SOURCES = {};
+        
+        (registry.sources || []).forEach(entry => {
+            const source = { ...defaults, ...entry };
+            if (source.enabled === false) return;
+            
+            NEWS_SOURCES[source.id] = {
+                name: source.name,
+                rss: source.rss,
+                color: source.color,
+                category: source.category,
+                language: source.language,
+                priority: Number(source.trust) || 2
+            };
+        });
+        
+        console.log(`📚 Registro de fuentes v${registry.version}: ${Object.keys(NEWS_SOURCES).length} fuentes habilitadas`);
+    } catch (error) {
+        console.warn('⚠️ No se pudo cargar el registro de fuentes:', error);
+    }
+}
+
+/**
+ * Busca la fuente de un artículo en el registro (por ID o por nombre)
+ */
+function getSourceInfo(article) {
+    if (article.sourceId && NEWS_SOURCES[article.sourceId]) {
+        return NEWS_SOURCES[article.sourceId];
     }
-};
+    return Object.values(NEWS_SOURCES).find(source => source.name === article.sourceName) || null;
+}
 
-// Verificar que tenemos 15 fuentes
-console.log(`📊 Total de fuentes configuradas: ${Object.keys(NEWS_SOURCES).length}`);
+/**
+ * Genera los botones de filtro por categoría a partir del registro
+ * Solo categorías que tienen al menos una fuente habilitada
+ */
+function renderCategoryFilters() {
+    const container = document.getElementById('category-filters');
+    if (!container) return;
+    
+    const buttonsContainer = container.querySelector('.filter-buttons');
+    const usedCategories = new Set(Object.values(NEWS_SOURCES).map(source => source.category));
+    
+    const categories = Object.entries(SOURCE_CATEGORIES)
+        .filter(([key]) => usedCategories.has(key))
+        .sort((a, b) => (a[1].order || 99) - (b[1].order || 99));
+    
+    if (categories.length === 0) return;
+    
+    buttonsContainer.innerHTML = `
+        <button class="filter-btn active" data-filter="category" data-category="all">Todas</button>
+        ${categories.map(([key, category]) => `
+            <button class="filter-btn" data-filter="category" data-category="${sanitizeHTML(key)}">
+                ${sanitizeHTML(category.label || key)}
+            </button>
+        `).join('')}
+    `;
+    
+    container.style.display = '';
+}
 
 // ============================================
 // GESTIÓN DE CACHÉ LOCALSTORAGE
@@ -373,7 +358,7 @@ function updateProgressBar(loaded, total, successful) {
     
     loadingElement.innerHTML = `
         <div class="spinner"></div>
-        <p>Cargando noticias de 15 fuentes de ciberseguridad...</p>
+        <p>Cargando noticias de ${total} fuentes de ciberseguridad...</p>
         <div class="progress-bar-container">
             <div class="progress-bar" style="width: ${percentage}%"></div>
         </div>
@@ -391,27 +376,109 @@ function hideProgressBar() {
 }
 
 // ============================================
-// CARGA HÍBRIDA: FIRESTORE + RSS
+// SNAPSHOTS ESTÁTICOS (JSON del pipeline)
+// ============================================
+
+/**
+ * Descarga un archivo de snapshots. El manifest va sin caché; los demás
+ * llevan ?v=<hash> y el CDN puede servirlos desde caché
+ */
+async function fetchSnapshotFile(file, hash = null) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), PERFORMANCE_CONFIG.SNAPSHOT_TIMEOUT);
+    
+    try {
+        const url = `${PERFORMANCE_CONFIG.SNAPSHOTS_URL}${file}${hash ? `?v=${hash}` : ''}`;
+        const response = await fetch(url, {
+            cache: hash ? 'default' : 'no-cache',
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return await response.json();
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Carga las noticias desde los snapshots: latest.json se pinta de inmediato
+ * y después los meses desde fromDate
+ * 
+ * @returns {Promise<Object>} - { news, complete } (complete = false si faltó algún mes)
+ */
+async function loadNewsFromSnapshots(fromDate) {
+    let manifest;
+    try {
+        manifest = await fetchSnapshotFile('manifest.json');
+    } catch (error) {
+        console.warn(`⚠️ Snapshots no disponibles (${error.message})`);
+        return { news: [], complete: false };
+    }
+    
+    // Primera pantalla con las más recientes
+    if (manifest.latest) {
+        try {
+            const latest = await fetchSnapshotFile(manifest.latest.file, manifest.latest.hash);
+            if (latest.news && latest.news.length > 0) {
+                processAndRenderNews(latest.news);
+                hideProgressBar();
+            }
+        } catch (error) {
+            console.warn(`⚠️ ${manifest.latest.file}: ${error.message}`);
+        }
+    }
+    
+    const fromMonth = fromDate.toISOString().substring(0, 7);
+    const months = (manifest.months || []).filter(entry => entry.month >= fromMonth);
+    const results = await Promise.allSettled(
+        months.map(entry => fetchSnapshotFile(entry.file, entry.hash))
+    );
+    
+    const news = [];
+    let complete = true;
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+            news.push(...(result.value.news || []).filter(article => new Date(article.pubDate) >= fromDate));
+        } else {
+            complete = false;
+            console.warn(`⚠️ ${months[index].file}: ${result.reason.message}`);
+        }
+    });
+    
+    console.log(`🗂️ Snapshots: ${news.length} noticias de ${months.length} mes(es)${complete ? '' : ' (incompleto)'}`);
+    return { news, complete };
+}
+
+// ============================================
+// CARGA: SNAPSHOTS ESTÁTICOS + FIRESTORE
 // ============================================
 
 /**
- * Punto de entrada principal - Carga híbrida
- * 1. Intenta cargar desde Firestore (instantáneo)
- * 2. Si no hay datos, carga desde RSS
- * 3. Actualiza Firestore en background
+ * Punto de entrada principal
+ * 1. Snapshots JSON estáticos (sin Firestore, cacheables por CDN)
+ * 2. Firestore si faltan los snapshots o alguno de sus meses
+ * 3. Si Firestore falla, lo que se haya cargado de los snapshots
  */
 async function loadAllNewsProgressive() {
-    console.log('🚀 Cargando noticias desde Firestore...');
-    console.log(`⚙️ Firestore: ${window.NewsDB ? 'Disponible' : 'No disponible'}`);
+    const fromDate = new Date(PERFORMANCE_CONFIG.NEWS_FROM_DATE);
+    console.log('🚀 Cargando noticias desde los snapshots estáticos...');
     console.log(`ℹ️  Las noticias se actualizan automáticamente cada hora vía GitHub Actions`);
     
-    // Cargar SOLO desde Firestore
+    const snapshot = await loadNewsFromSnapshots(fromDate);
+    if (snapshot.complete && snapshot.news.length > 0) {
+        processAndRenderNews(snapshot.news);
+        hideProgressBar();
+        showCacheBadge(snapshot.news);
+        return;
+    }
+    
+    console.log(`⚙️ Firestore: ${window.NewsDB ? 'Disponible' : 'No disponible'}`);
+    
+    // Respaldo: Firestore
     if (window.NewsDB) {
         try {
-            // ============================================
-            // FILTRO: Mostrar noticias desde Diciembre 2025
-            // ============================================
-            const fromDate = new Date('2025-12-01T00:00:00Z'); // 1 de Diciembre 2025, 00:00 UTC
             console.log('🔍 Consultando noticias desde Diciembre 2025...');
             const recentNews = await NewsDB.getAllNews(fromDate);
             
@@ -424,30 +491,38 @@ async function loadAllNewsProgressive() {
                 showCacheBadge(recentNews);
                 
                 return;
-            } else {
+            } else if (snapshot.news.length === 0) {
                 console.warn('⚠️ Firestore vacío. Las noticias se actualizarán en la próxima ejecución de GitHub Actions.');
                 hideProgressBar();
                 showInfo('Las noticias se están actualizando. Por favor, recarga la página en unos minutos.');
+                return;
             }
         } catch (error) {
             console.error('❌ Error consultando Firestore:', error);
-            hideProgressBar();
-            showError();
         }
     } else {
         console.error('❌ NewsDB no disponible - Firebase no está configurado correctamente');
+    }
+    
+    // Sin Firestore: los meses de snapshots que sí cargaron
+    if (snapshot.news.length > 0) {
+        console.warn(`⚠️ Mostrando ${snapshot.news.length} noticias de snapshots incompletos`);
+        processAndRenderNews(snapshot.news);
+        hideProgressBar();
+        showCacheBadge(snapshot.news);
+    } else {
         hideProgressBar();
         showError();
     }
 }
 
 /**
- * Carga noticias frescas desde las 15 fuentes RSS
+ * Carga noticias frescas desde las fuentes RSS del registro
  * @param {boolean} backgroundMode - Si es true, actualiza silenciosamente
  */
 async function loadFreshNewsFromRSS(backgroundMode = false) {
     if (!backgroundMode) {
-        console.log('📡 Cargando noticias desde 15 fuentes RSS...');
+        console.log(`📡 Cargando noticias desde ${Object.keys(NEWS_SOURCES).length} fuentes RSS...`);
     }
     
     // Verificar caché localStorage si no es modo background
@@ -495,6 +570,7 @@ async function loadFreshNewsFromRSS(backgroundMode = false) {
                         articles: items.map(item => ({
                             ...item,
                             source: source.key,
+                            sourceId: source.key,
                             sourceName: source.name,
                             sourceColor: source.color,
                             sourceCategory: source.category
@@ -656,22 +732,64 @@ function showCacheBadge(articles) {
     }, 5000);
 }
 
+/**
+ * Una tarjeta por historia: agrupa por clusterId (asignado por el pipeline),
+ * conserva el artículo principal y adjunta las demás fuentes en relatedCoverage
+ */
+function collapseClusters(articles) {
+    const clusters = new Map();
+    const result = [];
+    
+    articles.forEach(article => {
+        if (!article.clusterId) {
+            result.push(article);
+            return;
+        }
+        if (!clusters.has(article.clusterId)) {
+            clusters.set(article.clusterId, []);
+        }
+        clusters.get(article.clusterId).push(article);
+    });
+    
+    clusters.forEach(members => {
+        const primary = members.find(member => member.clusterPrimary) || members[0];
+        result.push({
+            ...primary,
+            relatedCoverage: members
+                .filter(member => member !== primary)
+                .map(member => ({
+                    title: member.title,
+                    link: member.link,
+                    sourceId: member.sourceId,
+                    sourceName: member.sourceName,
+                    sourceColor: member.sourceColor
+                }))
+        });
+    });
+    
+    return result;
+}
+
 function processAndRenderNews(articles) {
     // Enriquecer con metadata si está disponible
     if (window.AdvancedFilters && typeof window.AdvancedFilters.enrichArticleMetadata === 'function') {
         articles = articles.map(article => window.AdvancedFilters.enrichArticleMetadata(article));
     }
     
+    // Una tarjeta por historia (las otras fuentes van en "También cubierta por")
+    const stories = collapseClusters(articles);
+    
     // Ordenar por fecha
     articles.sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate));
+    stories.sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate));
     
     // Guardar globalmente
-    window.newsData = articles;
-    window.unfilteredNewsData = [...articles];
+    window.newsData = stories;
+    window.unfilteredNewsData = [...stories];
     
     // Renderizar SOLO LAS 5 MÁS RECIENTES
-    const recentArticles = articles.slice(0, 5);
-    console.log(`📰 Mostrando las 5 noticias más recientes de ${articles.length} totales`);
+    const recentArticles = stories.slice(0, 5);
+    console.log(`📰 Mostrando las 5 noticias más recientes de ${stories.length} historias (${articles.length} artículos)`);
     renderNews(recentArticles);
     
     // Emitir evento con TODAS las noticias (para widgets)
@@ -738,6 +856,45 @@ function sanitizeHTML(text) {
     return String(text).replace(/[&<>"'\/]/g, (s) => map[s]);
 }
 
+// Dimensiones CIA+NR: clave en metadata → tipo de tag, abreviatura y nombre
+const CIA_DIMENSIONS = [
+    { key: 'confidentiality', type: 'confidentiality', short: 'C', label: 'Confidencialidad' },
+    { key: 'integrity', type: 'integrity', short: 'I', label: 'Integridad' },
+    { key: 'availability', type: 'availability', short: 'A', label: 'Disponibilidad' },
+    { key: 'nonRepudiation', type: 'non-repudiation', short: 'NR', label: 'No repudio' }
+];
+
+const CIA_EVIDENCE_LABELS = {
+    keyword: 'Palabras clave',
+    cvss: 'CVSS',
+    exploitation: 'Explotación'
+};
+
+const EXPLOITATION_LABELS = {
+    actively_exploited: 'explotación activa',
+    poc_available: 'PoC público'
+};
+
+/**
+ * Texto del tooltip de una dimensión: score y evidencia que lo produjo
+ */
+function buildCIAExplanation(dimension, score, evidence, legacy) {
+    const lines = [`${dimension.label}: ${score}/10`];
+    
+    if (legacy) {
+        lines.push('(solo palabras clave, escala anterior reescalada)');
+    }
+    
+    (evidence || []).forEach(entry => {
+        const detail = entry.source === 'exploitation'
+            ? (EXPLOITATION_LABELS[entry.detail] || entry.detail)
+            : entry.detail;
+        lines.push(`• ${CIA_EVIDENCE_LABELS[entry.source] || entry.source}: ${detail} (+${entry.points})`);
+    });
+    
+    return lines.join('\n');
+}
+
 function classifyNewsByCIANR(article) {
     const tags = [];
     
@@ -747,6 +904,12 @@ function classifyNewsByCIANR(article) {
     }
     
     const cia = article.metadata.ciaScore;
+    const evidence = article.metadata.ciaEvidence || {};
+    
+    // Documentos anteriores al modelo 0-10 (sin versión): escala 0-3 solo de keywords,
+    // equivalente a los puntos de keyword del modelo actual (3 → 6, 2 → 4, 1 → 2)
+    const legacy = !article.metadata.ciaModelVersion;
+    const toScale = (score) => legacy ? (score || 0) * 2 : (score || 0);
     
     // Función helper para obtener clase de color según score
     const getScoreClass = (score) => {
@@ -767,49 +930,35 @@ function classifyNewsByCIANR(article) {
     };
     
     // Agregar tag solo si score > 0
-    if (cia.confidentiality > 0) {
-        tags.push({
-            type: 'confidentiality',
-            label: `C: ${cia.confidentiality}`,
-            icon: getScoreEmoji(cia.confidentiality),
-            scoreClass: getScoreClass(cia.confidentiality),
-            score: cia.confidentiality
-        });
-    }
-    
-    if (cia.integrity > 0) {
-        tags.push({
-            type: 'integrity',
-            label: `I: ${cia.integrity}`,
-            icon: getScoreEmoji(cia.integrity),
-            scoreClass: getScoreClass(cia.integrity),
-            score: cia.integrity
-        });
-    }
-    
-    if (cia.availability > 0) {
-        tags.push({
-            type: 'availability',
-            label: `A: ${cia.availability}`,
-            icon: getScoreEmoji(cia.availability),
-            scoreClass: getScoreClass(cia.availability),
-            score: cia.availability
-        });
-    }
-    
-    if (cia.nonRepudiation > 0) {
-        tags.push({
-            type: 'non-repudiation',
-            label: `NR: ${cia.nonRepudiation}`,
-            icon: getScoreEmoji(cia.nonRepudiation),
-            scoreClass: getScoreClass(cia.nonRepudiation),
-            score: cia.nonRepudiation
-        });
-    }
+    CIA_DIMENSIONS.forEach(dimension => {
+        const score = toScale(cia[dimension.key]);
+        if (score > 0) {
+            tags.push({
+                type: dimension.type,
+                label: `${dimension.short}: ${score}`,
+                icon: getScoreEmoji(score),
+                scoreClass: getScoreClass(score),
+                score,
+                explanation: buildCIAExplanation(dimension, score, evidence[dimension.key], legacy)
+            });
+        }
+    });
     
     return tags;
 }
 
+/**
+ * HTML de los tags CIA+NR (tarjetas y vista de detalle)
+ * El tooltip explica la evidencia de cada dimensión
+ */
+function renderCIATags(article) {
+    return classifyNewsByCIANR(article).map(tag => `
+        <span class="cia-tag cia-${tag.type} cia-score-${tag.scoreClass}" title="${sanitizeHTML(tag.explanation)}" tabindex="0">
+            ${tag.icon} ${tag.label}
+        </span>
+    `).join('');
+}
+
 function groupArticlesByDate(articles) {
     const now = new Date();
     const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
@@ -910,6 +1059,8 @@ function createNewsCard(article) {
     // ✅ MODIFICACIÓN: Usar titleEs y summaryEs (español)
     const titleEs = article.titleEs || article.title || 'Sin título';
     const summaryEs = article.summaryEs || article.summary || article.description || '';
+    // Idioma del texto mostrado: traducido al español o el detectado por el pipeline
+    const textLang = article.titleEs ? 'es' : (article.language || '');
     
     // Limpiar HTML y truncar a 150 caracteres (2-3 líneas)
     const cleanSummary = stripHTML(summaryEs);
@@ -929,19 +1080,38 @@ function createNewsCard(article) {
     formattedDate = formattedDate.charAt(0).toUpperCase() + formattedDate.slice(1);
     
     const thumbnail = article.thumbnail || '';
-    const ciaTags = classifyNewsByCIANR(article);
     
-    const ciaTagsHTML = ciaTags.map(tag => `
-        <span class="cia-tag cia-${tag.type} cia-score-${tag.scoreClass}" title="${tag.label} (${tag.scoreClass})">
-            ${tag.icon} ${tag.label}
-        </span>
-    `).join('');
+    // Etiqueta y color desde el registro de fuentes (fallback: datos guardados)
+    const sourceInfo = getSourceInfo(article);
+    const sourceLabel = sourceInfo ? sourceInfo.name : article.sourceName;
+    const sourceColor = sourceInfo ? sourceInfo.color : article.sourceColor;
+    
+    const ciaTagsHTML = renderCIATags(article);
+    
+    // Otras fuentes que cubren la misma historia
+    const related = article.relatedCoverage || [];
+    const coverageHTML = related.length > 0 ? `
+        <details class="news-coverage">
+            <summary>También cubierta por ${related.length} ${related.length === 1 ? 'fuente' : 'fuentes'}</summary>
+            <ul>
+                ${related.map(item => {
+                    const info = getSourceInfo(item);
+                    return `
+                    <li>
+                        <a href="${sanitizeHTML(item.link)}" target="_blank" rel="noopener noreferrer" title="${sanitizeHTML(item.title || '')}">
+                            ${sanitizeHTML(info ? info.name : (item.sourceName || ''))}
+                        </a>
+                    </li>`;
+                }).join('')}
+            </ul>
+        </details>
+    ` : '';
     
     card.innerHTML = `
         <div class="news-card-header">
             <div class="header-left">
-                <span class="news-source-text">
-                    ${sanitizeHTML(article.sourceName)}
+                <span class="news-source-text"${sourceColor ? ` style="color: ${sanitizeHTML(sourceColor)}"` : ''}>
+                    ${sanitizeHTML(sourceLabel || '')}
                 </span>
                 <time datetime="${article.pubDate}" class="news-date">
                     | ${formattedDate}
@@ -961,7 +1131,7 @@ function createNewsCard(article) {
             </div>
         ` : ''}
         
-        <div class="news-card-body">
+        <div class="news-card-body"${textLang ? ` lang="${sanitizeHTML(textLang)}"` : ''}>
             <h3>
                 <a href="javascript:void(0)" 
                    onclick="window.NewsDetailView.show('${sanitizeHTML(article.link)}')">
@@ -969,6 +1139,7 @@ function createNewsCard(article) {
                 </a>
             </h3>
             <p>${sanitizeHTML(truncatedDesc)}</p>
+            ${coverageHTML}
         </div>
         
         <div class="news-card-footer">
@@ -1011,11 +1182,18 @@ function filterNewsByCategory(category) {
 // ============================================
 // INICIALIZACIÓN
 // ============================================
-document.addEventListener('DOMContentLoaded', function() {
-    console.log('✅ News Loader OPTIMIZADO v2.2 - 15 FUENTES inicializado');
+document.addEventListener('DOMContentLoaded', async function() {
+    await Promise.all([
+        loadSourceRegistry(),
+        window.AdvancedFilters ? window.AdvancedFilters.loadThreatActorTaxonomy() : null,
+        window.AdvancedFilters ? window.AdvancedFilters.loadProductCatalog() : null
+    ]);
+    
+    console.log('✅ News Loader OPTIMIZADO v2.2 inicializado');
     console.log(`📰 ${Object.keys(NEWS_SOURCES).length} fuentes configuradas`);
     console.log(`⚡ Timeout: ${PERFORMANCE_CONFIG.REQUEST_TIMEOUT / 1000}s | Reintentos: ${PERFORMANCE_CONFIG.MAX_RETRIES}`);
     
+    renderCategoryFilters();
     loadAllNewsProgressive();
     initFilters();
 });
@@ -1024,5 +1202,6 @@ document.addEventListener('DOMContentLoaded', function() {
 window.loadAllNews = loadAllNewsProgressive;
 window.clearNewsCache = clearCache;
 window.renderNews = renderNews;
+window.renderCIATags = renderCIATags;
 
-console.log('🚀 News Loader OPTIMIZADO v2.2 - 15 FUENTES cargado');
\ No newline at end of file
+console.log('🚀 News Loader OPTIMIZADO v2.2 cargado');
\ No newline at end of file
@@ -45,13 +45,13 @@ function attachClickListeners() {
     const productItems = topProductsList.querySelectorAll('li');
     
     productItems.forEach(item => {
-        // Extraer el nombre del producto del HTML existente
-        const productName = extractProductName(item);
-        if (!productName) return;
+        // Id vendor:product del widget; si no está, el nombre del HTML
+        const productId = item.getAttribute('data-product-id') || extractProductName(item);
+        if (!productId) return;
         
         // Hacer el item clickeable
         item.style.cursor = 'pointer';
-        item.setAttribute('data-product', productName);
+        item.setAttribute('data-product', productId);
         
         // Agregar event listener
         item.addEventListener('click', function() {
@@ -93,25 +93,37 @@ function extractProductName(listItem) {
 // ============================================
 
 /**
- * Filtra las noticias por producto
+ * Ids vendor:product de una noticia (con el catálogo si está cargado)
  */
-function filterNewsByProduct(productName) {
+function getArticleProductIds(article) {
+    if (window.AdvancedFilters) {
+        return window.AdvancedFilters.getProductIds(article);
+    }
+    return (article.metadata && (article.metadata.productIds || article.metadata.affectedProducts)) || [];
+}
+
+/**
+ * Filtra las noticias por producto (id vendor:product o nombre)
+ */
+function filterNewsByProduct(productId) {
     if (!window.newsData || !window.unfilteredNewsData) {
         console.warn('⚠️ Datos de noticias no disponibles');
         return;
     }
     
-    console.log(`🔍 Filtrando por: ${productName}`);
+    // Cualquier alias del producto lleva al mismo id
+    const product = window.AdvancedFilters
+        ? window.AdvancedFilters.resolveProduct(productId)
+        : { id: productId, name: productId };
+    
+    console.log(`🔍 Filtrando por: ${product.name} (${product.id})`);
     
-    currentProductFilter = productName;
+    currentProductFilter = productId;
     
     // Filtrar noticias
-    const filteredNews = window.unfilteredNewsData.filter(article => {
-        if (article.metadata && article.metadata.affectedProducts) {
-            return article.metadata.affectedProducts.includes(productName);
-        }
-        return false;
-    });
+    const filteredNews = window.AdvancedFilters
+        ? window.AdvancedFilters.applyAdvancedFilters(window.unfilteredNewsData, { product: product.id })
+        : window.unfilteredNewsData.filter(article => getArticleProductIds(article).includes(product.id));
     
     console.log(`📰 ${filteredNews.length} noticias encontradas`);
     
@@ -121,7 +133,7 @@ function filterNewsByProduct(productName) {
     }
     
     // Mostrar indicador simple
-    showFilterBanner(productName, filteredNews.length);
+    showFilterBanner(product.name, filteredNews.length);
 }
 
 /**
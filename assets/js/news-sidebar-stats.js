@@ -16,7 +16,8 @@
 
 /**
  * Extrae productos afectados directamente de los artículos
- * No depende de AdvancedFilters para mayor robustez
+ * Cuenta por id vendor:product ("Exchange Server" y "Microsoft Exchange" suman juntos);
+ * documentos sin productIds se resuelven con el catálogo si AdvancedFilters está disponible
  */
 function extractProductsFromArticles(articles) {
     const productCounts = {};
@@ -32,23 +33,38 @@ function extractProductsFromArticles(articles) {
             return; // Saltar este artículo
         }
         
-        // Verificar que metadata.affectedProducts existe y es un array
-        if (!article.metadata.affectedProducts || 
-            !Array.isArray(article.metadata.affectedProducts)) {
+        let products;
+        if (Array.isArray(article.metadata.productIds) && article.metadata.productIds.length > 0) {
+            // Fuera del catálogo, el nombre guardado (no el slug del id)
+            products = article.metadata.productIds.map((id, index) => ({
+                id,
+                name: window.AdvancedFilters
+                    ? window.AdvancedFilters.getProductName(id, article)
+                    : (article.metadata.affectedProducts || [])[index] || id
+            }));
+        } else if (Array.isArray(article.metadata.affectedProducts)) {
+            products = article.metadata.affectedProducts
+                .filter(product => product && typeof product === 'string')
+                .map(product => (
+                    window.AdvancedFilters
+                        ? window.AdvancedFilters.resolveProduct(product)
+                        : { id: product.toLowerCase(), name: product }
+                ));
+        } else {
             return; // Saltar este artículo
         }
         
         // Procesar productos
-        article.metadata.affectedProducts.forEach(product => {
-            if (product && typeof product === 'string') {
-                productCounts[product] = (productCounts[product] || 0) + 1;
+        products.forEach(product => {
+            if (!productCounts[product.id]) {
+                productCounts[product.id] = { id: product.id, product: product.name, count: 0 };
             }
+            productCounts[product.id].count++;
         });
     });
     
     // Convertir a array y ordenar
-    const topProducts = Object.entries(productCounts)
-        .map(([product, count]) => ({ product, count }))
+    const topProducts = Object.values(productCounts)
         .sort((a, b) => b.count - a.count)
         .slice(0, 10); // Top 10
     
@@ -107,8 +123,8 @@ function updateTopProductsWidget() {
             else colorClass = 'style="color: #666;"'; // Gris - Bajo
             
             return `
-                <li ${colorClass}>
-                    ${emoji} <strong>${item.product}</strong> 
+                <li ${colorClass} data-product-id="${sanitizeHTML(item.id)}">
+                    ${emoji} <strong>${sanitizeHTML(item.product)}</strong> 
                     <span style="float: right; background: #f0f0f0; padding: 2px 8px; border-radius: 10px; font-size: 0.85em;">
                         ${item.count} ${item.count === 1 ? 'noticia' : 'noticias'}
                     </span>
@@ -130,6 +146,199 @@ function updateTopProductsWidget() {
     }
 }
 
+// ============================================
+// TOP THREAT ACTORS
+// ============================================
+
+/**
+ * Cuenta threat actors por id canónico ("Fancy Bear" y "APT28" suman juntos)
+ * Documentos sin threatActorIds: se resuelven los nombres con la taxonomía
+ * si AdvancedFilters está disponible
+ */
+function extractThreatActorsFromArticles(articles) {
+    const actorCounts = {};
+    
+    if (!articles || !Array.isArray(articles)) {
+        return [];
+    }
+    
+    articles.forEach(article => {
+        if (!article.metadata) return;
+        
+        let actors;
+        if (Array.isArray(article.metadata.threatActorIds) && article.metadata.threatActorIds.length > 0) {
+            // Fuera de la taxonomía, el nombre guardado (no el slug del id)
+            actors = article.metadata.threatActorIds.map((id, index) => ({
+                id,
+                name: window.AdvancedFilters
+                    ? window.AdvancedFilters.getThreatActorName(id, article)
+                    : (article.metadata.threatActors || [])[index] || id
+            }));
+        } else if (Array.isArray(article.metadata.threatActors)) {
+            actors = article.metadata.threatActors.map(name => (
+                window.AdvancedFilters
+                    ? window.AdvancedFilters.resolveThreatActor(name)
+                    : { id: String(name).toLowerCase(), name }
+            ));
+        } else {
+            return;
+        }
+        
+        actors.forEach(actor => {
+            if (!actorCounts[actor.id]) {
+                actorCounts[actor.id] = { id: actor.id, name: actor.name, count: 0 };
+            }
+            actorCounts[actor.id].count++;
+        });
+    });
+    
+    return Object.values(actorCounts)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 10); // Top 10
+}
+
+/**
+ * Muestra solo las noticias de un threat actor (click en el widget)
+ */
+function filterByThreatActor(actorId) {
+    const allNews = window.unfilteredNewsData || window.newsData;
+    
+    if (!allNews || !window.AdvancedFilters || typeof window.renderNews !== 'function') {
+        return;
+    }
+    
+    const filtered = window.AdvancedFilters.applyAdvancedFilters(allNews, { threatActor: actorId });
+    console.log(`🎭 Threat actor ${actorId}: ${filtered.length} noticias`);
+    window.renderNews(filtered);
+}
+
+/**
+ * Actualiza el widget de Top Threat Actors en el sidebar
+ */
+function updateTopThreatActorsWidget() {
+    const topActorsList = document.getElementById('top-threat-actors');
+    
+    if (!topActorsList) {
+        return;
+    }
+    
+    if (!window.newsData || !Array.isArray(window.newsData) || window.newsData.length === 0) {
+        topActorsList.innerHTML = '<li style="color: #999; font-style: italic;">Cargando...</li>';
+        return;
+    }
+    
+    try {
+        const topActors = extractThreatActorsFromArticles(window.newsData);
+        
+        if (topActors.length === 0) {
+            topActorsList.innerHTML = '<li style="color: #999; font-style: italic;">No se detectaron threat actors en las noticias actuales</li>';
+            return;
+        }
+        
+        // El nombre de un actor fuera de la taxonomía viene del modelo: se escapa (sanitizeHTML, news-integrated.js)
+        topActorsList.innerHTML = topActors.map(item => {
+            const info = window.AdvancedFilters ? window.AdvancedFilters.getThreatActorInfo(item.id) : null;
+            const title = info && info.aliases && info.aliases.length > 0
+                ? `title="También conocido como: ${sanitizeHTML(info.aliases.join(', '))}"`
+                : '';
+            
+            return `
+                <li ${title}>
+                    <a href="#" data-threat-actor="${sanitizeHTML(item.id)}"><strong>${sanitizeHTML(item.name)}</strong></a>
+                    <span style="float: right; background: #f0f0f0; padding: 2px 8px; border-radius: 10px; font-size: 0.85em;">
+                        ${item.count} ${item.count === 1 ? 'noticia' : 'noticias'}
+                    </span>
+                </li>
+            `;
+        }).join('');
+        
+        topActorsList.querySelectorAll('a[data-threat-actor]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                filterByThreatActor(link.dataset.threatActor);
+            });
+        });
+        
+        console.log(`✅ Top Threat Actors actualizados: ${topActors.length} actores`);
+        
+    } catch (error) {
+        console.error('❌ Error actualizando Top Threat Actors:', error);
+        topActorsList.innerHTML = '<li style="color: #e74c3c;">Error al cargar estadísticas</li>';
+    }
+}
+
+// ============================================
+// TÁCTICAS MITRE ATT&CK
+// ============================================
+
+/**
+ * Muestra solo las noticias con técnicas de una táctica (click en el widget)
+ */
+function filterByTactic(tactic) {
+    const allNews = window.unfilteredNewsData || window.newsData;
+    
+    if (!allNews || !window.AdvancedFilters || typeof window.renderNews !== 'function') {
+        return;
+    }
+    
+    const filtered = window.AdvancedFilters.applyAdvancedFilters(allNews, { tactic });
+    console.log(`🎯 Táctica ${tactic}: ${filtered.length} noticias`);
+    window.renderNews(filtered);
+}
+
+/**
+ * Actualiza el widget de tácticas ATT&CK (orden de la matriz, técnicas en el tooltip)
+ */
+function updateAttackTacticsWidget() {
+    const tacticsList = document.getElementById('attack-tactics');
+    
+    if (!tacticsList) {
+        return;
+    }
+    
+    if (!window.newsData || !Array.isArray(window.newsData) || window.newsData.length === 0 || !window.AdvancedFilters) {
+        tacticsList.innerHTML = '<li style="color: #999; font-style: italic;">Cargando...</li>';
+        return;
+    }
+    
+    try {
+        const groups = window.AdvancedFilters.groupByTactic(window.newsData);
+        
+        if (groups.length === 0) {
+            tacticsList.innerHTML = '<li style="color: #999; font-style: italic;">No se infirieron técnicas ATT&CK en las noticias actuales</li>';
+            return;
+        }
+        
+        tacticsList.innerHTML = groups.map(group => {
+            const techniques = group.techniques
+                .map(t => `${t.id}${t.name ? ` ${t.name}` : ''} (${t.count})`)
+                .join(', ');
+            
+            return `
+                <li title="${sanitizeHTML(`${group.id ? `${group.id}: ` : ''}${techniques}`)}">
+                    <a href="#" data-tactic="${sanitizeHTML(group.tactic)}"><strong>${sanitizeHTML(group.label)}</strong></a>
+                    <span style="float: right; background: #f0f0f0; padding: 2px 8px; border-radius: 10px; font-size: 0.85em;">
+                        ${group.articles.length} ${group.articles.length === 1 ? 'noticia' : 'noticias'}
+                    </span>
+                </li>
+            `;
+        }).join('');
+        
+        tacticsList.querySelectorAll('a[data-tactic]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                filterByTactic(link.dataset.tactic);
+            });
+        });
+        
+        console.log(`✅ Tácticas ATT&CK actualizadas: ${groups.length} tácticas`);
+        
+    } catch (error) {
+        console.error('❌ Error actualizando tácticas ATT&CK:', error);
+        tacticsList.innerHTML = '<li style="color: #e74c3c;">Error al cargar estadísticas</li>';
+    }
+}
+
 // ============================================
 // ACTUALIZAR OTRAS ESTADÍSTICAS (OPCIONAL)
 // ============================================
@@ -139,9 +348,11 @@ function updateTopProductsWidget() {
  */
 function updateAllSidebarStats() {
     updateTopProductsWidget();
+    updateTopThreatActorsWidget();
+    updateAttackTacticsWidget();
     
     // Aquí puedes agregar más widgets si los creas en el futuro
-    // Por ejemplo: updateTopThreatActors(), updateCVEStats(), etc.
+    // Por ejemplo: updateCVEStats(), etc.
 }
 
 // ============================================
@@ -216,8 +427,13 @@ document.addEventListener('DOMContentLoaded', function() {
 // ============================================
 window.SidebarStats = {
     updateTopProducts: updateTopProductsWidget,
+    updateTopThreatActors: updateTopThreatActorsWidget,
+    updateAttackTactics: updateAttackTacticsWidget,
     updateAll: updateAllSidebarStats,
-    extractProducts: extractProductsFromArticles
+    extractProducts: extractProductsFromArticles,
+    extractThreatActors: extractThreatActorsFromArticles,
+    filterByThreatActor,
+    filterByTactic
 };
 
 console.log('📊 Módulo Sidebar Stats (FIXED v2.0) cargado - Sin dependencia de AdvancedFilters');
\ No newline at end of file
@@ -9,109 +9,37 @@
 // ============================================
 // CONFIGURACIÓN DE FUENTES RSS
 // ============================================
-const NEWS_SOURCES = {
-    // === NOTICIAS GENERALES ===
-    thehackernews: {
-        name: 'The Hacker News',
-        rss: 'https://feeds.feedburner.com/TheHackersNews',
-        color: '#e74c3c',
-        category: 'general'
-    },
-    bleepingcomputer: {
-        name: 'BleepingComputer',
-        rss: 'https://www.bleepingcomputer.com/feed/',
-        color: '#2ecc71',
-        category: 'general'
-    },
-    securityweek: {
-        name: 'SecurityWeek',
-        rss: 'https://www.securityweek.com/rss/',
-        color: '#e67e22',
-        category: 'general'
-    },
-    darkreading: {
-        name: 'Dark Reading',
-        rss: 'https://www.darkreading.com/rss.xml',
-        color: '#9b59b6',
-        category: 'general'
-    },
-    krebs: {
-        name: 'Krebs on Security',
-        rss: 'https://krebsonsecurity.com/feed/',
-        color: '#3498db',
-        category: 'general'
-    },
-    scmagazine: {
-        name: 'SC Magazine',
-        rss: 'https://www.scmagazine.com/home/feed/',
-        color: '#1abc9c',
-        category: 'general'
-    },
-    cybernews: {
-        name: 'Cybernews',
-        rss: 'https://cybernews.com/feed/',
-        color: '#34495e',
-        category: 'general'
-    },
-    
-    // === INTELIGENCIA DE AMENAZAS ===
-    uscert: {
-        name: 'US-CERT (CISA)',
-        rss: 'https://www.cisa.gov/cybersecurity-advisories/all.xml',
-        color: '#c0392b',
-        category: 'intelligence'
-    },
-    talos: {
-        name: 'Talos Intelligence',
-        rss: 'https://blog.talosintelligence.com/feeds/posts/default',
-        color: '#16a085',
-        category: 'intelligence'
-    },
-    virustotal: {
-        name: 'VirusTotal Blog',
-        rss: 'https://blog.virustotal.com/feeds/posts/default',
-        color: '#27ae60',
-        category: 'intelligence'
-    },
-    
-    // === BLOGS CORPORATIVOS ===
-    googlecloud: {
-        name: 'Google Cloud Security',
-        rss: 'https://cloud.google.com/blog/topics/security/rss/',
-        color: '#4285f4',
-        category: 'corporate'
-    },
-    microsoft: {
-        name: 'Microsoft Security',
-        rss: 'https://www.microsoft.com/security/blog/feed/',
-        color: '#00a4ef',
-        category: 'corporate'
-    },
-    cisco: {
-        name: 'Cisco Security',
-        rss: 'https://blogs.cisco.com/security/feed',
-        color: '#049fd9',
-        category: 'corporate'
-    },
-    paloalto: {
-        name: 'Palo Alto Unit42',
-        rss: 'https://unit42.paloaltonetworks.com/feed/',
-        color: '#fa582d',
-        category: 'corporate'
-    },
-    crowdstrike: {
-        name: 'CrowdStrike',
-        rss: 'https://www.crowdstrike.com/blog/feed/',
-        color: '#e01f3d',
-        category: 'corporate'
-    },
-    mandiant: {
-        name: 'Mandiant',
-        rss: 'https://www.mandiant.com/resources/rss',
-        color: '#ff6b35',
-        category: 'corporate'
+// Registro compartido con el pipeline (solo fuentes habilitadas)
+const SOURCES_URL = '/assets/data/news-sources.json';
+let NEWS_SOURCES = {};
+
+async function loadSourceRegistry() {
+    try {
+        const response = await fetch(SOURCES_URL);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const registry = await response.json();
+        const defaults = registry.defaults || {};
+        
+        NEWS_SOURCES = {};
+        (registry.sources || []).forEach(entry => {
+            const source = { ...defaults, ...entry };
+            if (source.enabled === false) return;
+            NEWS_SOURCES[source.id] = {
+                name: source.name,
+                rss: source.rss,
+                color: source.color,
+                category: source.category
+            };
+        });
+    } catch (error) {
+        console.error('Error cargando registro de fuentes:', error);
     }
-};
+    
+    return NEWS_SOURCES;
+}
 
 // API RSS2JSON (gratis, sin autenticación)
 const RSS_TO_JSON_API = 'https://api.rss2json.com/v1/api.json';
@@ -558,8 +486,9 @@ function startAutoRefresh() {
 // ============================================
 // INICIALIZACIÓN
 // ============================================
-document.addEventListener('DOMContentLoaded', function() {
-    // Cargar noticias al iniciar
+document.addEventListener('DOMContentLoaded', async function() {
+    // Cargar registro de fuentes y luego noticias
+    await loadSourceRegistry();
     loadAllNews();
     
     // Inicializar filtros
@@ -587,6 +516,7 @@ window.addEventListener('error', function(e) {
 // ============================================
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        loadSourceRegistry,
         loadNewsFromSource,
         loadAllNews,
         sanitizeHTML,
@@ -0,0 +1,138 @@
+/**
+ * Mantenimiento: Retención de Noticias con Archivo Mensual
+ *
+ * Reemplaza a NewsDB.cleanOldNews() del navegador: las noticias de los meses
+ * completos fuera de la ventana de retención se exportan a un archivo
+ * comprimido por mes (lib/news-archive.js), se registran en news_archives y
+ * en el índice que lee el sitio, y solo entonces se borran del almacenamiento.
+ *
+ * Uso:
+ *   node archive-news.js [--retention-days <n>] [--dir <directorio>] [--plan | --export-only | --delete-archived]
+ *
+ *   --retention-days   Días que se conservan (NEWS_RETENTION_DAYS; 90 por defecto)
+ *   --dir              Directorio de archivos (NEWS_ARCHIVE_DIR; archive/news)
+ *   --plan             Solo muestra qué meses se archivarían
+ *   --export-only      Escribe archivos e índice sin borrar nada
+ *   --delete-archived  Solo borra las noticias que ya están en el archivo de su mes
+ *
+ * El workflow usa las dos fases por separado: exporta, sube los archivos al
+ * repositorio y solo entonces borra; un push fallido no pierde noticias.
+ *
+ * Almacenamiento: mismas opciones que el pipeline (--storage, --storage-path,
+ * --dry-run para el directorio de salida del modo offline; los archivos van
+ * entonces a <salida>/archive).
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const path = require('path');
+const { getArgValue, hasFlag } = require('./lib/cli-args');
+const { getDryRunOptions } = require('./lib/dry-run');
+const { createStorage, getStorageConfig } = require('./lib/storage');
+const {
+    DEFAULT_ARCHIVE_DIR,
+    retentionCutoff,
+    groupByMonth,
+    readMonthArchive,
+    writeMonthArchive,
+    updateArchiveIndex
+} = require('./lib/news-archive');
+
+const RETENTION_CONFIG = {
+    DEFAULT_DAYS: 90,
+    MIN_DAYS: 31    // Protección contra un valor mal escrito que vaciaría la colección
+};
+
+function getRetentionDays() {
+    const value = getArgValue('--retention-days') || process.env.NEWS_RETENTION_DAYS;
+    const days = value ? parseInt(value, 10) : RETENTION_CONFIG.DEFAULT_DAYS;
+    if (!Number.isInteger(days) || days < RETENTION_CONFIG.MIN_DAYS) {
+        throw new Error(`Retención inválida "${value}": mínimo ${RETENTION_CONFIG.MIN_DAYS} días`);
+    }
+    return days;
+}
+
+/**
+ * Borra las noticias de un mes que ya están en su archivo en disco; las que
+ * no están (llegadas después de exportar) esperan a la próxima exportación
+ *
+ * @returns {Promise<Object>} - { deleted, pending }
+ */
+async function deleteArchivedNews(storage, dir, month, docs) {
+    const archived = new Set(readMonthArchive(dir, month).map(doc => doc.id));
+    const ids = docs.filter(doc => archived.has(doc.id)).map(doc => doc.id);
+    const deleted = ids.length > 0 ? await storage.deleteNews(ids) : 0;
+    return { deleted, pending: docs.length - ids.length };
+}
+
+async function main() {
+    const dryRun = getDryRunOptions();
+    const retentionDays = getRetentionDays();
+    const dir = path.resolve(getArgValue('--dir') || process.env.NEWS_ARCHIVE_DIR ||
+        (dryRun.enabled ? path.join(dryRun.outputDir, 'archive') : DEFAULT_ARCHIVE_DIR));
+    const plan = hasFlag('--plan');
+    const exportArchives = !hasFlag('--delete-archived');
+    const deleteArchived = !hasFlag('--export-only');
+    if (!exportArchives && !deleteArchived) {
+        throw new Error('--export-only y --delete-archived son excluyentes');
+    }
+    const cutoff = retentionCutoff(retentionDays);
+
+    const storage = await createStorage(getStorageConfig(dryRun));
+
+    try {
+        console.log(`🗄️ Retención: ${retentionDays} días → se archiva lo publicado antes de ${cutoff.toISOString().substring(0, 10)}`);
+        console.log(`   Archivos en ${dir}\n`);
+
+        const months = groupByMonth(await storage.getNewsBefore(cutoff));
+        if (months.size === 0) {
+            console.log('✅ No hay meses vencidos');
+            return;
+        }
+
+        if (plan) {
+            for (const [month, docs] of months) {
+                console.log(`   📋 ${month}: ${docs.length} noticia(s)`);
+            }
+            console.log('\n(--plan: no se escribió ni se borró nada)');
+            return;
+        }
+
+        // Mes a mes, con el índice al día tras cada archivo: si uno falla,
+        // los anteriores quedan archivados, indexados y (si toca) borrados
+        let exported = 0;
+        let deleted = 0;
+        let pending = 0;
+        for (const [month, docs] of months) {
+            if (exportArchives) {
+                const record = writeMonthArchive(dir, month, docs);
+                await storage.saveArchiveRecord({ ...record, retentionDays });
+                updateArchiveIndex(dir, [record], { retentionDays });
+                exported++;
+                console.log(`   📦 ${month}: ${docs.length} archivada(s) → ${record.file} (${record.count} en total, ${(record.bytes / 1024).toFixed(1)} KB)`);
+            }
+            if (deleteArchived) {
+                const result = await deleteArchivedNews(storage, dir, month, docs);
+                deleted += result.deleted;
+                pending += result.pending;
+                console.log(`   🗑️ ${month}: ${result.deleted} eliminada(s)${result.pending > 0 ? `, ${result.pending} sin archivar (próxima exportación)` : ''}`);
+            }
+        }
+
+        console.log(`\n✅ ${exported} mes(es) archivado(s), ${deleted} noticia(s) eliminadas del almacenamiento${pending > 0 ? `, ${pending} pendiente(s)` : ''}`);
+        if (!deleteArchived) {
+            console.log('   (--export-only: nada se borró; ejecutar --delete-archived tras subir los archivos)');
+        }
+
+    } finally {
+        await storage.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Error archivando noticias:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,154 @@
+/**
+ * Evaluación del Filtro PRE-API contra un Corpus Etiquetado
+ *
+ * Ejecuta shouldProcessWithClaude (lib/relevance-rules.js) sobre artículos
+ * etiquetados a mano como relevantes / no relevantes para CISOs y C-Level
+ * y reporta precisión, recall y F1, los falsos positivos/negativos y las
+ * decisiones que cambian respecto a la versión anterior de las reglas.
+ *
+ * Corpus: JSONL, una línea por artículo
+ *   { "id": "en-01", "language": "en", "relevant": true, "title": "...", "description": "..." }
+ *
+ * Uso:
+ *   node evaluate-relevance.js [--rules <archivo>] [--baseline <archivo>] [--corpus <archivo>] [--verbose]
+ *
+ * Por defecto evalúa la versión más nueva de data/relevance-rules/ y la compara
+ * con la inmediatamente anterior (si existe).
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getArgValue, hasFlag } = require('./lib/cli-args');
+const { listRuleVersions, loadRelevanceRules, evaluateRelevance } = require('./lib/relevance-rules');
+
+const DEFAULT_CORPUS = path.join(__dirname, 'fixtures', 'relevance-corpus.jsonl');
+
+// ============================================
+// CORPUS Y MÉTRICAS
+// ============================================
+
+function loadCorpus(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+        .filter(({ line }) => line && !line.startsWith('#'))
+        .map(({ line, number }) => {
+            const item = JSON.parse(line);
+            if (typeof item.relevant !== 'boolean' || !item.title) {
+                throw new Error(`Corpus inválido en línea ${number}: se requieren "title" y "relevant" (boolean)`);
+            }
+            return { id: item.id || `#${number}`, ...item };
+        });
+}
+
+function computeMetrics(results) {
+    const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+    for (const { item, decision } of results) {
+        if (decision.process) counts[item.relevant ? 'tp' : 'fp']++;
+        else counts[item.relevant ? 'fn' : 'tn']++;
+    }
+    const precision = counts.tp + counts.fp > 0 ? counts.tp / (counts.tp + counts.fp) : 0;
+    const recall = counts.tp + counts.fn > 0 ? counts.tp / (counts.tp + counts.fn) : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    return { ...counts, precision, recall, f1 };
+}
+
+function evaluate(corpus, rules) {
+    return corpus.map(item => ({ item, decision: evaluateRelevance(item, rules) }));
+}
+
+const pct = (value) => `${(value * 100).toFixed(1)}%`;
+
+function printMetrics(label, metrics) {
+    console.log(`   ${label.padEnd(10)} P=${pct(metrics.precision).padStart(6)}  R=${pct(metrics.recall).padStart(6)}  F1=${pct(metrics.f1).padStart(6)}  (TP ${metrics.tp} · FP ${metrics.fp} · FN ${metrics.fn} · TN ${metrics.tn})`);
+}
+
+/**
+ * Regla anterior a la evaluada (por versión) o null si es la primera
+ */
+function findBaseline(rulesFile) {
+    const versions = listRuleVersions(path.dirname(rulesFile));
+    const index = versions.findIndex(v => path.resolve(v.file) === path.resolve(rulesFile));
+    return index > 0 ? versions[index - 1].file : null;
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+function main() {
+    const rules = loadRelevanceRules(getArgValue('--rules'));
+    const corpusFile = path.resolve(getArgValue('--corpus') || DEFAULT_CORPUS);
+    const baselineFile = getArgValue('--baseline') || findBaseline(rules.file);
+    const verbose = hasFlag('--verbose');
+
+    const corpus = loadCorpus(corpusFile);
+    const results = evaluate(corpus, rules);
+    const metrics = computeMetrics(results);
+
+    console.log('🧪 EVALUACIÓN DEL FILTRO PRE-API');
+    console.log(`   Reglas: v${rules.version} (${path.relative(process.cwd(), rules.file)}) | Score mínimo: ${rules.minScore}`);
+    console.log(`   Corpus: ${corpus.length} artículos (${path.relative(process.cwd(), corpusFile)})`);
+
+    console.log('\n📊 MÉTRICAS:');
+    printMetrics('Total', metrics);
+    const languages = [...new Set(corpus.map(item => item.language || 'n/d'))].sort();
+    for (const language of languages) {
+        printMetrics(language.toUpperCase(), computeMetrics(results.filter(r => (r.item.language || 'n/d') === language)));
+    }
+
+    const errors = results.filter(({ item, decision }) => item.relevant !== decision.process);
+    if (errors.length > 0) {
+        console.log('\n❌ ERRORES DE CLASIFICACIÓN:');
+        for (const { item, decision } of errors) {
+            const kind = decision.process ? 'FP' : 'FN';
+            console.log(`   [${kind}] ${item.id}: ${item.title.substring(0, 70)}`);
+            console.log(`        ${decision.reason}`);
+        }
+    }
+
+    if (verbose) {
+        console.log('\n📋 DECISIONES:');
+        for (const { item, decision } of results) {
+            const mark = item.relevant === decision.process ? '✅' : '❌';
+            console.log(`   ${mark} ${item.id} [${decision.category}, score ${decision.score}] ${item.title.substring(0, 60)}`);
+        }
+    }
+
+    if (!baselineFile) {
+        console.log('\nℹ️ Sin versión anterior de reglas para comparar');
+        return;
+    }
+
+    const baseline = loadRelevanceRules(baselineFile);
+    const baselineResults = evaluate(corpus, baseline);
+    const baselineMetrics = computeMetrics(baselineResults);
+
+    console.log(`\n🔀 COMPARACIÓN CON v${baseline.version}:`);
+    printMetrics(`v${baseline.version}`, baselineMetrics);
+    printMetrics(`v${rules.version}`, metrics);
+
+    const flipped = results.filter((result, i) => result.decision.process !== baselineResults[i].decision.process);
+    if (flipped.length === 0) {
+        console.log('   Sin cambios de decisión');
+        return;
+    }
+    console.log(`   ${flipped.length} decisión(es) cambian:`);
+    for (const { item, decision } of flipped) {
+        const change = decision.process ? 'rechazada → aprobada' : 'aprobada → rechazada';
+        const mark = item.relevant === decision.process ? '✅' : '❌';
+        console.log(`   ${mark} ${item.id}: ${change} — ${item.title.substring(0, 60)}`);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ Error en la evaluación:', error.message);
+    process.exitCode = 1;
+}
@@ -29,15 +29,81 @@
  * - Objetivo: reducir volumen de ~900/mes a ~300-380/mes con relevancia >90%
  * - Ahorro estimado: ~60% adicional vs v3.0 en costo Claude API
  *
+ * CAMBIOS v4.0 (Octubre 2026):
+ * - Registro único de fuentes (assets/data/news-sources.json) compartido con el sitio
+ * - Parser XML real (RSS 2.0, Atom, RDF) con namespaces, charset, entidades y categorías
+ * - Descarga condicional (ETag/Last-Modified), redirecciones, gzip/brotli y rate limit por host
+ * - Modo --dry-run offline: fixtures locales y resumidor simulado
+ * - Almacenamiento intercambiable: Firestore, directorio JSON o SQLite (--storage)
+ * - Agrupación de la misma historia entre fuentes (clusterId, "también cubierta por")
+ * - Consulta por lotes de noticias ya guardadas: solo se resumen las nuevas o modificadas
+ * - Caché de resúmenes por hash del prompt + versión (aciertos/fallos en api_usage)
+ * - Reintentos con backoff/jitter y retry-after + circuit breaker para Claude API
+ * - Descarga concurrente de fuentes, límite de resúmenes simultáneos y presupuesto de tiempo global
+ * - Extracción estructurada de amenazas en la misma llamada, validada con JSON Schema
+ *   y combinada con la metadata de reglas (procedencia por campo: rule/model)
+ * - Libro de gasto: límites mensual, diario y por fuente; alerta registrada en budget_alerts
+ *   (--fail-on-budget-alert para terminar con código distinto de cero)
+ * - Reglas de relevancia versionadas en data/relevance-rules/ (frase o regex, idioma, peso, tope)
+ *   y evaluación contra corpus etiquetado (npm run eval:relevance)
+ * - Decisión del filtro guardada en cada noticia; rechazos auditables en filter_rejections
+ *   (retención corta, consulta y promoción con npm run rejections)
+ * - Coincidencia de keywords por tokens (límites de palabra, acentos, stemming EN/ES, proximidad)
+ *   compartida por el filtro (reglas v3.2), el score CIA y la extracción de productos/actores
+ * - Idioma detectado por artículo; traducción opcional al español (titleEs/summaryEs) de las
+ *   historias en inglés más relevantes cuando hay margen de presupuesto (--translate)
+ * - Texto completo opcional (--full-text): descarga de la página de noticias aprobadas con
+ *   avance corto, extracción estilo Readability recortada a un presupuesto de tokens para el
+ *   prompt; resultado (éxito, longitud) guardado en fullTextExtraction
+ * - Enriquecimiento offline de cada CVE con NVD (CVSS oficial, vector, CWE), CISA KEV
+ *   (fecha de alta y límite) y EPSS desde archivos locales (update-cve-data.js) en metadata.cveDetails
+ * - Taxonomía de threat actors compartida con el sitio (assets/data/threat-actors.json): alias de
+ *   cada fabricante → id canónico (metadata.threatActorIds) para reglas, modelo y clustering
+ * - Catálogo de fabricantes/productos compartido con el sitio (assets/data/products.json): ids
+ *   vendor:product de CPE, alias y familias (metadata.productIds, vendors, productFamilies)
+ * - Modelo CIA+NR 0-10 (lib/cia-scoring.js): keywords + impacto C/I/A del vector CVSS +
+ *   estado de explotación, con la evidencia de cada dimensión en metadata.ciaEvidence
+ * - Técnicas MITRE ATT&CK inferidas de los comportamientos descritos (data/attack-behaviors.json)
+ *   con nombre y táctica del bundle STIX local (update-attack-data.js) y nivel de confianza
+ * - Retención en el servidor (archive-news.js): los meses vencidos se exportan a archivos
+ *   comprimidos (archive/news/YYYY-MM.json.gz) registrados en news_archives antes de borrarse
+ * - Snapshots JSON estáticos para el sitio (assets/data/news/): un archivo por mes, latest.json
+ *   y manifest.json; la página los carga antes que Firestore
+ * - Feeds propios del sitio (feeds/) en RSS 2.0, Atom y JSON Feed: noticias curadas con
+ *   severidad y CVEs como categorías, artículos publicados, y variantes por severidad y categoría
+ *
  * Autor: Herliss Briceño
- * Fecha: Febrero 2026
- * Versión: 3.1
+ * Fecha: Octubre 2026
+ * Versión: 4.0
  */
 
 const https = require('https');
-const http = require('http');
-const { initializeApp, cert } = require('firebase-admin/app');
-const { getFirestore, Timestamp, FieldValue } = require('firebase-admin/firestore');
+const crypto = require('crypto');
+const path = require('path');
+const { loadSourceRegistry, getEnabledSources } = require('./lib/source-registry');
+const { parseFeed } = require('./lib/feed-parser');
+const { fetchFeed, FETCH_CONFIG } = require('./lib/feed-fetcher');
+const { decodeHTML, extractArticle, capToTokenBudget } = require('./lib/article-extractor');
+const { getDryRunOptions, loadFixture, loadPageFixture, seedArticleFixtures, stubClaudeAPI, stubTranslationAPI } = require('./lib/dry-run');
+const { createStorage, getStorageConfig } = require('./lib/storage');
+const { clusterStories, CLUSTER_CONFIG } = require('./lib/story-clustering');
+const { SummaryCache } = require('./lib/summary-cache');
+const { withRetry, createAPIError, CircuitBreaker } = require('./lib/retry');
+const { createLimiter, RunDeadline } = require('./lib/concurrency');
+const { validateThreatResponse, mergeThreatMetadata } = require('./lib/threat-extraction');
+const { SpendLedger } = require('./lib/spend-ledger');
+const { loadRelevanceRules, evaluateRelevance } = require('./lib/relevance-rules');
+const { analyzeText } = require('./lib/keyword-matcher');
+const { detectLanguage } = require('./lib/language-detect');
+const { loadCveIntel, severityFromScore, DEFAULT_CVE_DATA_DIR } = require('./lib/cve-intel');
+const { loadThreatActorTaxonomy } = require('./lib/threat-actors');
+const { loadProductCatalog, productMetadata } = require('./lib/product-catalog');
+const { collectKeywordEvidence, extractCvssVectors, scoreCIA } = require('./lib/cia-scoring');
+const { DEFAULT_ATTACK_DATA_DIR, AttackMapper, loadAttackMapper } = require('./lib/attack-mapping');
+const { summarizeDecision, buildRejectionRecord, isRejectionChanged } = require('./lib/filter-audit');
+const { DEFAULT_SNAPSHOT_DIR, writeNewsSnapshots } = require('./lib/news-snapshots');
+const { DEFAULT_FEEDS_DIR, writeSiteFeeds } = require('./lib/site-feeds');
+const { getArgValue, hasFlag } = require('./lib/cli-args');
 
 // ============================================
 // CONFIGURACIÓN DE SEGURIDAD
@@ -46,6 +112,27 @@ const { getFirestore, Timestamp, FieldValue } = require('firebase-admin/firestor
 // Detectar si estamos en CI (GitHub Actions)
 const IS_CI = process.env.GITHUB_ACTIONS === 'true';
 
+// Modo offline: fixtures + resumidor simulado + backend JSON (ver lib/dry-run.js)
+const DRY_RUN = getDryRunOptions();
+
+// Backend de almacenamiento: firestore | json | sqlite (ver lib/storage)
+const STORAGE_CONFIG = getStorageConfig(DRY_RUN);
+
+// Snapshots estáticos del sitio (--no-snapshots o NEWS_SNAPSHOTS=false para desactivar)
+const SNAPSHOTS = {
+    enabled: !hasFlag('--no-snapshots') && process.env.NEWS_SNAPSHOTS !== 'false',
+    dir: getArgValue('--snapshot-dir') || process.env.NEWS_SNAPSHOT_DIR ||
+        (DRY_RUN.enabled ? path.join(DRY_RUN.outputDir, 'snapshots') : DEFAULT_SNAPSHOT_DIR),
+    rebuild: hasFlag('--rebuild-snapshots')
+};
+
+// Feeds RSS/Atom/JSON del sitio (--no-feeds o NEWS_FEEDS=false para desactivar)
+const SITE_FEEDS = {
+    enabled: !hasFlag('--no-feeds') && process.env.NEWS_FEEDS !== 'false',
+    dir: getArgValue('--feeds-dir') || process.env.NEWS_FEEDS_DIR ||
+        (DRY_RUN.enabled ? path.join(DRY_RUN.outputDir, 'feeds') : DEFAULT_FEEDS_DIR)
+};
+
 // Función de logging condicional
 function debugLog(...args) {
     if (!IS_CI) {
@@ -58,12 +145,19 @@ const SAFETY_CONFIG = {
     MONTHLY_BUDGET_LIMIT: 5.00,         // $5 USD/mes máximo
     ALERT_THRESHOLD: 4.00,              // Alertar a $4 USD
     DAILY_BUDGET_LIMIT: 0.18,           // ~$5.40/mes si se usa todos los días
+    MONTHLY_RESERVE: 0.25,              // Margen mensual que no se gasta (degradación a extractivo)
+    FAIL_ON_BUDGET_ALERT: hasFlag('--fail-on-budget-alert') || process.env.FAIL_ON_BUDGET_ALERT === 'true',
     
     // Límites por ejecución
     MAX_CALLS_PER_RUN: 100,             // Máximo 100 llamadas API por workflow
     MAX_CALLS_PER_ARTICLE: 1,           // 1 llamada por artículo
     MAX_ARTICLES_PER_RUN: 150,          // Límite global de artículos a procesar
     
+    // Concurrencia y presupuesto de tiempo (el step del workflow tiene 25 min)
+    FETCH_CONCURRENCY: 4,               // Fuentes descargándose a la vez
+    SUMMARY_CONCURRENCY: 2,             // Llamadas a Claude a la vez
+    RUN_TIME_BUDGET: 20 * 60 * 1000,    // 20 min: margen para guardar y registrar
+    
     // Timeouts
     API_TIMEOUT: 30000,                 // 30 segundos por llamada
     
@@ -71,6 +165,25 @@ const SAFETY_CONFIG = {
     ENABLE_GRADUAL_DEGRADATION: true,   // Reducir calidad si se acerca al límite
     ENABLE_FALLBACK: true,              // Usar extractivo si falla API
     
+    // Modelo y versión del prompt (ambos forman parte de la clave de caché)
+    CLAUDE_MODEL: 'claude-3-5-haiku-20241022',
+    PROMPT_VERSION: 'summary-threat-v4.0',
+    
+    // Traducción al español (opcional): solo historias en inglés más relevantes
+    // y solo con margen de presupuesto; nunca compite con los resúmenes
+    TRANSLATION_ENABLED: hasFlag('--translate') || process.env.NEWS_TRANSLATION === 'true',
+    TRANSLATION_MAX_PER_RUN: 10,
+    TRANSLATION_MIN_MONTHLY_HEADROOM: 1.00,  // Margen mensual libre mínimo
+    TRANSLATION_MIN_DAILY_HEADROOM: 0.06,    // ~1/3 del límite diario libre
+    TRANSLATION_PROMPT_VERSION: 'translation-es-v1',
+    
+    // Texto completo (opcional): página de las noticias aprobadas cuyo feed trae
+    // solo un avance; el texto recortado va únicamente al prompt del resumen
+    FULL_TEXT_ENABLED: hasFlag('--full-text') || process.env.NEWS_FULL_TEXT === 'true',
+    FULL_TEXT_MAX_DESCRIPTION_CHARS: 600,  // Descripciones más largas ya bastan
+    FULL_TEXT_MAX_TOKENS: 1200,            // ~$0.001 extra de input por artículo
+    FULL_TEXT_TIMEOUT: 15000,
+    
     // Precios Claude 3.5 Haiku (por millón de tokens)
     PRICE_INPUT: 0.80,
     PRICE_OUTPUT: 4.00
@@ -250,111 +363,9 @@ const BUSINESS_WHITELIST = [
     'responsabilidad del consejo', 'ejecutivo procesado'
 ];
 
-const BLACKLIST = [
-    // --- Marketing y Eventos (EN) ---
-    'webinar', 'register now', 'sign up now', 'register for free',
-    'product launch', 'new product', 'announcing', 'we are excited to',
-    'partnership', 'strategic partnership', 'sponsored', 'advertisement',
-    'free trial', 'demo available', 'buy now', 'request a demo',
-    'limited time offer', 'discount', 'promo code',
-    'podcast episode', 'join us for', 'save your seat',
-    'early bird', 'use code ', 'get started free',
-
-    // --- Marketing y Eventos (ES) ---
-    'webinario', 'regístrate ahora', 'inscríbete', 'regístrate gratis',
-    'lanzamiento de producto', 'nuevo producto', 'nos complace anunciar',
-    'alianza estratégica', 'patrocinado', 'prueba gratuita',
-    'demo disponible', 'solicita una demo',
-    'episodio de podcast', 'únete a nosotros',
-
-    // --- Educativo Básico (EN) ---
-    'beginner guide', 'introduction to', 'intro to',
-    'basics of', 'what is a ', 'getting started with',
-    'for beginners', 'learn how to', '101 guide', '101:',
-    'step by step', 'how to set up', 'how to configure',
-    'tutorial:', 'complete guide to', 'cheat sheet',
-
-    // --- Educativo Básico (ES) ---
-    'guía para principiantes', 'introducción a',
-    'conceptos básicos', 'qué es un ', 'qué es la ',
-    'primeros pasos con', 'para principiantes',
-    'aprende cómo', 'paso a paso', 'cómo configurar',
-    'tutorial:', 'guía completa de',
-
-    // --- Listicles (EN+ES) ---
-    'top 10', 'top 5', 'top 3', 'top 7', 'top 15', 'top 20',
-    'best of', 'ultimate guide', 'best practices guide',
-    'guía definitiva', 'los 10 mejores', 'los 5 mejores',
-    'the best ', 'the top ',
-
-    // --- Updates y Correcciones (EN+ES) ---
-    '[updated]', '[actualizado]',
-    'correction:', 'corrección:',
-    "editor's note:", 'nota del editor:',
-
-    // --- Teórico / Hipotético (EN+ES) ---
-    'theoretical attack', 'hypothetical scenario',
-    'researchers speculate', 'could potentially',
-    'researchers imagine', 'what if scenario',
-    'ataque teórico', 'escenario hipotético',
-    'predicciones para', 'predictions for ',
-    'forecast for ', 'outlook for ',
-
-    // --- Opinión y Editorial (EN+ES) ---
-    'opinion:', 'opinión:', 'editorial:',
-    'my take:', 'point of view', 'commentary:',
-    'mi opinión:', 'punto de vista', 'columna de opinión',
-
-    // --- Roundups (EN+ES) ---
-    'weekly roundup', 'weekly recap', 'weekly digest',
-    'monthly summary', 'year in review', 'annual recap',
-    'resumen semanal', 'resumen mensual', 'resumen anual',
-    'lo mejor de la semana', 'digest semanal',
-
-    // --- NUEVO v3.1: Nombramientos y RRHH (EN+ES) ---
-    ' appoints ', ' named as ', ' joins as ', ' promoted to ',
-    ' hired as ', ' welcomes ', ' announces appointment',
-    'new ciso at', 'new cto at', 'new ceo at',
-    'nombrado como', 'se une como', 'promovido a',
-    'contratado como', 'nuevo ciso en', 'nuevo cto en',
-
-    // --- NUEVO v3.1: Inversión y Financiamiento (EN+ES) ---
-    'raises $', 'series a funding', 'series b funding', 'series c funding',
-    'funding round', 'million investment', 'billion valuation',
-    'venture capital', 'ipo filing', 'goes public',
-    'recauda $', 'ronda de financiamiento', 'millones de inversión',
-    'capital de riesgo', 'valoración de',
-
-    // --- NUEVO v3.1: Research Académico sin impacto real (EN+ES) ---
-    'university researchers', 'academic study shows',
-    'researchers demonstrate how', 'researchers show that',
-    'proof of concept only', 'theoretical poc',
-    'investigadores demuestran cómo', 'estudio académico',
-    'demostración teórica',
-
-    // --- NUEVO v3.1: Análisis de Mercado y Analistas (EN+ES) ---
-    'market report', 'market research', 'market analysis',
-    'gartner report', 'forrester report', 'idc report', 'idc study',
-    'industry report', 'analyst report', 'market forecast',
-    'informe de mercado', 'análisis de mercado', 'informe gartner',
-
-    // --- NUEVO v3.1: Premios y Reconocimientos (EN+ES) ---
-    'award', 'recognized as leader', 'magic quadrant leader',
-    'best company', 'named a leader', 'wins award',
-    'premio', 'reconocido como líder', 'gana el premio',
-    'mejor empresa de', 'líder del cuadrante',
-
-    // --- NUEVO v3.1: Conferencias sin incidente (EN+ES) ---
-    // Solo bloqueamos anuncios de conferencias, no reportes de incidentes presentados
-    'at defcon: how', 'blackhat presentation', 'rsa conference keynote',
-    'speaking at ', 'talk at defcon', 'session at blackhat',
-    'presentación en defcon', 'charla en blackhat',
-
-    // --- NUEVO v3.1: Contenido Motivacional / Awareness genérico (EN+ES) ---
-    'cyber awareness month', 'security awareness tips',
-    'stay safe online', 'cyber hygiene tips', 'best security habits',
-    'mes de concienciación', 'consejos de seguridad', 'hábitos de seguridad'
-];
+// BLACKLIST y señales de scoring (NIVEL 2): data/relevance-rules/v<versión>.json
+// Evaluación contra un corpus etiquetado: npm run eval:relevance
+const RELEVANCE_RULES = loadRelevanceRules(getArgValue('--rules') || process.env.RELEVANCE_RULES_PATH);
 
 // ============================================
 // CONTADORES DE FILTRADO
@@ -364,252 +375,31 @@ const filterStats = {
     total: 0,
     approved: 0,
     rejected: 0,
+    promoted: 0,    // Rechazadas por el filtro pero promovidas manualmente
     byCategory: { technical: 0, business: 0, blocked: 0, no_match: 0 }
 };
 
-// ============================================
-// NIVEL 2: SISTEMA DE SCORING (v3.1)
-// Umbral mínimo: MIN_RELEVANCE_SCORE = 2
-// Reemplaza lógica binaria "1 keyword = aprobado"
-// ============================================
-
-const MIN_RELEVANCE_SCORE = 2; // Puntaje mínimo para aprobar
-
-// Señales de ALTO impacto (+2 puntos)
-const HIGH_IMPACT_SIGNALS = [
-    // Explotación activa confirmada
-    'actively exploited', 'exploited in the wild', 'exploitation detected',
-    'activamente explotado', 'explotado activamente',
-    // CVE con año actual
-    'cve-2025-', 'cve-2026-',
-    // APT / grupo nombrado con víctima
-    'lazarus group', 'volt typhoon', 'salt typhoon', 'apt28', 'apt29',
-    'apt41', 'apt40', 'fancy bear', 'cozy bear', 'sandworm', 'scattered spider',
-    'kimsuky', 'apt32', 'apt33',
-    // Ransomware con víctima confirmada
-    'hit by ransomware', 'ransomware attack on', 'ransomware struck',
-    'ransomware encrypted', 'victim of ransomware',
-    'víctima de ransomware', 'cifrado por ransomware',
-    // Impacto financiero documentado (>$1M)
-    '$10 million', '$50 million', '$100 million', '$500 million',
-    'million ransom paid', 'billion ransom', 'ransom paid to',
-    '50 millones', '100 millones', 'rescate pagado',
-    // Grupos ransomware activos
-    'lockbit', 'blackcat', 'alphv', 'cl0p', 'clop', 'rhysida', 'play ransomware',
-    // Supply chain confirmado
-    'supply chain attack', 'supply chain compromise', 'supply chain breach',
-    'ataque a la cadena de suministro',
-    // Emergencia confirmada
-    'emergency patch', 'out-of-band patch', 'urgent security update',
-    'parche de emergencia', 'actualización de seguridad urgente',
-    // CVSS 9+
-    'cvss 9.', 'cvss 10', 'cvss:9', 'cvss:10',
-];
-
-// Señales de IMPACTO MODERADO (+1 punto)
-const MEDIUM_IMPACT_SIGNALS = [
-    // CVE CVSS 7-8
-    'cvss 7.', 'cvss 8.', 'cvss:7', 'cvss:8',
-    // Zero-day
-    'zero-day', '0-day', 'zero day', 'día cero',
-    // Parches importantes
-    'critical patch', 'patch tuesday', 'security advisory',
-    // RCE/Privilege escalation
-    'remote code execution', 'rce vulnerability', 'rce exploit',
-    'privilege escalation exploit', 'ejecución remota de código',
-    // Breach confirmada
-    'confirmed data breach', 'data breach affecting', 'data breach exposes',
-    'leaked database', 'millions of records', 'brecha de datos confirmada',
-    // Infraestructura crítica
-    'critical infrastructure attack', 'power grid attack', 'water utility hacked',
-    'hospital attacked', 'hospital ransomware', 'healthcare data breach',
-    'infraestructura crítica atacada', 'hospital atacado',
-    // Interrupción operacional
-    'operations shut down', 'production halted', 'forced to shut down',
-    'days of downtime', 'operaciones detenidas', 'producción paralizada',
-    // Regulación con sanción
-    'gdpr fine', 'gdpr violation', 'gdpr penalty', 'multa gdpr',
-    'hipaa breach penalty', 'sec enforcement action',
-    'cisa binding directive', 'executive order cybersecurity',
-    // Responsabilidad ejecutiva
-    'ciso arrested', 'ciso charged', 'ciso convicted',
-    'ciso detenido', 'ejecutivo procesado',
-    // Fuentes oficiales con advisory
-    'cisa alert', 'us-cert advisory', 'microsoft security advisory',
-    'cisco security advisory', 'fortinet security advisory',
-];
-
-// Señales NEGATIVAS que restan puntos
-const NEGATIVE_SIGNALS = [
-    // Verbos condicionales (no es incidente real)
-    ' could ', ' may ', ' might ', ' would ', ' should ',
-    ' podría ', ' podría ser ', ' posiblemente ',
-    // Research sin víctima real
-    'researchers say', 'researchers found that', 'researchers discovered that',
-    'researchers demonstrate', 'university researchers',
-    'investigadores dicen', 'investigadores encontraron',
-    // Análisis retrospectivo
-    'last year\'s', 'back in 2024', 'back in 2023', 'historically',
-    'del año pasado', 'en 2024',
-];
-
 /**
- * Sistema de scoring v3.1
+ * Sistema de scoring v3.1 (reglas declarativas en lib/relevance-rules.js)
  * Evalúa si un artículo es relevante para CISOs/C-Level
- * con puntaje mínimo configurable (MIN_RELEVANCE_SCORE)
+ * con puntaje mínimo configurable (minScore del archivo de reglas)
  *
- * @param {Object} article - { title, description }
- * @returns {Object} - { process, reason, category, audience, score, matchedKeywords }
+ * @param {Object} article - { title, description, language? }
+ * @returns {Object} - { process, reason, category, audience, score, matchedKeywords, rulesVersion }
  */
 function shouldProcessWithClaude(article) {
-    const text = `${article.title || ''} ${article.description || ''}`.toLowerCase();
-
-    // ── PASO 1: BLACKLIST — prioridad absoluta, score irrelevante ──────────────
-    for (const keyword of BLACKLIST) {
-        if (text.includes(keyword.toLowerCase())) {
-            return {
-                process: false,
-                reason: `Blacklist: "${keyword}"`,
-                category: 'blocked',
-                audience: 'N/A',
-                score: -99,
-                matchedKeywords: [keyword]
-            };
-        }
-    }
-
-    // ── PASO 2: SCORING — acumular puntos por señales de impacto ──────────────
-    let score = 0;
-    const matchedKeywords = [];
-
-    // Señales de alto impacto (+2 cada una, máximo 3 matches para evitar inflación)
-    let highMatches = 0;
-    for (const signal of HIGH_IMPACT_SIGNALS) {
-        if (text.includes(signal.toLowerCase())) {
-            score += 2;
-            matchedKeywords.push(`+2:"${signal}"`);
-            highMatches++;
-            if (highMatches >= 3) break; // Limitar a 3 señales high
-        }
-    }
-
-    // Señales de impacto moderado (+1 cada una, máximo 3 matches)
-    let medMatches = 0;
-    for (const signal of MEDIUM_IMPACT_SIGNALS) {
-        if (text.includes(signal.toLowerCase())) {
-            score += 1;
-            matchedKeywords.push(`+1:"${signal}"`);
-            medMatches++;
-            if (medMatches >= 3) break;
-        }
-    }
-
-    // Señales negativas (-1 cada una)
-    for (const signal of NEGATIVE_SIGNALS) {
-        if (text.includes(signal.toLowerCase())) {
-            score -= 1;
-            matchedKeywords.push(`-1:"${signal}"`);
-        }
-    }
-
-    // ── PASO 3: DECISIÓN por umbral ───────────────────────────────────────────
-    const approved = score >= MIN_RELEVANCE_SCORE;
-
-    // Determinar categoría y audiencia
-    let category = 'no_match';
-    let audience = 'N/A';
-
-    if (approved) {
-        // ¿Es técnico o negocio?
-        const isTechnical = HIGH_IMPACT_SIGNALS.concat(MEDIUM_IMPACT_SIGNALS)
-            .filter(s => ['cve', 'cvss', 'rce', 'exploit', 'malware', 'backdoor',
-                         'zero-day', 'vulnerability', 'advisory'].some(t => s.includes(t)))
-            .some(s => text.includes(s.toLowerCase()));
-
-        category = isTechnical ? 'technical' : 'business';
-        audience = isTechnical ? 'CISO/Technical' : 'C-Level/Management';
-    }
-
-    return {
-        process: approved,
-        reason: approved
-            ? `Score ${score} ≥ ${MIN_RELEVANCE_SCORE}: ${matchedKeywords.slice(0, 3).join(', ')}`
-            : `Score ${score} < ${MIN_RELEVANCE_SCORE}: insuficiente relevancia`,
-        category,
-        audience,
-        score,
-        matchedKeywords
-    };
+    return evaluateRelevance(article, RELEVANCE_RULES);
 }
 
 // ============================================
 // CONFIGURACIÓN DE FUENTES RSS
 // ============================================
 
-const NEWS_SOURCES = {
-    thehackernews: {
-        name: 'The Hacker News',
-        rss: 'https://feeds.feedburner.com/TheHackersNews',
-        color: '#e74c3c',
-        category: 'general'
-    },
-    bleepingcomputer: {
-        name: 'BleepingComputer',
-        rss: 'https://www.bleepingcomputer.com/feed/',
-        color: '#2ecc71',
-        category: 'general'
-    },
-    uscert: {
-        name: 'US-CERT (CISA)',
-        rss: 'https://www.cisa.gov/cybersecurity-advisories/all.xml',
-        color: '#c0392b',
-        category: 'intelligence'
-    },
-    krebsonsecurity: {
-        name: 'Krebs on Security',
-        rss: 'https://krebsonsecurity.com/feed/',
-        color: '#16a085',
-        category: 'blog'
-    },
-    virustotal: {
-        name: 'VirusTotal Blog',
-        rss: 'https://blog.virustotal.com/feeds/posts/default',
-        color: '#27ae60',
-        category: 'intelligence'
-    },
-    cisco: {
-        name: 'Cisco Security',
-        rss: 'https://blogs.cisco.com/security/feed',
-        color: '#049fd9',
-        category: 'corporate'
-    },
-    unit42: {
-        name: 'Palo Alto Unit42',
-        rss: 'https://unit42.paloaltonetworks.com/feed/',
-        color: '#fa582d',
-        category: 'intelligence'
-    },
-    unaaldia: {
-        name: 'Una al Día (Hispasec)',
-        rss: 'http://feeds.feedburner.com/hispasec/zCAd',
-        color: '#3498db',
-        category: 'general'
-    },
-    cybersecuritynews: {
-        name: 'Cybersecurity News',
-        rss: 'https://cybersecuritynews.com/feed/',
-        color: '#9b59b6',
-        category: 'general'
-    },
-    seguinfo: {
-        name: 'Segu-Info',
-        rss: 'http://feeds.feedburner.com/NoticiasSeguridadInformatica',
-        color: '#f39c12',
-        category: 'blog'
-    }
-};
+// Registro versionado compartido con el sitio: assets/data/news-sources.json
+const SOURCE_REGISTRY = loadSourceRegistry();
+const NEWS_SOURCES = getEnabledSources(SOURCE_REGISTRY);
 
-const MAX_ARTICLES_PER_SOURCE = 25;
+const MAX_ARTICLES_PER_SOURCE = 25;  // Por defecto si la fuente no define maxItems
 const REQUEST_TIMEOUT = 30000;
 
 // ============================================
@@ -625,23 +415,53 @@ let articlesProcessed = 0;
 let apiErrors = 0;
 let fallbackUsed = 0;
 
+// Noticias ya guardadas que no pasan de nuevo por Claude
+let alreadyStored = 0;
+let claudeCallsAvoided = 0;
+let changedArticles = 0;
+
+// Resiliencia de Claude API
+let apiRetries = 0;
+let circuitOpenSkips = 0;
+const claudeBreaker = new CircuitBreaker();
+
+// Presupuesto de tiempo (NEWS_RUN_BUDGET_MINUTES para ajustarlo sin tocar código)
+const RUN_TIME_BUDGET = Number(process.env.NEWS_RUN_BUDGET_MINUTES) * 60 * 1000 || SAFETY_CONFIG.RUN_TIME_BUDGET;
+let articlesSkippedByDeadline = 0;
+
+// Extracción estructurada
+let threatValidationErrors = 0;
+let threatExtracted = 0;
+
+// Traducción al español
+let translationsDone = 0;
+let translationErrors = 0;
+
+// Texto completo
+let fullTextExtracted = 0;
+let fullTextFailed = 0;
+
+// Enriquecimiento de CVEs
+let cvesEnriched = 0;
+
+// Técnicas ATT&CK inferidas del texto (reglas o IDs literales)
+let attackTechniquesInferred = 0;
+
 // ============================================
-// INICIALIZAR FIREBASE
+// INICIALIZAR ALMACENAMIENTO
 // ============================================
 
-function initializeFirebase() {
+async function initializeStorage() {
     try {
-        const firebaseConfig = JSON.parse(process.env.FIREBASE_CONFIG);
-        
-        initializeApp({
-            credential: cert(firebaseConfig)
-        });
-        
-        const db = getFirestore();
-        console.log('✅ Firebase inicializado correctamente');
-        return db;
+        const storage = await createStorage(STORAGE_CONFIG);
+        console.log(`✅ Almacenamiento inicializado: ${storage.name}${STORAGE_CONFIG.path ? ` (${STORAGE_CONFIG.path})` : ''}`);
+        if (DRY_RUN.enabled) {
+            const articles = await seedArticleFixtures(storage, DRY_RUN.articlesFixture);
+            console.log(`📰 Artículos de fixture para los feeds: ${articles}`);
+        }
+        return storage;
     } catch (error) {
-        console.error('❌ Error inicializando Firebase:', error);
+        console.error('❌ Error inicializando almacenamiento:', error);
         process.exit(1);
     }
 }
@@ -650,48 +470,64 @@ function initializeFirebase() {
 // MONITOREO DE PRESUPUESTO
 // ============================================
 
-async function checkMonthlyBudget(db) {
-    const now = new Date();
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+async function loadSpendLedger(storage) {
+    const sourceCaps = {};
+    for (const source of Object.values(NEWS_SOURCES)) {
+        if (source.monthlyBudget !== undefined) sourceCaps[source.id] = source.monthlyBudget;
+    }
+    
+    const ledger = new SpendLedger({
+        monthly: SAFETY_CONFIG.MONTHLY_BUDGET_LIMIT,
+        daily: SAFETY_CONFIG.DAILY_BUDGET_LIMIT,
+        alertThreshold: SAFETY_CONFIG.ALERT_THRESHOLD,
+        monthlyReserve: SAFETY_CONFIG.MONTHLY_RESERVE,
+        sourceCaps
+    });
     
     try {
-        const snapshot = await db.collection('api_usage')
-            .where('timestamp', '>=', Timestamp.fromDate(monthStart))
-            .get();
-        
-        let totalCost = 0;
-        let totalCalls = 0;
-        
-        snapshot.forEach(doc => {
-            const data = doc.data();
-            totalCost += data.actualCost || 0;
-            totalCalls += data.apiCalls || 0;
-        });
-        
-        console.log(`\n💰 PRESUPUESTO MENSUAL:`);
-        console.log(`   Gasto acumulado: $${totalCost.toFixed(4)}`);
-        console.log(`   Llamadas totales: ${totalCalls}`);
-        console.log(`   Límite mensual: $${SAFETY_CONFIG.MONTHLY_BUDGET_LIMIT}`);
-        console.log(`   Disponible: $${(SAFETY_CONFIG.MONTHLY_BUDGET_LIMIT - totalCost).toFixed(4)}`);
-        
-        // BLOQUEO AUTOMÁTICO
-        if (totalCost >= SAFETY_CONFIG.MONTHLY_BUDGET_LIMIT) {
-            throw new Error(`🚨 LÍMITE MENSUAL ALCANZADO: $${totalCost.toFixed(2)} / $${SAFETY_CONFIG.MONTHLY_BUDGET_LIMIT}`);
-        }
-        
-        // ALERTA
-        if (totalCost >= SAFETY_CONFIG.ALERT_THRESHOLD) {
-            console.warn(`⚠️ ALERTA: Has gastado $${totalCost.toFixed(2)} de $${SAFETY_CONFIG.MONTHLY_BUDGET_LIMIT}`);
-        }
-        
-        return { totalCost, totalCalls };
-        
+        await ledger.load(storage);
     } catch (error) {
-        if (error.message.includes('LÍMITE MENSUAL')) {
-            throw error;
-        }
         console.warn('⚠️ No se pudo verificar presupuesto mensual, continuando...');
-        return { totalCost: 0, totalCalls: 0 };
+        return ledger;
+    }
+    
+    const headroom = ledger.getHeadroom();
+    console.log(`\n💰 PRESUPUESTO:`);
+    console.log(`   Mensual: $${headroom.monthly.spent.toFixed(4)} / $${headroom.monthly.limit} (disponible $${headroom.monthly.remaining.toFixed(4)})`);
+    console.log(`   Diario:  $${headroom.daily.spent.toFixed(4)} / $${headroom.daily.limit} (disponible $${headroom.daily.remaining.toFixed(4)})`);
+    console.log(`   Llamadas del mes: ${ledger.previous.monthlyCalls}`);
+    if (Object.keys(sourceCaps).length > 0) {
+        console.log(`   Fuentes con límite: ${Object.keys(sourceCaps).length}`);
+    }
+    
+    // BLOQUEO AUTOMÁTICO
+    if (ledger.isMonthlyExhausted()) {
+        throw new Error(`🚨 LÍMITE MENSUAL ALCANZADO: $${headroom.monthly.spent.toFixed(2)} / $${SAFETY_CONFIG.MONTHLY_BUDGET_LIMIT}`);
+    }
+    
+    // ALERTA
+    if (ledger.isAlertCrossed()) {
+        console.warn(`⚠️ ALERTA: Has gastado $${headroom.monthly.spent.toFixed(2)} de $${SAFETY_CONFIG.MONTHLY_BUDGET_LIMIT}`);
+    }
+    
+    return ledger;
+}
+
+/**
+ * Registra la alerta del mes si esta ejecución cruzó el umbral
+ * @returns {Promise<boolean>} - true si la alerta es nueva
+ */
+async function raiseBudgetAlert(storage, ledger) {
+    if (!ledger.isAlertCrossed()) return false;
+    try {
+        const raised = await storage.raiseBudgetAlert(ledger.buildAlertRecord());
+        if (raised) {
+            console.warn(`🚨 Alerta de presupuesto registrada: $${ledger.monthlySpent().toFixed(2)} ≥ umbral $${SAFETY_CONFIG.ALERT_THRESHOLD}`);
+        }
+        return raised;
+    } catch (error) {
+        console.error('⚠️ Error registrando alerta de presupuesto:', error.message);
+        return false;
     }
 }
 
@@ -699,49 +535,69 @@ async function checkMonthlyBudget(db) {
 // CLAUDE API - PROCESSING
 // ============================================
 
-async function processArticleWithClaude(article, monthlyBudget) {
+/**
+ * Llamada a Claude con todas las salvaguardas: límite por ejecución,
+ * circuit breaker, presupuesto (reserva y liquidación en el libro de gasto),
+ * reintentos y registro del costo real.
+ *
+ * @param {string} prompt
+ * @param {number} maxTokens - Tokens de salida (también la estimación de costo)
+ * @param {Object} options - { ledger, sourceId, deadline, stub: () => respuesta simulada (dry-run) }
+ * @returns {Promise<Object>} - { status: 'ok', result } | { status: 'skipped', reason }
+ *   Los errores de la API se propagan con el circuit breaker ya actualizado.
+ */
+async function requestClaude(prompt, maxTokens, { ledger, sourceId, deadline, stub }) {
     // Verificar límite por ejecución
     if (apiCallCount >= SAFETY_CONFIG.MAX_CALLS_PER_RUN) {
         console.warn(`⚠️ LÍMITE DE EJECUCIÓN ALCANZADO: ${apiCallCount} llamadas`);
-        fallbackUsed++;
-        return generateExtractiveSummary(article);
+        return { status: 'skipped', reason: 'run_limit' };
     }
     
-    // Degradación gradual según presupuesto
-    const processingLevel = determineProcessingLevel(monthlyBudget);
-    
-    if (processingLevel === 'none') {
-        console.warn(`⚠️ Presupuesto agotado, usando método extractivo`);
-        fallbackUsed++;
-        return generateExtractiveSummary(article);
+    // Circuito abierto: la API falló repetidamente en esta ejecución
+    if (claudeBreaker.isOpen()) {
+        circuitOpenSkips++;
+        return { status: 'skipped', reason: 'circuit_open' };
     }
     
     const claudeApiKey = process.env.CLAUDE_API_KEY;
-    if (!claudeApiKey) {
+    if (!claudeApiKey && !DRY_RUN.enabled) {
         console.warn('⚠️ CLAUDE_API_KEY no configurado, usando extractivo');
-        fallbackUsed++;
-        return generateExtractiveSummary(article);
+        return { status: 'skipped', reason: 'no_api_key' };
+    }
+    
+    // Estimar costo
+    const estimatedInputTokens = Math.ceil(prompt.length / 4);
+    const estimatedCallCost = 
+        (estimatedInputTokens / 1000000 * SAFETY_CONFIG.PRICE_INPUT) +
+        (maxTokens / 1000000 * SAFETY_CONFIG.PRICE_OUTPUT);
+    
+    // Degradación gradual según presupuesto (mensual, diario y por fuente)
+    const processingLevel = determineProcessingLevel(ledger, sourceId, estimatedCallCost);
+    
+    if (processingLevel.level === 'none') {
+        debugLog(`   ⚠️ Presupuesto ${processingLevel.label} agotado, sin llamada a Claude`);
+        return { status: 'skipped', reason: 'budget' };
     }
     
+    let spentCost = 0;
     try {
         apiCallCount++;
-        
-        // Construir prompt optimizado
-        const prompt = buildOptimizedPrompt(article);
-        
-        // Estimar costo (NUEVO: sin traducción, tokens reducidos)
-        const estimatedInputTokens = Math.ceil(prompt.length / 4);
-        const estimatedOutputTokens = 150;  // Reducido de 400 a 150
-        const estimatedCallCost = 
-            (estimatedInputTokens / 1000000 * SAFETY_CONFIG.PRICE_INPUT) +
-            (estimatedOutputTokens / 1000000 * SAFETY_CONFIG.PRICE_OUTPUT);
-        
         estimatedCost += estimatedCallCost;
         
         console.log(`   🤖 API call ${apiCallCount}`);
         
-        // Llamar a Claude API
-        const result = await callClaudeAPI(prompt, estimatedOutputTokens);
+        // Llamar a Claude API con reintentos (en dry-run: respuesta simulada)
+        const result = DRY_RUN.enabled
+            ? await stub()
+            : await withRetry(() => callClaudeAPI(prompt, maxTokens), {
+                // No se espera un reintento que terminaría después del presupuesto
+                canRetry: (delay) => !deadline || deadline.remaining() > delay + SAFETY_CONFIG.API_TIMEOUT,
+                onRetry: (error, attempt, delay) => {
+                    apiRetries++;
+                    console.warn(`   🔁 Reintento ${attempt} en ${(delay / 1000).toFixed(1)}s (${error.message.substring(0, 80)})`);
+                }
+            });
+        claudeBreaker.recordSuccess();
         
         // Registrar uso real
         actualInputTokens += result.usage.input_tokens;
@@ -750,58 +606,129 @@ async function processArticleWithClaude(article, monthlyBudget) {
             (result.usage.input_tokens / 1000000 * SAFETY_CONFIG.PRICE_INPUT) +
             (result.usage.output_tokens / 1000000 * SAFETY_CONFIG.PRICE_OUTPUT);
         actualCost += callCost;
+        spentCost = callCost;
         
         console.log(`   💰 Costo real: $${callCost.toFixed(6)}`);
-        
-        // Parsear respuesta
-        return parseClaudeResponse(result.content);
+        return { status: 'ok', result };
         
     } catch (error) {
         apiErrors++;
         console.error(`   ❌ Error en Claude API: ${error.message}`);
         
+        if (claudeBreaker.recordFailure(error)) {
+            console.warn(`   🚫 Circuit breaker abierto: ${claudeBreaker.reason}`);
+            console.warn(`      Resto de la ejecución sin llamadas a Claude`);
+        }
+        throw error;
+    } finally {
+        // La reserva se reemplaza por el costo real (0 si la llamada falló)
+        if (ledger) ledger.settle(sourceId, estimatedCallCost, spentCost);
+    }
+}
+
+async function processArticleWithClaude(article, ledger, summaryCache, deadline) {
+    // Construir prompt optimizado
+    const prompt = buildOptimizedPrompt(article);
+    
+    // Caché por contenido: un acierto no consume llamadas ni presupuesto
+    const cacheKey = summaryCache ? summaryCache.keyFor(prompt) : null;
+    if (summaryCache) {
+        const cached = await summaryCache.get(cacheKey);
+        if (cached) {
+            debugLog(`   📦 Resumen desde caché`);
+            return cached;
+        }
+    }
+    
+    // Resumen (~150) + extracción estructurada (~300)
+    const outputTokens = 450;
+    
+    let response;
+    try {
+        response = await requestClaude(prompt, outputTokens, {
+            ledger,
+            sourceId: article.sourceId,
+            deadline,
+            stub: () => stubClaudeAPI(prompt, outputTokens, article)
+        });
+    } catch (error) {
         if (SAFETY_CONFIG.ENABLE_FALLBACK) {
             console.log(`   🔄 Usando fallback extractivo`);
             fallbackUsed++;
             return generateExtractiveSummary(article);
         }
-        
         throw error;
     }
+    
+    // Sin llamada (límite, circuito, clave o presupuesto): método extractivo
+    if (response.status === 'skipped') {
+        fallbackUsed++;
+        return generateExtractiveSummary(article);
+    }
+    
+    // Parsear respuesta (solo se cachean resúmenes válidos)
+    const parsed = parseClaudeResponse(response.result.content);
+    if (summaryCache && parsed.summary) {
+        await summaryCache.set(cacheKey, parsed, response.result.usage);
+    }
+    return parsed;
 }
 
+const BUDGET_LABELS = { monthly: 'mensual', daily: 'diario', source: 'de la fuente' };
+
 /**
  * Determina nivel de procesamiento según presupuesto
  * NUEVO: Todos los niveles generan solo summary (sin traducción)
+ * Si la llamada cabe, su costo estimado queda reservado en el libro de gasto.
+ *
+ * @returns {Object} - { level: 'summary'|'none', reason, label }
  */
-function determineProcessingLevel(monthlyBudget) {
-    const remaining = SAFETY_CONFIG.MONTHLY_BUDGET_LIMIT - monthlyBudget;
+function determineProcessingLevel(ledger, sourceId, estimatedCallCost) {
+    if (!ledger) return { level: 'summary', reason: null, label: null };
     
-    if (remaining >= 0.25) return 'summary';  // Solo resumen
-    return 'none';                            // Fallback extractivo
+    const { allowed, reason } = ledger.tryReserve(sourceId, estimatedCallCost);
+    if (allowed) return { level: 'summary', reason: null, label: null };  // Solo resumen
+    return { level: 'none', reason, label: BUDGET_LABELS[reason] };          // Fallback extractivo
 }
 
 /**
  * Construye prompt optimizado para Claude
- * NUEVO: Solo genera resumen en idioma original (sin traducción)
+ * Resumen en idioma original + extracción estructurada (lib/threat-extraction.js).
+ * Cambios en el texto → subir SAFETY_CONFIG.PROMPT_VERSION (clave de caché).
  */
 function buildOptimizedPrompt(article) {
     // Sanitizar inputs para prevenir prompt injection (OWASP)
     const sanitizedTitle = (article.title || '').substring(0, 500);
     const sanitizedDescription = (article.description || '').substring(0, 2000);
     
+    // Solo con extracción exitosa: el prompt (y la clave de caché) del resto no cambia
+    const articleText = article.fullText
+        ? `\nArticle Text (extracted from the web page, may be truncated):\n${article.fullText}`
+        : '';
+    
     const basePrompt = `You are a cybersecurity intelligence assistant processing threat information for CISOs.
 
 Article Title: ${sanitizedTitle}
-Article Description: ${sanitizedDescription}
+Article Description: ${sanitizedDescription}${articleText}
 
 Task:
-Generate a concise 2-3 sentence summary in the SAME language as the original article.
-Focus on: threat, impact, and affected systems.
-Keep technical terms (CVE, CVSS, API, IoC, etc.) in their original form.
+1. Generate a concise 2-3 sentence summary in the SAME language as the original article.
+   Focus on: threat, impact, and affected systems.
+   Keep technical terms (CVE, CVSS, API, IoC, etc.) in their original form.
+2. Extract ONLY what the article states (never guess). Use empty arrays when absent.
 
 Return ONLY a JSON object (no markdown formatting):
-{"summary": "Your summary in the same language as the article"}`;
+{"summary": "Your summary in the same language as the article",
+ "threat": {
+  "cves": ["CVE-YYYY-NNNNN"],
+  "threatActors": ["group names as written, e.g. Lazarus Group"],
+  "malwareFamilies": ["malware or ransomware family names"],
+  "affected": [{"vendor": "Vendor", "product": "Product", "versions": ["affected versions"]}],
+  "exploitationStatus": "actively_exploited | poc_available | not_exploited | unknown",
+  "attackTechniques": ["MITRE ATT&CK IDs like T1566 or T1190.001"],
+  "severity": "critical | high | medium | low",
+  "severityRationale": "one sentence in English"
+ }}`;
     
     return basePrompt;
 }
@@ -809,7 +736,7 @@ Return ONLY a JSON object (no markdown formatting):
 async function callClaudeAPI(prompt, maxTokens) {
     return new Promise((resolve, reject) => {
         const postData = JSON.stringify({
-            model: 'claude-3-5-haiku-20241022',
+            model: SAFETY_CONFIG.CLAUDE_MODEL,
             max_tokens: maxTokens,
             messages: [{
                 role: 'user',
@@ -841,15 +768,17 @@ async function callClaudeAPI(prompt, maxTokens) {
                         reject(new Error(`JSON parse error: ${error.message}`));
                     }
                 } else {
-                    reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+                    reject(createAPIError(res.statusCode, data, res.headers));
                 }
             });
         });
         
         req.on('error', reject);
         req.on('timeout', () => {
+            const error = new Error('API timeout');
+            error.code = 'API_TIMEOUT';
             req.destroy();
-            reject(new Error('API timeout'));
+            reject(error);
         });
         
         req.write(postData);
@@ -876,18 +805,28 @@ function parseClaudeResponse(content) {
         const parsed = JSON.parse(cleanText);
         
         // Validación y sanitización (OWASP)
-        const summary = (parsed.summary || '').substring(0, 1000);
+        if (parsed && typeof parsed.summary === 'string') {
+            parsed.summary = parsed.summary.substring(0, 1000);
+        }
+        
+        // Validación contra JSON Schema: un "threat" inválido se descarta, el resumen se conserva
+        const { summary, threat, errors } = validateThreatResponse(parsed);
+        if (errors.length > 0) {
+            threatValidationErrors++;
+            console.warn(`   ⚠️ Respuesta fuera de esquema: ${errors.slice(0, 3).join('; ')}`);
+        }
         
         const result = {
-            summary: summary
+            summary: summary,
+            threat: threat
         };
         
-        debugLog(`   ✅ Parsing exitoso - summary: ${result.summary.length} chars`);
+        debugLog(`   ✅ Parsing exitoso - summary: ${result.summary.length} chars${threat ? ', threat validado' : ''}`);
         
         return result;
     } catch (error) {
         console.error(`   ❌ Error parseando respuesta: ${error.message}`);
-        return { summary: '' };
+        return { summary: '', threat: null };
     }
 }
 
@@ -915,84 +854,166 @@ function generateExtractiveSummary(article) {
 }
 
 // ============================================
-// CIA+NR SCORE CALCULATION
+// TRADUCCIÓN AL ESPAÑOL (OPCIONAL)
 // ============================================
 
-function calculateCIAScore(text) {
-    const textLower = text.toLowerCase();
-    
-    const scores = {
-        confidentiality: 0,
-        integrity: 0,
-        availability: 0,
-        nonRepudiation: 0
-    };
-    
-    // CONFIDENTIALITY
-    const confidentialityKeywords = [
-        { words: ['data breach', 'data leak', 'exposed data', 'leaked database', 'credentials leak', 'password dump'], score: 3 },
-        { words: ['unauthorized access', 'information disclosure', 'sensitive data', 'personal information', 'privacy breach'], score: 2 },
-        { words: ['encryption', 'data exposure', 'confidential', 'private key', 'secret'], score: 1 }
-    ];
+/**
+ * Prompt de traducción de título y resumen (EN → ES)
+ * Cambios en el texto → subir SAFETY_CONFIG.TRANSLATION_PROMPT_VERSION (clave de caché).
+ */
+function buildTranslationPrompt(article) {
+    const sanitizedTitle = (article.title || '').substring(0, 500);
+    const sanitizedSummary = (article.summary || '').substring(0, 1000);
     
-    confidentialityKeywords.forEach(group => {
-        group.words.forEach(keyword => {
-            if (textLower.includes(keyword)) {
-                scores.confidentiality = Math.max(scores.confidentiality, group.score);
-            }
-        });
-    });
+    return `Translate this cybersecurity news title and summary from English to neutral Spanish for CISOs in Spain and Latin America.
+Keep CVE IDs, vendor and product names, threat actor and malware names, and technical acronyms (CVSS, RCE, IoC, etc.) unchanged.
+
+Title: ${sanitizedTitle}
+Summary: ${sanitizedSummary}
+
+Return ONLY a JSON object (no markdown formatting):
+{"titleEs": "Spanish title", "summaryEs": "Spanish summary"}`;
+}
+
+/**
+ * Parsea la traducción: ambos campos deben ser texto no vacío
+ * @returns {Object|null} - { titleEs, summaryEs }
+ */
+function parseTranslationResponse(content) {
+    try {
+        const cleanText = content[0].text
+            .replace(/```json\n?/g, '')
+            .replace(/```\n?/g, '')
+            .trim();
+        const parsed = JSON.parse(cleanText);
+        
+        if (typeof parsed.titleEs !== 'string' || typeof parsed.summaryEs !== 'string' ||
+            !parsed.titleEs.trim() || !parsed.summaryEs.trim()) {
+            throw new Error('faltan titleEs/summaryEs');
+        }
+        return {
+            titleEs: parsed.titleEs.trim().substring(0, 500),
+            summaryEs: parsed.summaryEs.trim().substring(0, 1000)
+        };
+    } catch (error) {
+        console.error(`   ❌ Error parseando traducción: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * ¿Queda margen para traducir? Se revisa antes de cada llamada
+ * porque el margen se reduce con cada resumen y traducción
+ */
+function hasTranslationHeadroom(ledger) {
+    const headroom = ledger.getHeadroom();
+    return headroom.monthly.remaining >= SAFETY_CONFIG.TRANSLATION_MIN_MONTHLY_HEADROOM &&
+        headroom.daily.remaining >= SAFETY_CONFIG.TRANSLATION_MIN_DAILY_HEADROOM;
+}
+
+/**
+ * Traduce una historia (caché primero)
+ * @returns {Promise<Object|null>} - { titleEs, summaryEs } o null si no se tradujo
+ */
+async function translateArticle(article, context) {
+    const { ledger, translationCache, deadline } = context;
+    const prompt = buildTranslationPrompt(article);
     
-    // INTEGRITY
-    const integrityKeywords = [
-        { words: ['backdoor', 'rootkit', 'trojan', 'code injection', 'sql injection', 'command injection'], score: 3 },
-        { words: ['malware', 'virus', 'worm', 'file modification', 'tampering'], score: 2 },
-        { words: ['integrity check', 'checksum', 'hash'], score: 1 }
-    ];
+    const cacheKey = translationCache.keyFor(prompt);
+    const cached = await translationCache.get(cacheKey);
+    if (cached) {
+        debugLog(`   📦 Traducción desde caché`);
+        return cached;
+    }
     
-    integrityKeywords.forEach(group => {
-        group.words.forEach(keyword => {
-            if (textLower.includes(keyword)) {
-                scores.integrity = Math.max(scores.integrity, group.score);
-            }
+    const outputTokens = 300;
+    let response;
+    try {
+        response = await requestClaude(prompt, outputTokens, {
+            ledger,
+            sourceId: article.sourceId,
+            deadline,
+            stub: () => stubTranslationAPI(prompt, outputTokens, article)
         });
-    });
+    } catch (error) {
+        translationErrors++;
+        return null;
+    }
+    if (response.status === 'skipped') return null;
     
-    // AVAILABILITY
-    const availabilityKeywords = [
-        { words: ['ddos', 'denial of service', 'ransomware', 'system down', 'outage', 'service disruption'], score: 3 },
-        { words: ['downtime', 'unavailable', 'crash', 'flooding'], score: 2 },
-        { words: ['performance', 'slowdown', 'resource exhaustion'], score: 1 }
-    ];
+    const translation = parseTranslationResponse(response.result.content);
+    if (!translation) {
+        translationErrors++;
+        return null;
+    }
+    await translationCache.set(cacheKey, translation, response.result.usage);
+    return translation;
+}
+
+const TRANSLATION_STOPS = { disabled: 'desactivada (--translate)', headroom: 'sin margen de presupuesto', deadline: 'sin tiempo' };
+
+/**
+ * Nivel opcional: titleEs/summaryEs para las historias en inglés más relevantes
+ * (principal de su cluster, con resumen), mientras haya margen de presupuesto
+ *
+ * @returns {Promise<Object>} - { candidates, translated, stoppedBy: null|'disabled'|'headroom'|'deadline' }
+ */
+async function translateTopStories(articles, context) {
+    const candidates = articles
+        .filter(article => article.language === 'en' && article.summary && article.clusterPrimary !== false)
+        .sort((a, b) =>
+            ((b.filter ? b.filter.score : 0) - (a.filter ? a.filter.score : 0)) ||
+            ((b.metadata.relevanceScore || 0) - (a.metadata.relevanceScore || 0))
+        )
+        .slice(0, SAFETY_CONFIG.TRANSLATION_MAX_PER_RUN);
     
-    availabilityKeywords.forEach(group => {
-        group.words.forEach(keyword => {
-            if (textLower.includes(keyword)) {
-                scores.availability = Math.max(scores.availability, group.score);
-            }
-        });
-    });
+    const stats = { candidates: candidates.length, translated: 0, stoppedBy: null };
+    if (!SAFETY_CONFIG.TRANSLATION_ENABLED) {
+        stats.stoppedBy = 'disabled';
+        return stats;
+    }
+    if (candidates.length === 0) return stats;
     
-    // NON-REPUDIATION
-    const nonRepudiationKeywords = [
-        { words: ['log deletion', 'log tampering', 'anti-forensics', 'covering tracks'], score: 3 },
-        { words: ['logging', 'audit trail', 'forensics', 'attribution'], score: 2 },
-        { words: ['timestamp', 'digital signature', 'certificate'], score: 1 }
-    ];
+    console.log(`\n🌐 Traduciendo al español hasta ${candidates.length} historias en inglés...`);
     
-    nonRepudiationKeywords.forEach(group => {
-        group.words.forEach(keyword => {
-            if (textLower.includes(keyword)) {
-                scores.nonRepudiation = Math.max(scores.nonRepudiation, group.score);
-            }
-        });
-    });
+    // Secuencial: el margen se vuelve a evaluar antes de cada llamada
+    for (const article of candidates) {
+        if (checkRunDeadline(context.deadline)) {
+            stats.stoppedBy = 'deadline';
+            break;
+        }
+        if (!hasTranslationHeadroom(context.ledger)) {
+            stats.stoppedBy = 'headroom';
+            console.log('   💸 Sin margen de presupuesto para más traducciones');
+            break;
+        }
+        
+        const translation = await translateArticle(article, context);
+        if (translation) {
+            article.titleEs = translation.titleEs;
+            article.summaryEs = translation.summaryEs;
+            stats.translated++;
+            translationsDone++;
+        }
+    }
     
-    return scores;
+    console.log(`✅ ${stats.translated} historias traducidas`);
+    return stats;
 }
 
+// ============================================
+// METADATA (reglas)
+// ============================================
+
+// Threat actors: alias de todos los esquemas de nombres → id canónico
+const THREAT_ACTORS = loadThreatActorTaxonomy();
+
+// Productos afectados: catálogo vendor:product (CPE) con alias y familias
+const PRODUCTS = loadProductCatalog();
+
 function enrichMetadata(article) {
     const text = `${article.title} ${article.description}`.toLowerCase();
+    const analyzed = analyzeText(text, { language: article.language });
     
     // Extraer CVEs
     const cvePattern = /cve-\d{4}-\d{4,7}/gi;
@@ -1008,281 +1029,928 @@ function enrichMetadata(article) {
     const cvssScore = cvssScores.length > 0 ? Math.max(...cvssScores) : null;
     
     // Determinar severidad
-    let severityLevel = 'low';
-    if (cvssScore !== null) {
-        if (cvssScore >= 9.0) severityLevel = 'critical';
-        else if (cvssScore >= 7.0) severityLevel = 'high';
-        else if (cvssScore >= 4.0) severityLevel = 'medium';
-    }
+    const severityLevel = severityFromScore(cvssScore);
     
-    // Threat Actors
-    const threatActors = [];
-    const aptPattern = /apt[-\s]?\d+/gi;
-    const apts = text.match(aptPattern) || [];
-    threatActors.push(...apts.map(apt => apt.replace(/\s/g, '').toUpperCase()));
-    
-    // Productos afectados
-    const products = [];
-    const productKeywords = ['windows', 'linux', 'android', 'ios', 'chrome', 'firefox', 'safari', 
-                           'office', 'exchange', 'outlook', 'teams', 'azure', 'aws', 'cisco', 
-                           'vmware', 'oracle', 'apache', 'nginx', 'wordpress'];
-    
-    productKeywords.forEach(product => {
-        if (text.includes(product)) {
-            products.push(product.charAt(0).toUpperCase() + product.slice(1));
-        }
-    });
+    // Threat Actors (taxonomía + APTnn genéricos)
+    const threatActors = THREAT_ACTORS.extract(analyzed);
     
-    // CIA+NR Score
-    const ciaScore = calculateCIAScore(text);
+    // Productos afectados (alias → vendor:product; "aws" no coincide dentro de "laws")
+    const products = PRODUCTS.extract(analyzed);
     
-    // Calcular relevancia (0-100)
-    let relevanceScore = 0;
-    if (cves.length > 0) relevanceScore += 30;
-    if (cvssScore && cvssScore >= 7.0) relevanceScore += 30;
-    if (severityLevel === 'critical') relevanceScore += 20;
-    if (threatActors.length > 0) relevanceScore += 10;
-    if (products.length > 0) relevanceScore += 10;
+    // Estado de explotación (solo frases explícitas; el modelo afina)
+    let exploitationStatus = 'unknown';
+    if (/actively exploited|exploited in the wild|under active exploitation|activamente explotad|explotad[oa] activamente/.test(text)) {
+        exploitationStatus = 'actively_exploited';
+    } else if (/proof[- ]of[- ]concept|\bpoc\b|prueba de concepto/.test(text)) {
+        exploitationStatus = 'poc_available';
+    }
     
-    return {
+    // Evidencia CIA+NR del texto (el score se calcula en withDerivedScores)
+    const ciaEvidence = collectKeywordEvidence(analyzed);
+    const cvssVectors = extractCvssVectors(`${article.title} ${article.description}`);
+    
+    const metadata = {
         cves,
         cvssScore,
         severityLevel,
-        threatActors: [...new Set(threatActors)],
-        affectedProducts: [...new Set(products)],
-        ciaScore,
-        relevanceScore: Math.min(100, relevanceScore),
-        hasVulnerability: cves.length > 0,
-        hasThreatActor: threatActors.length > 0
+        threatActors: threatActors.map(actor => actor.name),
+        threatActorIds: threatActors.map(actor => actor.id),
+        ...productMetadata(products),
+        exploitationStatus,
+        cvssVectors,
+        ciaEvidence
     };
+    
+    return withDerivedScores(metadata);
 }
 
-// ============================================
-// REGISTRAR USO DE API
-// ============================================
-
-async function logAPIUsage(db) {
-    try {
-        await db.collection('api_usage').add({
-            timestamp: Timestamp.now(),
-            apiCalls: apiCallCount,
-            estimatedCost: estimatedCost,
-            actualCost: actualCost,
-            inputTokens: actualInputTokens,
-            outputTokens: actualOutputTokens,
-            articlesProcessed: articlesProcessed,
-            apiErrors: apiErrors,
-            fallbackUsed: fallbackUsed,
-            // v3.0: estadísticas de filtrado
-            filterTotal: filterStats.total,
-            filterApproved: filterStats.approved,
-            filterRejected: filterStats.rejected,
-            filterTechnical: filterStats.byCategory.technical,
-            filterBusiness: filterStats.byCategory.business,
-            filterBlocked: filterStats.byCategory.blocked,
-            filterNoMatch: filterStats.byCategory.no_match
-        });
-        
-        console.log('✅ Uso de API registrado en Firebase');
-    } catch (error) {
-        console.error('⚠️ Error registrando uso de API:', error.message);
+/**
+ * Score CIA+NR 0-10: keywords del texto (ciaEvidence) + vectores CVSS del texto
+ * y de NVD (cveDetails) + estado de explotación
+ */
+function applyCiaModel(metadata) {
+    const keywordEvidence = {};
+    for (const [dimension, entries] of Object.entries(metadata.ciaEvidence || {})) {
+        keywordEvidence[dimension] = entries.filter(entry => entry.source === 'keyword');
     }
+    
+    const cvss = [
+        ...(metadata.cvssVectors || []).map(vector => ({ vector, score: metadata.cvssScore })),
+        ...(metadata.cveDetails || [])
+            .filter(detail => detail.cvss && detail.cvss.vector)
+            .map(detail => ({ id: detail.id, vector: detail.cvss.vector, score: detail.cvss.score }))
+    ];
+    
+    return {
+        ...metadata,
+        ...scoreCIA({ keywordEvidence, cvss, exploitationStatus: metadata.exploitationStatus })
+    };
 }
 
-// ============================================
-// RSS FETCHING
-// ============================================
-
-function fetchRSS(url) {
-    return new Promise((resolve, reject) => {
-        const protocol = url.startsWith('https') ? https : http;
-        const timeout = setTimeout(() => {
-            reject(new Error('Request timeout'));
-        }, REQUEST_TIMEOUT);
-        
-        protocol.get(url, { timeout: REQUEST_TIMEOUT }, (res) => {
-            clearTimeout(timeout);
-            
-            if (res.statusCode !== 200) {
-                reject(new Error(`HTTP ${res.statusCode}`));
-                return;
-            }
-            
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => resolve(data));
-        }).on('error', (error) => {
-            clearTimeout(timeout);
-            reject(error);
-        });
+/**
+ * Relevancia (0-100), score CIA+NR y flags derivados de la metadata
+ * Se recalcula tras combinar con la extracción del modelo
+ */
+function withDerivedScores(metadata) {
+    let relevanceScore = 0;
+    if (metadata.cves.length > 0) relevanceScore += 30;
+    if (metadata.cvssScore && metadata.cvssScore >= 7.0) relevanceScore += 30;
+    if (metadata.severityLevel === 'critical') relevanceScore += 20;
+    if (metadata.threatActors.length > 0) relevanceScore += 10;
+    if (metadata.affectedProducts.length > 0) relevanceScore += 10;
+    
+    return {
+        ...applyCiaModel(metadata),
+        relevanceScore: Math.min(100, relevanceScore),
+        hasVulnerability: metadata.cves.length > 0,
+        hasThreatActor: metadata.threatActors.length > 0
+    };
+}
+
+/**
+ * Datos oficiales de cada CVE (lib/cve-intel.js): CVSS y vector de NVD, CWE,
+ * KEV y EPSS. Sin CVSS en el texto, el de NVD fija la severidad;
+ * un CVE en el catálogo KEV implica explotación activa.
+ */
+function applyCveIntel(metadata, cveIntel) {
+    if (!cveIntel || cveIntel.isEmpty()) return metadata;
+    
+    const cveDetails = metadata.cves.map(cve => cveIntel.lookup(cve));
+    const provenance = { ...metadata.provenance };
+    const result = { ...metadata, cveDetails, provenance };
+    cvesEnriched += cveDetails.filter(detail => detail.cvss || (detail.kev && detail.kev.listed) || detail.epss).length;
+    
+    const officialScores = cveDetails.filter(detail => detail.cvss).map(detail => detail.cvss.score);
+    if (metadata.cvssScore === null && officialScores.length > 0) {
+        result.cvssScore = Math.max(...officialScores);
+        result.severityLevel = severityFromScore(result.cvssScore);
+        provenance.cvssScore = 'nvd';
+        provenance.severityLevel = 'nvd';
+    }
+    
+    result.kevListed = cveDetails.some(detail => detail.kev && detail.kev.listed);
+    if (result.kevListed && metadata.exploitationStatus !== 'actively_exploited') {
+        result.exploitationStatus = 'actively_exploited';
+        provenance.exploitationStatus = 'kev';
+    }
+    
+    const epssScores = cveDetails.filter(detail => detail.epss).map(detail => detail.epss.score);
+    result.epssScore = epssScores.length > 0 ? Math.max(...epssScores) : null;
+    
+    return result;
+}
+
+/**
+ * Nombres de actores (reglas + modelo, como estén escritos) → canónicos
+ * sin duplicados: "Fancy Bear" del modelo y "APT28" de las reglas son uno
+ */
+function canonicalizeThreatActors(metadata) {
+    const actors = THREAT_ACTORS.canonicalize(metadata.threatActors);
+    return {
+        ...metadata,
+        threatActors: actors.map(actor => actor.name),
+        threatActorIds: actors.map(actor => actor.id)
+    };
+}
+
+/**
+ * Productos (reglas + modelo) → vendor:product canónicos; el fabricante
+ * que da el modelo en "affected" ayuda a resolver nombres cortos ("Exchange")
+ */
+function canonicalizeProducts(metadata) {
+    const vendorOf = new Map((metadata.affectedVersions || [])
+        .map(entry => [String(entry.product).toLowerCase(), entry.vendor]));
+    const products = PRODUCTS.canonicalize(metadata.affectedProducts
+        .map(name => ({ name, vendor: vendorOf.get(String(name).toLowerCase()) })));
+    return { ...metadata, ...productMetadata(products) };
+}
+
+/**
+ * Combina la metadata de reglas con la extracción validada de Claude
+ * y con los datos locales de los CVEs resultantes
+ */
+function applyThreatExtraction(ruleMetadata, threat, cveIntel) {
+    if (threat) threatExtracted++;
+    const merged = canonicalizeProducts(canonicalizeThreatActors(mergeThreatMetadata(ruleMetadata, threat)));
+    return withDerivedScores(applyCveIntel(merged, cveIntel));
+}
+
+/**
+ * Técnicas ATT&CK de la noticia: IDs del texto + comportamientos + modelo
+ * (lib/attack-mapping.js), con nombre, tácticas y confianza en metadata.attackDetails
+ */
+function applyAttackMapping(article, attackMapper) {
+    const metadata = article.metadata;
+    const techniques = attackMapper.infer({
+        text: `${article.title} ${article.description}`,
+        language: article.language,
+        modelTechniques: metadata.attackTechniques || []
     });
+    
+    const fromText = techniques.filter(technique => technique.sources.some(source => source !== 'model'));
+    const fromModel = techniques.filter(technique => technique.sources.includes('model'));
+    attackTechniquesInferred += fromText.length;
+    
+    const provenance = { ...metadata.provenance };
+    if (fromText.length > 0 || fromModel.length > 0) {
+        provenance.attackTechniques = fromText.length > 0 && fromModel.length > 0 ? 'rule+model' : (fromText.length > 0 ? 'rule' : 'model');
+    } else {
+        delete provenance.attackTechniques;
+    }
+    
+    return {
+        ...metadata,
+        attackTechniques: techniques.map(technique => technique.id),
+        attackDetails: techniques,
+        attackTactics: attackMapper.tacticsOf(techniques),
+        provenance
+    };
+}
+
+/**
+ * Reglas de comportamientos ATT&CK y bundle STIX (--attack-data o ATTACK_DATA_PATH;
+ * en dry-run, los fixtures). Sin bundle, o con uno dañado, se guardan solo los IDs;
+ * con las reglas dañadas, solo los IDs que cite el modelo.
+ */
+function initializeAttackMapper() {
+    const dir = getArgValue('--attack-data') || process.env.ATTACK_DATA_PATH ||
+        (DRY_RUN.enabled ? DRY_RUN.attackDataDir : DEFAULT_ATTACK_DATA_DIR);
+    try {
+        const attackMapper = loadAttackMapper({ dataDir: dir });
+        console.log(attackMapper.info
+            ? `🎯 ATT&CK v${attackMapper.info.version || '?'}: ${attackMapper.info.techniques} técnicas | ${attackMapper.rules.length} reglas de comportamiento\n`
+            : `⚠️ Sin bundle ATT&CK en ${dir} (npm run attack:update): solo IDs\n`);
+        return attackMapper;
+    } catch (error) {
+        console.warn(`⚠️ Datos ATT&CK no disponibles (${error.message}): solo IDs`);
+    }
+    try {
+        const attackMapper = loadAttackMapper({ dataDir: dir, withBundle: false });
+        console.log(`   ${attackMapper.rules.length} reglas de comportamiento sin bundle\n`);
+        return attackMapper;
+    } catch (error) {
+        console.warn(`⚠️ Reglas de comportamientos ATT&CK no disponibles: ${error.message}\n`);
+        return new AttackMapper({ behaviors: { rules: [] } });
+    }
+}
+
+/**
+ * Carga los datos locales de CVEs (--cve-data o CVE_DATA_PATH;
+ * en dry-run, los fixtures). Sin archivos o con uno dañado, se sigue sin ellos.
+ */
+function initializeCveIntel() {
+    const dir = getArgValue('--cve-data') || process.env.CVE_DATA_PATH ||
+        (DRY_RUN.enabled ? DRY_RUN.cveDataDir : DEFAULT_CVE_DATA_DIR);
+    try {
+        const cveIntel = loadCveIntel(dir);
+        const loaded = Object.entries(cveIntel.info).map(([name, info]) => `${name.toUpperCase()} ${info.records} (${info.updated})`);
+        console.log(loaded.length > 0
+            ? `🛡️ Datos de CVEs: ${loaded.join(' | ')}\n`
+            : `⚠️ Sin datos locales de CVEs en ${dir} (npm run cve:update)\n`);
+        return cveIntel;
+    } catch (error) {
+        console.warn(`⚠️ Datos de CVEs no disponibles: ${error.message}\n`);
+        return null;
+    }
 }
 
 // ============================================
-// STRIP HTML - Limpia HTML de contenido RSS
+// REGISTRAR USO DE API
 // ============================================
 
-function stripHTML(html) {
-    if (!html) return '';
-    return html
-        .replace(/<[^>]+>/g, ' ')      // eliminar tags HTML
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"')
-        .replace(/&#39;/g, "'")
-        .replace(/\s{2,}/g, ' ')       // espacios múltiples → uno
-        .trim();
+function buildUsageRecord(summaryCache, ledger) {
+    const cacheStats = summaryCache ? summaryCache.getStats() : { hits: 0, misses: 0 };
+    return {
+        // Gasto por fuente de esta ejecución (para límites por fuente)
+        costBySource: ledger ? ledger.run.bySource : {},
+        budgetDenied: ledger ? ledger.denied : {},
+        apiCalls: apiCallCount,
+        estimatedCost: estimatedCost,
+        actualCost: actualCost,
+        inputTokens: actualInputTokens,
+        outputTokens: actualOutputTokens,
+        articlesProcessed: articlesProcessed,
+        articlesSkippedByDeadline: articlesSkippedByDeadline,
+        apiErrors: apiErrors,
+        fallbackUsed: fallbackUsed,
+        alreadyStored: alreadyStored,
+        claudeCallsAvoided: claudeCallsAvoided,
+        changedArticles: changedArticles,
+        apiRetries: apiRetries,
+        circuitOpen: claudeBreaker.isOpen(),
+        circuitOpenSkips: circuitOpenSkips,
+        threatExtracted: threatExtracted,
+        threatValidationErrors: threatValidationErrors,
+        translations: translationsDone,
+        translationErrors: translationErrors,
+        fullTextExtracted: fullTextExtracted,
+        fullTextFailed: fullTextFailed,
+        cvesEnriched: cvesEnriched,
+        attackTechniquesInferred: attackTechniquesInferred,
+        summaryCacheHits: cacheStats.hits,
+        summaryCacheMisses: cacheStats.misses,
+        // v3.0: estadísticas de filtrado
+        filterTotal: filterStats.total,
+        filterApproved: filterStats.approved,
+        filterRejected: filterStats.rejected,
+        filterTechnical: filterStats.byCategory.technical,
+        filterBusiness: filterStats.byCategory.business,
+        filterBlocked: filterStats.byCategory.blocked,
+        filterNoMatch: filterStats.byCategory.no_match
+    };
 }
 
-function parseRSSItem(itemXML) {
-    const getContent = (tag) => {
-        const regex = new RegExp(`<${tag}(?:[^>]*)><!\\[CDATA\\[([^\\]]+)\\]\\]><\\/${tag}>|<${tag}(?:[^>]*)>([^<]+)<\\/${tag}>`, 'i');
-        const match = itemXML.match(regex);
-        return match ? (match[1] || match[2] || '').trim() : '';
-    };
-    
-    const getLink = () => {
-        const linkMatch = itemXML.match(/<link(?:[^>]*)>([^<]+)<\/link>/i);
-        if (linkMatch) return linkMatch[1].trim();
-        
-        const hrefMatch = itemXML.match(/<link[^>]+href=["']([^"']+)["']/i);
-        if (hrefMatch) return hrefMatch[1].trim();
-        
-        return '';
-    };
-    
-    const getPubDate = () => {
-        const pubDateMatch = itemXML.match(/<pubDate>([^<]+)<\/pubDate>/i);
-        if (pubDateMatch) return new Date(pubDateMatch[1]);
-        
-        const publishedMatch = itemXML.match(/<published>([^<]+)<\/published>/i);
-        if (publishedMatch) return new Date(publishedMatch[1]);
-        
-        const updatedMatch = itemXML.match(/<updated>([^<]+)<\/updated>/i);
-        if (updatedMatch) return new Date(updatedMatch[1]);
+async function logAPIUsage(storage, summaryCache, ledger) {
+    try {
+        await storage.logUsage(buildUsageRecord(summaryCache, ledger));
         
-        return new Date();
-    };
-    
-    const getThumbnail = () => {
-        const mediaMatch = itemXML.match(/<media:content[^>]+url=["']([^"']+)["']/i);
-        if (mediaMatch) return mediaMatch[1];
+        console.log(`✅ Uso de API registrado (${storage.name})`);
+    } catch (error) {
+        console.error('⚠️ Error registrando uso de API:', error.message);
+    }
+}
+
+// ============================================
+// RSS FETCHING
+// ============================================
+
+/**
+ * Descarga el feed de una fuente (lib/feed-fetcher.js)
+ * Envía los validadores guardados para obtener 304 si no hay cambios
+ */
+function fetchRSS(source, validators) {
+    if (DRY_RUN.enabled) {
+        return Promise.resolve().then(() => loadFixture(DRY_RUN.fixturesDir, source));
+    }
+    return fetchFeed(source.rss, {
+        validators: validators || {},
+        timeout: REQUEST_TIMEOUT
+    });
+}
+
+// ============================================
+// TEXTO COMPLETO DEL ARTÍCULO
+// ============================================
+
+/**
+ * ¿Se descarga la página? Paso activado, fuente no excluida
+ * (fullText: false en el registro) y descripción del feed corta
+ */
+function needsFullText(article, source) {
+    return SAFETY_CONFIG.FULL_TEXT_ENABLED &&
+        source.fullText &&
+        Boolean(article.link) &&
+        (article.description || '').length < SAFETY_CONFIG.FULL_TEXT_MAX_DESCRIPTION_CHARS;
+}
+
+function fetchArticlePage(article) {
+    if (DRY_RUN.enabled) {
+        return Promise.resolve().then(() => loadPageFixture(DRY_RUN.pagesDir, generateNewsId(article.link)));
+    }
+    return fetchFeed(article.link, {
+        accept: FETCH_CONFIG.ACCEPT_HTML,
+        timeout: SAFETY_CONFIG.FULL_TEXT_TIMEOUT
+    });
+}
+
+/**
+ * Descarga la página y extrae el texto principal (lib/article-extractor.js)
+ * Nunca lanza: si falla, el resumen se hace con la descripción del feed
+ *
+ * @returns {Promise<Object>} - { text, record } (record se guarda en el documento)
+ */
+async function fetchFullText(article) {
+    const record = { success: false, length: 0, tokens: 0, truncated: false, reason: null };
+    try {
+        const response = await fetchArticlePage(article);
+        if (response.contentType && !/html|xml/i.test(response.contentType)) {
+            throw new Error(`tipo de contenido no HTML (${response.contentType})`);
+        }
         
-        const enclosureMatch = itemXML.match(/<enclosure[^>]+url=["']([^"']+)["'][^>]+type=["']image/i);
-        if (enclosureMatch) return enclosureMatch[1];
+        const extracted = extractArticle(decodeHTML(response.body, response.contentType));
+        record.length = extracted.length;
+        if (!extracted.success) {
+            throw new Error(extracted.reason);
+        }
         
-        return '';
-    };
+        const capped = capToTokenBudget(extracted.text, SAFETY_CONFIG.FULL_TEXT_MAX_TOKENS);
+        fullTextExtracted++;
+        debugLog(`   📄 Texto completo: ${extracted.length} caracteres (~${capped.tokens} tokens${capped.truncated ? ', recortado' : ''})`);
+        return { text: capped.text, record: { ...record, success: true, tokens: capped.tokens, truncated: capped.truncated } };
+    } catch (error) {
+        fullTextFailed++;
+        debugLog(`   ⚠️ Texto completo no disponible: ${error.message}`);
+        return { text: null, record: { ...record, reason: error.message } };
+    }
+}
 
-    // Fix cybersecuritynews.com y fuentes que usan content:encoded en lugar de description
-    const getContentEncoded = () => {
-        const regex = /<content:encoded[^>]*>(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?<\/content:encoded>/i;
-        const match = itemXML.match(regex);
-        return match ? stripHTML(match[1].trim()) : '';
-    };
+// ============================================
+// ESTADO DE FEEDS (validadores ETag / Last-Modified)
+// ============================================
+
+/**
+ * Carga los validadores HTTP guardados por fuente
+ * @returns {Promise<Object>} - { sourceId: { etag, lastModified, finalUrl } }
+ */
+async function loadFeedState(storage) {
+    try {
+        const state = await storage.loadFeedState();
+        debugLog(`   🗂️ Estado de feeds cargado: ${Object.keys(state).length} fuentes`);
+        return state;
+    } catch (error) {
+        console.warn('⚠️ No se pudo cargar estado de feeds, descarga completa:', error.message);
+        return {};
+    }
+}
+
+/**
+ * Guarda los validadores de las fuentes procesadas completamente
+ */
+async function saveFeedState(storage, updates) {
+    try {
+        await storage.saveFeedState(updates);
+        debugLog(`   🗂️ Estado de feeds guardado: ${Object.keys(updates).length} fuentes`);
+    } catch (error) {
+        console.warn('⚠️ Error guardando estado de feeds:', error.message);
+    }
+}
+
+// ============================================
+// PARSEO DE FEEDS (RSS 2.0 / Atom 1.0 / RDF)
+// ============================================
+
+/**
+ * Parsea el feed de una fuente con el parser XML (lib/feed-parser.js)
+ *
+ * @param {Object} response - { body: Buffer, contentType }
+ * @param {Object} source - Entrada del registro de fuentes
+ * @returns {Array} - Items con title, link, description, pubDate, author, thumbnail, categories
+ */
+function parseRSS(response, source) {
+    const feed = parseFeed(response.body, {
+        contentType: response.contentType,
+        maxItems: source.maxItems || MAX_ARTICLES_PER_SOURCE,
+        fieldMap: source.fieldMap
+    });
+
+    if (feed.items.length === 0) {
+        console.warn(`⚠️ ${source.name}: No items found in feed (${feed.format})`);
+    } else {
+        debugLog(`   📄 Formato: ${feed.format}`);
+    }
+
+    return feed.items;
+}
+
+// ============================================
+// GUARDAR NOTICIAS
+// ============================================
+
+/**
+ * Genera ID con SHA256 de la URL (OWASP: uso de hash seguro)
+ */
+function generateNewsId(link) {
+    return crypto
+        .createHash('sha256')
+        .update(link)
+        .digest('hex')
+        .substring(0, 16);
+}
+
+/**
+ * Huella del contenido que se envía a Claude (título + descripción).
+ * Si cambia entre ejecuciones, la noticia se vuelve a resumir.
+ */
+function generateContentHash(article) {
+    const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+    return crypto
+        .createHash('sha256')
+        .update(`${normalize(article.title)}\n${normalize(article.description)}`)
+        .digest('hex')
+        .substring(0, 16);
+}
+
+/**
+ * Busca por lotes las noticias ya guardadas de una fuente
+ * @returns {Promise<Map>} - id → documento guardado
+ */
+async function findStoredNews(storage, articles) {
+    try {
+        return await storage.getNewsByIds(articles.map(article => generateNewsId(article.link)));
+    } catch (error) {
+        // Sin la consulta se procesan como nuevas (comportamiento anterior)
+        console.warn(`   ⚠️ No se pudieron consultar noticias guardadas: ${error.message}`);
+        return new Map();
+    }
+}
+
+/**
+ * Construye el documento de noticia (fechas como Date;
+ * cada backend las convierte a su formato)
+ */
+function buildNewsDocument(article) {
+    const newsId = generateNewsId(article.link);
+    const pubDate = new Date(article.pubDate);
+    const now = new Date();
     
+    // titleEs y summaryEs solo si la historia pasó por la traducción opcional
     return {
-        title: getContent('title'),
-        link: getLink(),
-        description: stripHTML(getContent('description') || getContent('summary')) || getContentEncoded(),
-        pubDate: getPubDate(),
-        author: getContent('author') || getContent('dc:creator'),
-        thumbnail: getThumbnail()
+        id: newsId,
+        title: article.title || '',
+        titleEs: article.titleEs || '',
+        link: article.link || '',
+        description: article.description || '',
+        summary: article.summary || '',
+        summaryEs: article.summaryEs || '',
+        language: article.language || '',  // Detectado por artículo (lib/language-detect.js)
+        pubDate: pubDate,
+        sourceId: article.sourceId || '',
+        sourceName: article.sourceName || '',
+        sourceColor: article.sourceColor || '',
+        sourceCategory: article.sourceCategory || '',
+        thumbnail: article.thumbnail || '',
+        author: article.author || '',
+        categories: article.categories || [],
+        metadata: article.metadata || {},
+        filter: article.filter || null,  // Decisión del filtro PRE-API
+        fullTextExtraction: article.fullTextExtraction || null,  // { success, length, tokens, truncated, reason }
+        contentHash: article.contentHash || generateContentHash(article),
+        clusterId: article.clusterId || `cl_${newsId}`,
+        clusterPrimary: article.clusterPrimary !== undefined ? article.clusterPrimary : true,
+        clusterSize: article.clusterSize || 1,
+        year: pubDate.getFullYear(),
+        month: pubDate.getMonth() + 1,
+        day: pubDate.getDate(),
+        dateKey: `${pubDate.getFullYear()}-${String(pubDate.getMonth() + 1).padStart(2, '0')}-${String(pubDate.getDate()).padStart(2, '0')}`,
+        savedAt: article.savedAt || now,  // Se conserva la fecha del primer guardado
+        updatedAt: now
     };
 }
 
-function parseRSS(xmlData, sourceName) {
-    const items = [];
+// ============================================
+// AGRUPACIÓN ENTRE FUENTES
+// ============================================
+
+/**
+ * Asigna clusterId/clusterPrimary/clusterSize a los artículos nuevos
+ * comparándolos con las noticias guardadas de los últimos días.
+ * Las noticias guardadas cuyo cluster cambia se actualizan en el backend.
+ *
+ * @returns {Promise<number>} - Clusters con más de una fuente
+ */
+async function assignStoryClusters(storage, articles) {
+    console.log(`\n🔗 Agrupando historias entre fuentes (últimos ${CLUSTER_CONFIG.LOOKBACK_DAYS} días)...`);
+
+    for (const article of articles) {
+        article.id = generateNewsId(article.link);
+    }
+
+    let storedDocs = [];
+    try {
+        const since = new Date(Date.now() - CLUSTER_CONFIG.LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+        storedDocs = await storage.getRecentNews(since);
+
+        // Miembros guardados de clusters heredados que quedan fuera de la ventana
+        const loaded = new Set(storedDocs.map(doc => doc.id));
+        const inheritedClusters = articles.map(article => article.clusterId).filter(Boolean);
+        if (inheritedClusters.length > 0) {
+            const members = await storage.getNewsByClusterIds(inheritedClusters);
+            storedDocs.push(...members.filter(doc => !loaded.has(doc.id)));
+        }
+    } catch (error) {
+        console.warn('⚠️ No se pudieron leer noticias recientes, se agrupan solo las nuevas:', error.message);
+    }
+
+    const trustOf = (entry) => (NEWS_SOURCES[entry.sourceId] || {}).trust || 3;
+    const { assignments, storedUpdates, clusters } = clusterStories(articles, storedDocs, { trustOf });
+
+    for (const article of articles) {
+        Object.assign(article, assignments.get(article.id));
+    }
+
+    // Un fallo aquí no debe perder los resúmenes ya pagados: las noticias nuevas
+    // conservan su asignación y los campos de las guardadas se corrigen en la próxima ejecución
+    let updated = 0;
+    if (storedUpdates.length > 0) {
+        try {
+            await storage.updateNews(storedUpdates);
+            updated = storedUpdates.length;
+        } catch (error) {
+            console.warn(`⚠️ No se pudieron actualizar ${storedUpdates.length} noticias guardadas del cluster: ${error.message}`);
+        }
+    }
+
+    console.log(`✅ ${clusters} historias cubiertas por varias fuentes (${updated} noticias guardadas actualizadas)`);
+    return clusters;
+}
+
+async function saveNews(storage, articles) {
+    console.log(`\n💾 Guardando ${articles.length} noticias (${storage.name})...`);
     
-    const itemRegex = /<item[\s\S]*?<\/item>|<entry[\s\S]*?<\/entry>/gi;
-    const matches = xmlData.match(itemRegex);
+    const docs = [];
+    for (const article of articles) {
+        try {
+            docs.push(buildNewsDocument(article));
+        } catch (error) {
+            console.error(`❌ Error preparando noticia "${article.title}":`, error.message);
+        }
+    }
     
-    if (!matches) {
-        console.warn(`⚠️ ${sourceName}: No items found in RSS`);
-        return items;
+    const saved = await storage.saveNews(docs);
+    console.log(`✅ ${saved} noticias guardadas`);
+    return saved;
+}
+
+// ============================================
+// SNAPSHOTS Y FEEDS ESTÁTICOS DEL SITIO
+// ============================================
+
+/**
+ * Reescribe los snapshots JSON de los meses afectados (lib/news-snapshots.js)
+ * Un fallo no afecta a lo guardado: el sitio recurre a Firestore
+ *
+ * @returns {Promise<Object|null>} - { months, news, latest } o null
+ */
+async function publishNewsSnapshots(storage, articles) {
+    if (!SNAPSHOTS.enabled) return null;
+    
+    try {
+        const result = await writeNewsSnapshots(storage, {
+            dir: SNAPSHOTS.dir,
+            pubDates: articles.map(article => new Date(article.pubDate)),
+            rebuild: SNAPSHOTS.rebuild
+        });
+        console.log(`🗂️ Snapshots del sitio: ${result.months.length > 0 ? result.months.join(', ') : 'sin cambios'} | latest.json: ${result.latest}`);
+        return result;
+    } catch (error) {
+        console.warn(`⚠️ No se pudieron escribir los snapshots: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Regenera los feeds RSS/Atom/JSON del sitio (lib/site-feeds.js)
+ *
+ * @returns {Promise<Object|null>} - { feeds, written } o null
+ */
+async function publishSiteFeeds(storage) {
+    if (!SITE_FEEDS.enabled) return null;
+    
+    try {
+        const categoryLabels = {};
+        for (const [id, category] of Object.entries(SOURCE_REGISTRY.categories)) {
+            categoryLabels[id] = category.label;
+        }
+        const sourceFeeds = {};
+        for (const source of SOURCE_REGISTRY.sources) {
+            sourceFeeds[source.id] = source.rss;
+        }
+        const result = await writeSiteFeeds(storage, { dir: SITE_FEEDS.dir, categoryLabels, sourceFeeds });
+        console.log(`📡 Feeds del sitio: ${result.feeds} variantes × 3 formatos | ${result.written > 0 ? `${result.written} archivo(s) reescrito(s)` : 'sin cambios'}`);
+        return result;
+    } catch (error) {
+        console.warn(`⚠️ No se pudieron escribir los feeds del sitio: ${error.message}`);
+        return null;
+    }
+}
+
+// ============================================
+// RECHAZOS DEL FILTRO (AUDITORÍA)
+// ============================================
+
+/**
+ * Rechazos promovidos pendientes de procesar
+ * @returns {Promise<Map>} - id → registro de filter_rejections
+ */
+async function loadPromotedRejections(storage) {
+    try {
+        const docs = await storage.getPromotedRejections();
+        if (docs.length > 0) {
+            console.log(`⬆️ ${docs.length} rechazo(s) promovido(s) a procesamiento completo`);
+        }
+        return new Map(docs.map(doc => [doc.id, doc]));
+    } catch (error) {
+        console.warn(`⚠️ No se pudieron leer los rechazos promovidos: ${error.message}`);
+        return new Map();
     }
+}
+
+/**
+ * Procesa los rechazos promovidos que no aparecieron en los feeds de
+ * esta ejecución, con los datos guardados en filter_rejections
+ *
+ * @returns {Promise<Array>} - Artículos resumidos
+ */
+async function processPromotedRejections(context) {
+    const pending = [...context.promotedRejections.values()].filter(doc => !context.promotedHandled.has(doc.id));
+    const tasks = [];
     
-    for (const match of matches.slice(0, MAX_ARTICLES_PER_SOURCE)) {
-        const item = parseRSSItem(match);
-        if (item.title && item.link) {
-            items.push(item);
+    for (const doc of pending) {
+        const source = NEWS_SOURCES[doc.sourceId];
+        if (!source) {
+            console.warn(`   ⚠️ Rechazo promovido ${doc.id}: fuente "${doc.sourceId}" no habilitada, se mantiene pendiente`);
+            continue;
         }
+        if (articlesProcessed >= SAFETY_CONFIG.MAX_ARTICLES_PER_RUN) {
+            console.log(`⚠️ LÍMITE GLOBAL ALCANZADO: ${pending.length - tasks.length} rechazo(s) promovido(s) quedan para la próxima ejecución`);
+            break;
+        }
+        
+        const article = {
+            title: doc.title,
+            link: doc.link,
+            description: doc.description,
+            pubDate: doc.pubDate,
+            author: doc.author || '',
+            categories: doc.categories || []
+        };
+        article.language = detectLanguage(`${article.title} ${article.description}`, source.language).language;
+        const decision = shouldProcessWithClaude(article);
+        const enriched = prepareForSummary(article, source, generateContentHash(article), { ...decision, process: true, promoted: true });
+        
+        filterStats.promoted++;
+        context.promotedHandled.add(doc.id);
+        tasks.push(scheduleSummary(enriched, source, context));
     }
     
-    return items;
+    const summarized = await Promise.all(tasks);
+    return summarized.filter(Boolean);
+}
+
+/**
+ * Registra los rechazos nuevos o modificados, elimina los promovidos
+ * ya guardados como noticia y purga los vencidos.
+ * Es solo auditoría: un fallo no interrumpe la ejecución.
+ *
+ * @returns {Promise<Object>} - { saved, purged }
+ */
+async function saveFilterRejections(storage, records, processedPromotedIds) {
+    const stats = { saved: 0, purged: 0 };
+    try {
+        const existing = await storage.getFilterRejections(records.map(record => record.id));
+        const changed = records.filter(record => isRejectionChanged(existing.get(record.id), record));
+        stats.saved = await storage.saveFilterRejections(changed);
+        await storage.deleteFilterRejections(processedPromotedIds);
+        stats.purged = await storage.purgeFilterRejections();
+    } catch (error) {
+        console.warn(`⚠️ No se pudieron registrar los rechazos del filtro: ${error.message}`);
+    }
+    return stats;
 }
 
 // ============================================
-// GUARDAR EN FIREBASE
+// PROCESAMIENTO POR FUENTE
 // ============================================
 
-async function saveToFirestore(db, articles) {
-    console.log(`\n💾 Guardando ${articles.length} noticias en Firestore...`);
+/**
+ * ¿Venció el presupuesto de tiempo? Avisa una sola vez
+ */
+function checkRunDeadline(deadline) {
+    if (deadline.firstExpiry()) {
+        console.warn(`\n⏱️ PRESUPUESTO DE TIEMPO AGOTADO (${deadline.elapsedSeconds()}s): no se programa trabajo nuevo`);
+    }
+    return deadline.expired();
+}
+
+/**
+ * Artículo aprobado por el filtro con los datos de su fuente,
+ * la metadata por reglas y la decisión del filtro
+ */
+function prepareForSummary(article, source, contentHash, filterDecision) {
+    return {
+        ...article,
+        sourceId: source.id,
+        sourceName: source.name,
+        sourceColor: source.color,
+        sourceCategory: source.category,
+        metadata: enrichMetadata(article),
+        filter: summarizeDecision(filterDecision),
+        contentHash
+    };
+}
+
+/**
+ * Programa el resumen con Claude de un artículo preparado
+ * Reserva el cupo global al programar; vencido el presupuesto de tiempo lo libera.
+ * Con --full-text, antes descarga la página si el feed trae solo un avance.
+ *
+ * @returns {Promise<Object|null>} - Artículo resumido o null si no hubo tiempo
+ */
+function scheduleSummary(enriched, source, context) {
+    const { ledger, summaryCache, deadline, summaryLimit } = context;
     
-    let batch = db.batch();
-    let saved = 0;
+    articlesProcessed++;
+    return summaryLimit(async () => {
+        if (checkRunDeadline(deadline)) {
+            articlesProcessed--;
+            articlesSkippedByDeadline++;
+            return null;
+        }
+        
+        // Texto de la página: solo para el prompt; en el documento queda el resultado
+        if (needsFullText(enriched, source)) {
+            const fullText = await fetchFullText(enriched);
+            enriched.fullText = fullText.text;
+            enriched.fullTextExtraction = fullText.record;
+        }
+        
+        // Procesar con Claude API
+        const aiResult = await processArticleWithClaude(enriched, ledger, summaryCache, deadline);
+        
+        // NUEVO: Solo asignar summary (no titleEs ni summaryEs)
+        enriched.summary = aiResult.summary;
+        enriched.metadata = applyThreatExtraction(enriched.metadata, aiResult.threat, context.cveIntel);
+        enriched.metadata = applyAttackMapping(enriched, context.attackMapper);
+        return enriched;
+    });
+}
+
+/**
+ * Descarga, filtra y resume una fuente
+ * La descarga usa context.fetchLimit y cada resumen context.summaryLimit;
+ * vencido el presupuesto de tiempo no se inicia trabajo nuevo.
+ *
+ * @returns {Promise<Object>} - { key, status: ok|unchanged|failed|deadline|skipped, articles, rejections, feedState }
+ */
+async function processSource(key, source, context) {
+    const { storage, feedState, deadline, fetchLimit, promotedRejections } = context;
+    const result = { key, status: 'failed', articles: [], rejections: [], feedState: null };
     
-    for (const article of articles) {
-        try {
-            // Generar ID con SHA256 (OWASP: uso de hash seguro)
-            const crypto = require('crypto');
-            const newsId = crypto
-                .createHash('sha256')
-                .update(article.link)
-                .digest('hex')
-                .substring(0, 16);
+    try {
+        const fetched = await fetchLimit(async () => {
+            if (checkRunDeadline(deadline)) return null;
+            const response = await fetchRSS(source, feedState[key]);
+            return { response, articles: response.notModified ? [] : parseRSS(response, source) };
+        });
+        
+        if (!fetched) {
+            result.status = 'deadline';
+            return result;
+        }
+        
+        const { response, articles } = fetched;
+        
+        if (response.redirects.length > 0) {
+            debugLog(`   ↪️ ${source.name}: ${response.redirects.length} redirección(es) → ${response.finalUrl}`);
+        }
+        
+        // 304: sin cambios desde la última ejecución, no se parsea
+        if (response.notModified) {
+            console.log(`💤 ${source.name}: sin cambios (304)`);
+            result.status = 'unchanged';
+            result.feedState = { lastStatus: 304 };
+            return result;
+        }
+        
+        if (articles.length === 0) {
+            console.log(`⚠️ ${source.name}: no se encontraron artículos`);
+            return result;
+        }
+        
+        // Una sola consulta por fuente para saber qué ya está guardado
+        const storedNews = await findStoredNews(storage, articles);
+        
+        let sourceCompleted = true;
+        let sourceApproved = 0;
+        let sourceRejected = 0;
+        let sourceSkipped = 0;
+        const tasks = [];
+        
+        for (const article of articles) {
+            // Límite global: se reserva el cupo al programar el artículo
+            if (articlesProcessed >= SAFETY_CONFIG.MAX_ARTICLES_PER_RUN) {
+                if (sourceCompleted) {
+                    console.log(`⚠️ LÍMITE GLOBAL ALCANZADO (${articlesProcessed} artículos): ${source.name} queda incompleta`);
+                }
+                sourceCompleted = false;
+                break;
+            }
             
-            const newsRef = db.collection('news').doc(newsId);
+            // ════════════════════════════════════════
+            // FILTRO PRE-API: solo relevantes a Claude
+            // ════════════════════════════════════════
+            filterStats.total++;
+            const articleId = generateNewsId(article.link);
+            const contentHash = generateContentHash(article);
+            article.language = detectLanguage(`${article.title || ''} ${article.description || ''}`, source.language).language;
+            let filterDecision = shouldProcessWithClaude(article);
+            filterStats.byCategory[filterDecision.category]++;
             
-            const pubDate = new Date(article.pubDate);
+            // Rechazo promovido manualmente (npm run rejections -- promote <id>)
+            if (!filterDecision.process && promotedRejections.has(articleId)) {
+                filterDecision = { ...filterDecision, process: true, promoted: true };
+                filterStats.promoted++;
+                context.promotedHandled.add(articleId);
+            }
             
-            // NUEVO: titleEs y summaryEs siempre vacíos (sin traducción)
-            const newsData = {
-                id: newsId,
-                title: article.title || '',
-                titleEs: '',  // Siempre vacío - sin traducción
-                link: article.link || '',
-                description: article.description || '',
-                summary: article.summary || '',
-                summaryEs: '',  // Siempre vacío - sin traducción
-                pubDate: Timestamp.fromDate(pubDate),
-                sourceName: article.sourceName || '',
-                sourceColor: article.sourceColor || '',
-                sourceCategory: article.sourceCategory || '',
-                thumbnail: article.thumbnail || '',
-                author: article.author || '',
-                metadata: article.metadata || {},
-                year: pubDate.getFullYear(),
-                month: pubDate.getMonth() + 1,
-                day: pubDate.getDate(),
-                dateKey: `${pubDate.getFullYear()}-${String(pubDate.getMonth() + 1).padStart(2, '0')}-${String(pubDate.getDate()).padStart(2, '0')}`,
-                savedAt: Timestamp.now(),
-                updatedAt: Timestamp.now()
-            };
+            const stored = storedNews.get(articleId);
+            
+            if (!filterDecision.process) {
+                filterStats.rejected++;
+                sourceRejected++;
+                // Descartar — no llama a Claude API, queda en filter_rejections
+                // (salvo que ya se guardara como noticia tras una promoción)
+                if (!(stored && stored.filter && stored.filter.promoted)) {
+                    result.rejections.push(buildRejectionRecord({ ...article, id: articleId, contentHash }, source, filterDecision));
+                }
+                continue;
+            }
             
-            // Usar set para sobrescribir completamente
-            batch.set(newsRef, newsData);
-            saved++;
+            filterStats.approved++;
+            sourceApproved++;
             
-            if (saved % 500 === 0) {
-                await batch.commit();
-                batch = db.batch();
-                console.log(`✅ Batch guardado: ${saved} noticias`);
+            // Ya guardada y sin cambios: se conserva el resumen, no llama a Claude.
+            // Documentos anteriores a contentHash cuentan como sin cambios.
+            if (stored && (!stored.contentHash || stored.contentHash === contentHash)) {
+                alreadyStored++;
+                claudeCallsAvoided++;
+                sourceSkipped++;
+                continue;
             }
-        } catch (error) {
-            console.error(`❌ Error guardando noticia "${article.title}":`, error.message);
+            
+            const enriched = prepareForSummary(article, source, contentHash, filterDecision);
+            
+            // Modificada: se vuelve a resumir pero conserva el primer savedAt
+            if (stored) {
+                changedArticles++;
+                enriched.savedAt = stored.savedAt;
+                enriched.clusterId = stored.clusterId;
+                debugLog(`   ✏️ Modificada desde el último guardado: ${article.title}`);
+            }
+            
+            tasks.push(scheduleSummary(enriched, source, context));
         }
+        
+        const summarized = await Promise.all(tasks);
+        result.articles = summarized.filter(Boolean);
+        if (result.articles.length < tasks.length) {
+            sourceCompleted = false;
+        }
+        
+        console.log(`📥 ${source.name}: ${articles.length} artículos | 🔍 ${sourceApproved} aprobadas / ${sourceRejected} rechazadas${sourceSkipped > 0 ? ` | ♻️ ${sourceSkipped} ya guardadas` : ''}${sourceCompleted ? '' : ' | ⏸️ incompleta'}`);
+        
+        result.status = 'ok';
+        
+        // Solo se guardan validadores si se evaluaron todos los items;
+        // si no, un 304 en la próxima ejecución perdería los pendientes
+        if (sourceCompleted) {
+            result.feedState = {
+                ...response.validators,
+                finalUrl: response.finalUrl,
+                lastStatus: 200
+            };
+        }
+        return result;
+        
+    } catch (error) {
+        if (error.code === 'NO_FIXTURE') {
+            console.log(`⏭️ ${source.name}: ${error.message}, omitida`);
+            result.status = 'skipped';
+            return result;
+        }
+        console.error(`❌ ${source.name}: ${error.message}`);
+        return result;
     }
-    
-    // Commit final
-    if (saved % 500 !== 0) {
-        await batch.commit();
-    }
-    
-    console.log(`✅ ${saved} noticias guardadas en Firestore`);
-    return saved;
 }
 
 // ============================================
@@ -1292,104 +1960,118 @@ async function saveToFirestore(db, articles) {
 async function main() {
     console.log('\n🚀 Iniciando RSS News Fetcher con Claude API...\n');
     console.log('📝 v3.0: Filtros PRE-API + Solo resumen en idioma original\n');
+    console.log(`📚 Registro de fuentes v${SOURCE_REGISTRY.version}: ${Object.keys(NEWS_SOURCES).length} habilitadas de ${SOURCE_REGISTRY.sources.length}\n`);
+    
+    if (DRY_RUN.enabled) {
+        console.log('🧪 DRY-RUN: feeds desde fixtures y resumidor simulado');
+        console.log(`   Fixtures: ${DRY_RUN.fixturesDir}\n`);
+    }
     
-    const db = initializeFirebase();
+    const storage = await initializeStorage();
+    const cveIntel = initializeCveIntel();
+    const attackMapper = initializeAttackMapper();
+    
+    // Verificar presupuesto (mensual, diario y por fuente)
+    const ledger = await loadSpendLedger(storage);
+    
+    // Caché de resúmenes en el mismo backend
+    const summaryCache = new SummaryCache(storage, {
+        promptVersion: SAFETY_CONFIG.PROMPT_VERSION,
+        model: SAFETY_CONFIG.CLAUDE_MODEL
+    });
+    
+    // Las traducciones comparten colección; la versión de su prompt separa las claves
+    const translationCache = new SummaryCache(storage, {
+        promptVersion: SAFETY_CONFIG.TRANSLATION_PROMPT_VERSION,
+        model: SAFETY_CONFIG.CLAUDE_MODEL
+    });
     
-    // Verificar presupuesto mensual
-    const { totalCost: monthlyBudget } = await checkMonthlyBudget(db);
+    // Validadores HTTP de la ejecución anterior (en dry-run no aplican)
+    const feedState = DRY_RUN.enabled ? {} : await loadFeedState(storage);
+    const feedStateUpdates = {};
     
     const allArticles = [];
     let successfulSources = 0;
     let failedSources = 0;
+    let unchangedSources = 0;
+    let deadlineSources = 0;
+    let storyClusters = 0;
+    let translationStats = { candidates: 0, translated: 0, stoppedBy: null };
     
-    console.log('\n📡 Descargando noticias de fuentes RSS...\n');
+    console.log(`\n📡 Descargando noticias de fuentes RSS (${SAFETY_CONFIG.FETCH_CONCURRENCY} en paralelo, presupuesto ${Math.round(RUN_TIME_BUDGET / 60000)} min)...\n`);
     
-    for (const [key, source] of Object.entries(NEWS_SOURCES)) {
-        // Verificar límite global de artículos
-        if (articlesProcessed >= SAFETY_CONFIG.MAX_ARTICLES_PER_RUN) {
-            console.log(`\n⚠️ LÍMITE GLOBAL ALCANZADO: ${articlesProcessed} artículos procesados`);
-            console.log(`   Deteniendo procesamiento para controlar costos y tiempo de ejecución`);
-            break;
-        }
-        
-        try {
-            console.log(`📥 ${source.name}...`);
-            
-            const xmlData = await fetchRSS(source.rss);
-            const articles = parseRSS(xmlData, source.name);
-            
-            if (articles.length > 0) {
-                console.log(`   ✅ ${articles.length} artículos encontrados`);
-                
-                const enrichedArticles = [];
-                let sourceApproved = 0;
-                let sourceRejected = 0;
-
-                for (const article of articles) {
-                    // Verificar límite global antes de procesar cada artículo
-                    if (articlesProcessed >= SAFETY_CONFIG.MAX_ARTICLES_PER_RUN) {
-                        break;
-                    }
-
-                    // ════════════════════════════════════════
-                    // FILTRO PRE-API: solo relevantes a Claude
-                    // ════════════════════════════════════════
-                    filterStats.total++;
-                    const filterDecision = shouldProcessWithClaude(article);
-                    filterStats.byCategory[filterDecision.category]++;
-
-                    if (!filterDecision.process) {
-                        filterStats.rejected++;
-                        sourceRejected++;
-                        continue; // Descartar — no llama a Claude API
-                    }
-
-                    filterStats.approved++;
-                    sourceApproved++;
-                    
-                    const enriched = {
-                        ...article,
-                        sourceName: source.name,
-                        sourceColor: source.color,
-                        sourceCategory: source.category,
-                        metadata: enrichMetadata(article)
-                    };
-                    
-                    // Procesar con Claude API
-                    const aiResult = await processArticleWithClaude(enriched, monthlyBudget + actualCost);
-                    
-                    // NUEVO: Solo asignar summary (no titleEs ni summaryEs)
-                    enriched.summary = aiResult.summary;
-                    
-                    enrichedArticles.push(enriched);
-                    articlesProcessed++;
-                    
-                    // Delay para evitar rate limiting
-                    await new Promise(resolve => setTimeout(resolve, 200));
-                }
-
-                console.log(`   🔍 Filtro: ${sourceApproved} aprobadas / ${sourceRejected} rechazadas`);
-                
-                allArticles.push(...enrichedArticles);
+    const context = {
+        storage,
+        feedState,
+        ledger,
+        summaryCache,
+        translationCache,
+        cveIntel,
+        attackMapper,
+        deadline: new RunDeadline(RUN_TIME_BUDGET),
+        fetchLimit: createLimiter(SAFETY_CONFIG.FETCH_CONCURRENCY),
+        summaryLimit: createLimiter(SAFETY_CONFIG.SUMMARY_CONCURRENCY),
+        promotedRejections: await loadPromotedRejections(storage),
+        promotedHandled: new Set()
+    };
+    
+    const results = await Promise.all(
+        Object.entries(NEWS_SOURCES).map(([key, source]) => processSource(key, source, context))
+    );
+    
+    const rejections = [];
+    
+    // Resultados en el orden del registro
+    for (const result of results) {
+        rejections.push(...result.rejections);
+        switch (result.status) {
+            case 'ok':
                 successfulSources++;
-            } else {
-                console.log(`   ⚠️ No se encontraron artículos`);
+                allArticles.push(...result.articles);
+                break;
+            case 'unchanged':
+                unchangedSources++;
+                break;
+            case 'failed':
                 failedSources++;
-            }
-            
-        } catch (error) {
-            console.error(`   ❌ Error: ${error.message}`);
-            failedSources++;
+                break;
+            case 'deadline':
+                deadlineSources++;
+                break;
+        }
+        if (result.feedState) {
+            feedStateUpdates[result.key] = result.feedState;
         }
     }
     
-    // Guardar en Firebase
+    // Rechazos promovidos que ya no están en los feeds
+    allArticles.push(...await processPromotedRejections(context));
+    
+    // Guardar noticias
     if (allArticles.length > 0) {
-        await saveToFirestore(db, allArticles);
+        storyClusters = await assignStoryClusters(storage, allArticles);
+        translationStats = await translateTopStories(allArticles, context);
+        await saveNews(storage, allArticles);
+    }
+    
+    // Auditoría del filtro: los promovidos guardados salen de filter_rejections
+    const processedPromotedIds = allArticles.filter(article => article.filter && article.filter.promoted).map(article => article.id);
+    const rejectionStats = await saveFilterRejections(storage, rejections, processedPromotedIds);
+    
+    // JSON estático y feeds para el sitio (también sin noticias nuevas: puede faltar el manifest)
+    const snapshotStats = await publishNewsSnapshots(storage, allArticles);
+    const siteFeedStats = await publishSiteFeeds(storage);
+    
+    // Guardar validadores para peticiones condicionales
+    if (!DRY_RUN.enabled) {
+        await saveFeedState(storage, feedStateUpdates);
     }
     
     // Registrar uso de API
-    await logAPIUsage(db);
+    const elapsedSeconds = context.deadline.elapsedSeconds();
+    await logAPIUsage(storage, summaryCache, ledger);
+    const budgetAlertRaised = await raiseBudgetAlert(storage, ledger);
+    await storage.close();
     
     // Resumen final
     console.log('\n' + '='.repeat(60));
@@ -1397,7 +2079,13 @@ async function main() {
     console.log('='.repeat(60));
     console.log(`✅ Fuentes exitosas: ${successfulSources}`);
     console.log(`❌ Fuentes fallidas: ${failedSources}`);
-    console.log(`\n🔍 FILTRADO PRE-API (Nivel 1 + Nivel 2 | Score mínimo: ${MIN_RELEVANCE_SCORE}):`);
+    console.log(`💤 Fuentes sin cambios (304): ${unchangedSources}`);
+    console.log(`⏱️ Fuentes sin procesar por tiempo: ${deadlineSources} (${articlesSkippedByDeadline} artículos pendientes)`);
+    console.log(`⏱️ Duración: ${elapsedSeconds}s de ${Math.round(RUN_TIME_BUDGET / 1000)}s`);
+    console.log(`🔗 Historias multi-fuente: ${storyClusters}`);
+    console.log(`🗂️ Snapshots reescritos: ${snapshotStats ? snapshotStats.months.length : 'desactivados o con error'}`);
+    console.log(`📡 Archivos de feeds reescritos: ${siteFeedStats ? siteFeedStats.written : 'desactivados o con error'}`);
+    console.log(`\n🔍 FILTRADO PRE-API (Nivel 1 + Nivel 2 | Reglas v${RELEVANCE_RULES.version} | Score mínimo: ${RELEVANCE_RULES.minScore}):`);
     console.log(`   Total evaluadas:  ${filterStats.total}`);
     console.log(`   ✅ Aprobadas:     ${filterStats.approved} (${filterStats.total > 0 ? Math.round(filterStats.approved / filterStats.total * 100) : 0}%)`);
     console.log(`   ❌ Rechazadas:    ${filterStats.rejected} (${filterStats.total > 0 ? Math.round(filterStats.rejected / filterStats.total * 100) : 0}%)`);
@@ -1405,19 +2093,57 @@ async function main() {
     console.log(`   - Negocio:        ${filterStats.byCategory.business}`);
     console.log(`   - Bloqueadas BL:  ${filterStats.byCategory.blocked}`);
     console.log(`   - Score bajo:     ${filterStats.byCategory.no_match}`);
+    if (filterStats.promoted > 0) {
+        console.log(`   ⬆️ Promovidas:    ${filterStats.promoted}`);
+    }
+    console.log(`   🗂️ Rechazos registrados: ${rejectionStats.saved} nuevos o modificados (${rejectionStats.purged} vencidos purgados)`);
     console.log(`\n🤖 CLAUDE API:`);
     console.log(`   Artículos procesados: ${articlesProcessed}`);
     console.log(`   Llamadas API: ${apiCallCount}`);
     console.log(`   Errores API: ${apiErrors}`);
+    console.log(`   Reintentos: ${apiRetries}`);
+    console.log(`   🧬 Extracción estructurada: ${threatExtracted} válidas / ${threatValidationErrors} fuera de esquema`);
+    if (claudeBreaker.isOpen()) {
+        console.log(`   🚫 Circuit breaker abierto (${claudeBreaker.reason}): ${circuitOpenSkips} artículos sin llamada`);
+    }
     console.log(`   Fallback usado: ${fallbackUsed} veces`);
+    console.log(`   ♻️ Ya guardadas sin cambios: ${alreadyStored} (llamadas evitadas: ${claudeCallsAvoided})`);
+    console.log(`   ✏️ Modificadas y resumidas de nuevo: ${changedArticles}`);
+    const cacheStats = summaryCache.getStats();
+    console.log(`   📦 Caché de resúmenes: ${cacheStats.hits} aciertos / ${cacheStats.misses} fallos`);
+    console.log(`   🌐 Traducción ES: ${translationStats.translated} de ${translationStats.candidates} candidatas${translationStats.stoppedBy ? ` (${TRANSLATION_STOPS[translationStats.stoppedBy]})` : ''}${translationErrors > 0 ? ` | ${translationErrors} errores` : ''}`);
+    console.log(`   🛡️ CVEs con datos NVD/KEV/EPSS: ${cvesEnriched}`);
+    console.log(`   🎯 Técnicas ATT&CK inferidas del texto: ${attackTechniquesInferred}`);
+    console.log(`   📄 Texto completo: ${SAFETY_CONFIG.FULL_TEXT_ENABLED ? `${fullTextExtracted} extraídos / ${fullTextFailed} fallidos` : 'desactivado (--full-text)'}`);
     console.log('\n💰 COSTOS:');
     console.log(`   Input tokens: ${actualInputTokens.toLocaleString()}`);
     console.log(`   Output tokens: ${actualOutputTokens.toLocaleString()}`);
     console.log(`   Costo estimado: $${estimatedCost.toFixed(6)}`);
     console.log(`   Costo real: $${actualCost.toFixed(6)}`);
     console.log(`   💡 Ahorro acumulado vs v1.0: ~88% (62% sin traducción + filtros v3.1)`);
+    const headroom = ledger.getHeadroom();
+    console.log('\n📒 MARGEN DE PRESUPUESTO:');
+    console.log(`   Mensual: $${headroom.monthly.remaining.toFixed(4)} de $${headroom.monthly.limit} (gastado $${headroom.monthly.spent.toFixed(4)})`);
+    console.log(`   Diario:  $${headroom.daily.remaining.toFixed(4)} de $${headroom.daily.limit} (gastado $${headroom.daily.spent.toFixed(4)})`);
+    for (const [sourceId, source] of Object.entries(headroom.sources)) {
+        console.log(`   ${sourceId}: $${source.remaining.toFixed(4)} de $${source.limit} este mes`);
+    }
+    const denied = ledger.denied;
+    if (denied.monthly + denied.daily + denied.source > 0) {
+        console.log(`   ⛔ Sin llamada por límite: mensual ${denied.monthly} | diario ${denied.daily} | fuente ${denied.source}`);
+    }
+    if (ledger.isAlertCrossed()) {
+        console.log(`   🚨 Umbral de alerta ($${SAFETY_CONFIG.ALERT_THRESHOLD}) superado${budgetAlertRaised ? ' en esta ejecución' : ''}`);
+    }
     console.log('='.repeat(60) + '\n');
     
+    // Todo quedó guardado; el código de salida solo avisa al workflow
+    if (budgetAlertRaised && SAFETY_CONFIG.FAIL_ON_BUDGET_ALERT) {
+        console.error('🚨 Terminando con código 2: umbral de alerta de presupuesto cruzado\n');
+        process.exitCode = 2;
+        return;
+    }
+    
     console.log('✅ Proceso completado exitosamente\n');
 }
 
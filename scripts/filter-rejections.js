@@ -0,0 +1,129 @@
+/**
+ * Consulta de Rechazos del Filtro PRE-API (filter_rejections)
+ *
+ * Uso:
+ *   node filter-rejections.js stats   [--source <id>]
+ *   node filter-rejections.js list    [--source <id>] [--reason <texto>|blacklist|low_score] [--limit <n>]
+ *   node filter-rejections.js promote <id>
+ *   node filter-rejections.js unpromote <id>
+ *
+ * Un rechazo promovido se procesa completo (resumen + metadata) en la
+ * siguiente ejecución del pipeline y después sale de la colección.
+ * Almacenamiento: mismas opciones que el pipeline (--storage, --storage-path,
+ * --dry-run para el directorio de salida del modo offline).
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const { getArgValue } = require('./lib/cli-args');
+const { getDryRunOptions } = require('./lib/dry-run');
+const { createStorage, getStorageConfig, COLLECTIONS } = require('./lib/storage');
+const { groupRejections } = require('./lib/filter-audit');
+
+const DEFAULT_LIST_LIMIT = 50;
+
+// Opciones con valor (el siguiente argumento no es posicional)
+const VALUE_OPTIONS = ['--source', '--reason', '--limit', '--storage', '--storage-path', '--out', '--fixtures'];
+
+// ============================================
+// COMANDOS
+// ============================================
+
+function matchesReason(doc, reason) {
+    if (!reason) return true;
+    if (reason === 'blacklist' || reason === 'low_score') return doc.reasonType === reason;
+    return (doc.reason || '').toLowerCase().includes(reason.toLowerCase());
+}
+
+function formatDate(date) {
+    return date instanceof Date ? date.toISOString().substring(0, 16).replace('T', ' ') : '-';
+}
+
+async function showStats(storage, sourceId) {
+    const docs = await storage.queryFilterRejections({ sourceId });
+    console.log(`🗂️ ${docs.length} rechazo(s) registrados${sourceId ? ` de ${sourceId}` : ''}\n`);
+
+    for (const group of groupRejections(docs)) {
+        console.log(`   ${String(group.count).padStart(4)}  ${group.sourceId.padEnd(20)} ${group.reason}`);
+    }
+
+    const promoted = docs.filter(doc => doc.promoted).length;
+    if (promoted > 0) {
+        console.log(`\n⬆️ ${promoted} promovido(s) pendientes de la próxima ejecución`);
+    }
+}
+
+async function listRejections(storage, options) {
+    const docs = (await storage.queryFilterRejections({ sourceId: options.sourceId }))
+        .filter(doc => matchesReason(doc, options.reason))
+        .slice(0, options.limit);
+
+    if (docs.length === 0) {
+        console.log('Sin rechazos para esos criterios');
+        return;
+    }
+
+    for (const doc of docs) {
+        console.log(`${doc.promoted ? '⬆️' : '❌'} ${doc.id}  ${formatDate(doc.rejectedAt)}  [${doc.sourceId}] score ${doc.score}`);
+        console.log(`   ${doc.title}`);
+        console.log(`   ${doc.reason}${doc.rulesVersion ? ` (reglas v${doc.rulesVersion})` : ''}`);
+        console.log(`   ${doc.link}\n`);
+    }
+}
+
+async function setPromoted(storage, id, promoted) {
+    const doc = await storage.getDoc(COLLECTIONS.FILTER_REJECTIONS, id);
+    if (!doc) {
+        throw new Error(`No existe el rechazo ${id} (puede haber vencido)`);
+    }
+    await storage.setDocs(COLLECTIONS.FILTER_REJECTIONS, [{
+        id,
+        data: { promoted, promotedAt: promoted ? new Date() : null }
+    }], { merge: true });
+
+    console.log(promoted
+        ? `⬆️ Promovido: "${doc.title}" se procesará en la próxima ejecución`
+        : `↩️ Promoción retirada: "${doc.title}"`);
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+async function main() {
+    const args = process.argv.slice(2);
+    const [command, id] = args.filter((arg, i) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[i - 1]));
+    const storage = await createStorage(getStorageConfig(getDryRunOptions()));
+
+    try {
+        switch (command) {
+            case 'stats':
+                await showStats(storage, getArgValue('--source'));
+                break;
+            case 'list':
+                await listRejections(storage, {
+                    sourceId: getArgValue('--source'),
+                    reason: getArgValue('--reason'),
+                    limit: parseInt(getArgValue('--limit'), 10) || DEFAULT_LIST_LIMIT
+                });
+                break;
+            case 'promote':
+            case 'unpromote':
+                if (!id) throw new Error(`Falta el id: node filter-rejections.js ${command} <id>`);
+                await setPromoted(storage, id, command === 'promote');
+                break;
+            default:
+                throw new Error('Comando desconocido (opciones: stats, list, promote, unpromote)');
+        }
+    } finally {
+        await storage.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+});
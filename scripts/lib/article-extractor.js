@@ -0,0 +1,324 @@
+/**
+ * Extracción del Texto Completo de Artículos (estilo Readability)
+ *
+ * Varias fuentes publican solo un avance de una línea; para esas noticias
+ * se descarga la página y se extrae el contenido principal:
+ * - Parser HTML tolerante (elementos vacíos, cierres implícitos de <p>/<li>)
+ * - Se descartan script/style/nav/header/footer/aside/form y bloques
+ *   "improbables" por class/id (comentarios, compartir, relacionados, publicidad)
+ * - Puntaje por párrafo (longitud, comas) propagado a contenedores,
+ *   penalizado por densidad de enlaces; gana el mejor contenedor + hermanos afines
+ * - El texto se recorta a un presupuesto de tokens (4 caracteres ≈ 1 token)
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const { detectCharset, decodeEntities } = require('./feed-parser');
+
+const EXTRACTION_CONFIG = {
+    MIN_PARAGRAPH_CHARS: 25,     // Párrafos más cortos no puntúan
+    MIN_ARTICLE_CHARS: 400,      // Menos texto = extracción fallida (paywall, SPA, error)
+    SIBLING_SCORE_RATIO: 0.2,    // Hermanos del ganador con ≥20% de su puntaje se incluyen
+    CHARS_PER_TOKEN: 4
+};
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elementos que se cierran solos al abrir otro igual (<p>uno<p>dos)
+const SELF_CLOSING_SIBLINGS = new Set(['p', 'li', 'dt', 'dd', 'option', 'tr', 'td', 'th']);
+
+const REMOVED_ELEMENTS = new Set([
+    'nav', 'header', 'footer', 'aside', 'form', 'button', 'select', 'menu', 'figure', 'dialog'
+]);
+
+const BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'section', 'article', 'main', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'ul', 'ol',
+    'pre', 'blockquote', 'table', 'tr', 'td', 'th', 'dl', 'dt', 'dd', 'br', 'hr'
+]);
+
+const UNLIKELY_CANDIDATES = /comment|share|social|related|sidebar|footer|header|menu|nav|promo|advert|\bads?\b|banner|sponsor|newsletter|subscribe|cookie|consent|popup|modal|breadcrumb|pagination|author-bio|tags?\b|widget|rss/i;
+const MAYBE_CANDIDATES = /article|body|content|column|main|post|entry|story|text/i;
+const POSITIVE_CLASS = /article|body|content|entry|main|page|post|story|text|blog/i;
+const NEGATIVE_CLASS = /comment|share|social|related|sidebar|footer|promo|advert|sponsor|widget|newsletter|meta|byline|caption/i;
+
+// ============================================
+// DECODIFICACIÓN Y PARSER HTML
+// ============================================
+
+/**
+ * Decodifica los bytes de la página (Content-Type > <meta charset> > UTF-8)
+ */
+function decodeHTML(input, contentType = '') {
+    if (typeof input === 'string') return input;
+
+    let charset = /charset=/i.test(contentType || '') ? detectCharset(input, contentType) : null;
+    if (!charset) {
+        const head = input.subarray(0, 4096).toString('latin1');
+        const metaMatch = /<meta[^>]+charset=["']?([\w.:-]+)/i.exec(head);
+        charset = metaMatch ? metaMatch[1].toLowerCase() : detectCharset(input);
+    }
+
+    try {
+        return new TextDecoder(charset).decode(input);
+    } catch (error) {
+        return new TextDecoder('utf-8').decode(input);
+    }
+}
+
+function parseAttributes(source) {
+    const attrs = {};
+    const pattern = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        attrs[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+    }
+    return attrs;
+}
+
+/**
+ * Construye un árbol mínimo: { tag, attrs, children: [nodo | string], parent }
+ */
+function parseHTML(html) {
+    const cleaned = html
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<(script|style|noscript|template|svg|iframe|textarea)\b[\s\S]*?<\/\1\s*>/gi, ' ');
+
+    const root = { tag: '#root', attrs: {}, children: [], parent: null };
+    let current = root;
+    const pattern = /<\/?([a-zA-Z][a-zA-Z0-9-]*)([^>]*)>|<![^>]*>|[^<]+|</g;
+    let match;
+
+    while ((match = pattern.exec(cleaned)) !== null) {
+        const token = match[0];
+        if (!match[1]) {
+            if (!token.startsWith('<!')) current.children.push(token);
+            continue;
+        }
+
+        const tag = match[1].toLowerCase();
+        if (token[1] === '/') {
+            // Cierre: subir hasta el elemento abierto con ese nombre (si existe)
+            let node = current;
+            while (node && node.tag !== tag) node = node.parent;
+            if (node && node.parent) current = node.parent;
+            continue;
+        }
+
+        if (SELF_CLOSING_SIBLINGS.has(tag) && current.tag === tag && current.parent) {
+            current = current.parent;
+        }
+
+        const element = { tag, attrs: parseAttributes(match[2]), children: [], parent: current };
+        current.children.push(element);
+        if (!VOID_ELEMENTS.has(tag) && !token.endsWith('/>')) {
+            current = element;
+        }
+    }
+    return root;
+}
+
+// ============================================
+// UTILIDADES DE ÁRBOL
+// ============================================
+
+function findAll(node, predicate, results = []) {
+    for (const child of node.children) {
+        if (typeof child === 'string') continue;
+        if (predicate(child)) results.push(child);
+        findAll(child, predicate, results);
+    }
+    return results;
+}
+
+function innerText(node) {
+    let text = '';
+    for (const child of node.children) {
+        text += typeof child === 'string' ? child : ` ${innerText(child)} `;
+    }
+    return text;
+}
+
+function normalizedText(node) {
+    return decodeEntities(innerText(node)).replace(/[\s ]+/g, ' ').trim();
+}
+
+function linkDensity(node) {
+    const length = normalizedText(node).length;
+    if (length === 0) return 0;
+    const linkLength = findAll(node, child => child.tag === 'a')
+        .reduce((total, link) => total + normalizedText(link).length, 0);
+    return linkLength / length;
+}
+
+function classAndId(node) {
+    return `${node.attrs.class || ''} ${node.attrs.id || ''} ${node.attrs.role || ''}`;
+}
+
+/**
+ * Elimina elementos de navegación y bloques improbables
+ */
+function pruneBoilerplate(node) {
+    node.children = node.children.filter(child => {
+        if (typeof child === 'string') return true;
+        if (REMOVED_ELEMENTS.has(child.tag)) return false;
+        const signature = classAndId(child);
+        if (!['body', 'article', 'main'].includes(child.tag) &&
+            UNLIKELY_CANDIDATES.test(signature) && !MAYBE_CANDIDATES.test(signature)) {
+            return false;
+        }
+        pruneBoilerplate(child);
+        return true;
+    });
+}
+
+// ============================================
+// PUNTAJE Y SELECCIÓN
+// ============================================
+
+function initialScore(node) {
+    let score = 0;
+    switch (node.tag) {
+        case 'article': score += 10; break;
+        case 'main': case 'div': score += 5; break;
+        case 'pre': case 'td': case 'blockquote': score += 3; break;
+        case 'ol': case 'ul': case 'dl': score -= 3; break;
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': case 'th': score -= 5; break;
+    }
+    const signature = classAndId(node);
+    if (POSITIVE_CLASS.test(signature)) score += 25;
+    if (NEGATIVE_CLASS.test(signature)) score -= 25;
+    return score;
+}
+
+/**
+ * Puntúa párrafos y acumula en padre (100%), abuelo (50%) y bisabuelo (33%)
+ * @returns {Map} - nodo → puntaje
+ */
+function scoreCandidates(root) {
+    const scores = new Map();
+    const paragraphs = findAll(root, node => ['p', 'pre', 'td', 'blockquote'].includes(node.tag));
+
+    for (const paragraph of paragraphs) {
+        const text = normalizedText(paragraph);
+        if (text.length < EXTRACTION_CONFIG.MIN_PARAGRAPH_CHARS) continue;
+
+        const contentScore = 1 + (text.match(/[,，]/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+        let ancestor = paragraph.parent;
+        for (const divider of [1, 2, 3]) {
+            if (!ancestor || ancestor.tag === '#root') break;
+            if (!scores.has(ancestor)) scores.set(ancestor, initialScore(ancestor));
+            scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+            ancestor = ancestor.parent;
+        }
+    }
+
+    for (const [node, score] of scores) {
+        scores.set(node, score * (1 - linkDensity(node)));
+    }
+    return scores;
+}
+
+/**
+ * Párrafos de texto de un nodo (un bloque por elemento de bloque)
+ */
+function collectParagraphs(node, paragraphs = [], buffer = { text: '' }) {
+    const flush = () => {
+        const text = decodeEntities(buffer.text).replace(/[\s ]+/g, ' ').trim();
+        if (text) paragraphs.push(text);
+        buffer.text = '';
+    };
+
+    for (const child of node.children) {
+        if (typeof child === 'string') {
+            buffer.text += child;
+        } else if (BLOCK_ELEMENTS.has(child.tag)) {
+            flush();
+            collectParagraphs(child, paragraphs, buffer);
+            flush();
+        } else {
+            buffer.text += ' ';
+            collectParagraphs(child, paragraphs, buffer);
+            buffer.text += ' ';
+        }
+    }
+    if (node.tag === '#root') flush();
+    return paragraphs;
+}
+
+/**
+ * Extrae el contenido principal de una página
+ *
+ * @param {string} html - HTML ya decodificado
+ * @returns {Object} - { success, text, length, title, reason }
+ */
+function extractArticle(html) {
+    const root = parseHTML(html);
+    const titleNode = findAll(root, node => node.tag === 'title')[0];
+    const title = titleNode ? normalizedText(titleNode) : '';
+
+    pruneBoilerplate(root);
+    const scores = scoreCandidates(root);
+
+    let top = null;
+    for (const [node, score] of scores) {
+        if (!top || score > scores.get(top)) top = node;
+    }
+    if (!top) {
+        return { success: false, text: '', length: 0, title, reason: 'sin párrafos de contenido' };
+    }
+
+    // Hermanos del ganador que también parecen contenido (artículos partidos en varios div)
+    const threshold = Math.max(10, scores.get(top) * EXTRACTION_CONFIG.SIBLING_SCORE_RATIO);
+    const selected = top.parent.children.filter(sibling => {
+        if (typeof sibling === 'string') return false;
+        if (sibling === top) return true;
+        if ((scores.get(sibling) || 0) >= threshold) return true;
+        if (sibling.tag !== 'p') return false;
+        const text = normalizedText(sibling);
+        return text.length > 80 && linkDensity(sibling) < 0.25;
+    });
+
+    const paragraphs = [];
+    for (const node of selected) {
+        collectParagraphs({ tag: '#root', children: [node] }, paragraphs);
+    }
+    const text = paragraphs.join('\n\n');
+
+    if (text.length < EXTRACTION_CONFIG.MIN_ARTICLE_CHARS) {
+        return { success: false, text, length: text.length, title, reason: `texto insuficiente (${text.length} caracteres)` };
+    }
+    return { success: true, text, length: text.length, title, reason: null };
+}
+
+/**
+ * Recorta el texto a un presupuesto de tokens, en un fin de frase si es posible
+ * @returns {Object} - { text, tokens, truncated }
+ */
+function capToTokenBudget(text, maxTokens) {
+    const maxChars = maxTokens * EXTRACTION_CONFIG.CHARS_PER_TOKEN;
+    if (text.length <= maxChars) {
+        return { text, tokens: Math.ceil(text.length / EXTRACTION_CONFIG.CHARS_PER_TOKEN), truncated: false };
+    }
+
+    let cut = text.substring(0, maxChars);
+    const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('.\n'));
+    if (sentenceEnd > maxChars * 0.6) {
+        cut = cut.substring(0, sentenceEnd + 1);
+    } else {
+        cut = cut.replace(/\s+\S*$/, '');
+    }
+    return { text: cut, tokens: Math.ceil(cut.length / EXTRACTION_CONFIG.CHARS_PER_TOKEN), truncated: true };
+}
+
+module.exports = {
+    EXTRACTION_CONFIG,
+    decodeHTML,
+    parseHTML,
+    extractArticle,
+    capToTokenBudget
+};
@@ -0,0 +1,224 @@
+/**
+ * Inferencia de Técnicas MITRE ATT&CK desde el Texto
+ *
+ * Las noticias casi nunca citan IDs (T1566); describen comportamientos
+ * ("spear phishing", "credential dumping", "encrypted files"). Tres fuentes:
+ *
+ *   text   → IDs literales en el texto (confianza alta)
+ *   rule   → comportamientos de data/attack-behaviors.json (confianza de la regla)
+ *   model  → attackTechniques de la extracción del modelo (media)
+ *
+ * Regla y modelo de acuerdo suben un nivel. Nombres y tácticas salen del
+ * bundle STIX de ATT&CK Enterprise descargado por update-attack-data.js;
+ * con el bundle cargado se descartan IDs inexistentes, revocados u obsoletos.
+ * Sin bundle se guardan solo los IDs.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { analyzeText, createKeywordMatcher } = require('./keyword-matcher');
+
+const DEFAULT_ATTACK_DATA_DIR = path.join(__dirname, '..', 'cache', 'attack');
+const ATTACK_BUNDLE_FILE = 'enterprise-attack.json';
+const DEFAULT_BEHAVIORS_PATH = path.join(__dirname, '..', 'data', 'attack-behaviors.json');
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+const TECHNIQUE_ID_PATTERN = /\bT\d{4}(?:\.\d{3})?\b/gi;
+
+// ============================================
+// BUNDLE STIX
+// ============================================
+
+function externalId(object) {
+    const reference = (object.external_references || []).find(ref => ref.source_name === 'mitre-attack');
+    return reference ? reference.external_id : null;
+}
+
+/**
+ * Bundle STIX 2.1 de ATT&CK → técnicas y tácticas vigentes
+ * @returns {Object} - { version, tactics: Map<shortname, {...}>, techniques: Map<Txxxx, {...}> }
+ */
+function parseAttackBundle(json) {
+    const objects = json.objects || [];
+    const active = object => !object.revoked && !object.x_mitre_deprecated;
+
+    // Orden de las tácticas: el de la matriz (initial-access → impact)
+    const matrix = objects.find(object => object.type === 'x-mitre-matrix' && active(object));
+    const order = new Map(((matrix && matrix.tactic_refs) || []).map((ref, index) => [ref, index]));
+
+    const tactics = new Map();
+    for (const object of objects) {
+        if (object.type !== 'x-mitre-tactic' || !active(object)) continue;
+        tactics.set(object.x_mitre_shortname, {
+            id: externalId(object),
+            name: object.name,
+            shortname: object.x_mitre_shortname,
+            order: order.has(object.id) ? order.get(object.id) : order.size + tactics.size
+        });
+    }
+
+    const techniques = new Map();
+    for (const object of objects) {
+        if (object.type !== 'attack-pattern' || !active(object)) continue;
+        const id = externalId(object);
+        if (!id) continue;
+        techniques.set(id, {
+            id,
+            name: object.name,
+            tactics: (object.kill_chain_phases || [])
+                .filter(phase => phase.kill_chain_name === 'mitre-attack')
+                .map(phase => phase.phase_name)
+        });
+    }
+
+    const collection = objects.find(object => object.type === 'x-mitre-collection');
+    return { version: collection ? collection.x_mitre_version : null, tactics, techniques };
+}
+
+// ============================================
+// MAPPER
+// ============================================
+
+class AttackMapper {
+    /**
+     * @param {Object} options
+     * @param {Object} options.behaviors - Contenido de attack-behaviors.json
+     * @param {Object|null} [options.bundle] - Resultado de parseAttackBundle()
+     */
+    constructor({ behaviors, bundle = null }) {
+        if (!behaviors || !Array.isArray(behaviors.rules)) {
+            throw new Error('Reglas de comportamientos ATT&CK inválidas: falta "rules"');
+        }
+
+        this.version = behaviors.version;
+        this.bundle = bundle;
+        this.info = bundle ? { techniques: bundle.techniques.size, tactics: bundle.tactics.size, version: bundle.version } : null;
+        this.rules = behaviors.rules.map(rule => {
+            if (!CONFIDENCE_LEVELS.includes(rule.confidence)) {
+                throw new Error(`Confianza inválida "${rule.confidence}" en ${rule.technique}`);
+            }
+            return {
+                technique: rule.technique.toUpperCase(),
+                confidence: rule.confidence,
+                matcher: createKeywordMatcher(rule.phrases, { near: rule.near || 0 })
+            };
+        });
+    }
+
+    /**
+     * Técnica del bundle ({ id, name, tactics }) o null
+     */
+    describe(id) {
+        return this.bundle ? this.bundle.techniques.get(id) || null : null;
+    }
+
+    /**
+     * Tácticas de una lista de técnicas, en el orden de la matriz
+     */
+    tacticsOf(techniques) {
+        const tactics = [...new Set(techniques.flatMap(technique => technique.tactics))];
+        if (!this.bundle) return tactics;
+        const orderOf = shortname => (this.bundle.tactics.get(shortname) || { order: Infinity }).order;
+        return tactics.sort((a, b) => orderOf(a) - orderOf(b));
+    }
+
+    /**
+     * Técnicas del texto (IDs y comportamientos) y del modelo
+     *
+     * @param {Object} input
+     * @param {string} input.text - Título y descripción
+     * @param {string} [input.language] - Idioma del texto (stemming)
+     * @param {Array} [input.modelTechniques] - IDs extraídos por el modelo
+     * @returns {Array} - [{ id, name, tactics, confidence, sources, evidence }] (más confiables primero)
+     */
+    infer({ text, language, modelTechniques = [] }) {
+        const candidates = new Map();
+        const add = (id, source, confidence, evidence) => {
+            const key = id.toUpperCase();
+            const candidate = candidates.get(key) || { id: key, sources: new Set(), level: -1, evidence: [] };
+            candidate.sources.add(source);
+            candidate.level = Math.max(candidate.level, CONFIDENCE_LEVELS.indexOf(confidence));
+            if (evidence) candidate.evidence.push(evidence);
+            candidates.set(key, candidate);
+        };
+
+        for (const id of new Set((text.match(TECHNIQUE_ID_PATTERN) || []).map(id => id.toUpperCase()))) {
+            add(id, 'text', 'high', id);
+        }
+
+        const analyzed = analyzeText(text.toLowerCase(), { language });
+        for (const rule of this.rules) {
+            const matched = rule.matcher.matches(analyzed);
+            if (matched.length > 0) add(rule.technique, 'rule', rule.confidence, matched.join(', '));
+        }
+
+        for (const id of modelTechniques) {
+            add(id, 'model', 'medium', null);
+        }
+
+        // Regla y modelo de acuerdo: un nivel más
+        for (const candidate of candidates.values()) {
+            if (candidate.sources.has('rule') && candidate.sources.has('model')) {
+                candidate.level = Math.min(CONFIDENCE_LEVELS.length - 1, candidate.level + 1);
+            }
+        }
+
+        // La sub-técnica es más específica: la técnica padre sobra si no es más confiable
+        for (const candidate of [...candidates.values()]) {
+            const parent = candidates.get(candidate.id.split('.')[0]);
+            if (parent && parent !== candidate && parent.level <= candidate.level) {
+                candidates.delete(parent.id);
+            }
+        }
+
+        const techniques = [];
+        for (const candidate of candidates.values()) {
+            const known = this.describe(candidate.id);
+            if (this.bundle && !known) continue;
+            techniques.push({
+                id: candidate.id,
+                name: known ? known.name : null,
+                tactics: known ? known.tactics : [],
+                confidence: CONFIDENCE_LEVELS[candidate.level],
+                sources: [...candidate.sources],
+                evidence: [...new Set(candidate.evidence)]
+            });
+        }
+
+        return techniques.sort((a, b) =>
+            CONFIDENCE_LEVELS.indexOf(b.confidence) - CONFIDENCE_LEVELS.indexOf(a.confidence) || a.id.localeCompare(b.id));
+    }
+}
+
+/**
+ * Carga las reglas y, si existe, el bundle STIX del directorio de datos
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dataDir] - Directorio del bundle (por defecto scripts/cache/attack)
+ * @param {string} [options.behaviorsPath] - Reglas de comportamientos
+ * @param {boolean} [options.withBundle] - false: solo reglas (IDs sin nombre ni táctica)
+ * @returns {AttackMapper}
+ */
+function loadAttackMapper({ dataDir = DEFAULT_ATTACK_DATA_DIR, behaviorsPath = DEFAULT_BEHAVIORS_PATH, withBundle = true } = {}) {
+    const behaviors = JSON.parse(fs.readFileSync(behaviorsPath, 'utf8'));
+    const bundleFile = path.join(dataDir, ATTACK_BUNDLE_FILE);
+    const bundle = withBundle && fs.existsSync(bundleFile)
+        ? parseAttackBundle(JSON.parse(fs.readFileSync(bundleFile, 'utf8')))
+        : null;
+    return new AttackMapper({ behaviors, bundle });
+}
+
+module.exports = {
+    DEFAULT_ATTACK_DATA_DIR,
+    ATTACK_BUNDLE_FILE,
+    DEFAULT_BEHAVIORS_PATH,
+    CONFIDENCE_LEVELS,
+    parseAttackBundle,
+    AttackMapper,
+    loadAttackMapper
+};
@@ -0,0 +1,182 @@
+/**
+ * Modelo CIA+NR (0-10 por dimensión) con Evidencia
+ *
+ * Cada dimensión (confidencialidad, integridad, disponibilidad, no repudio)
+ * combina tres fuentes y guarda la evidencia de cada aporte:
+ *
+ *   keyword       → frases del texto (el grupo más fuerte + 1 por grupo adicional, tope 7)
+ *   cvss          → submétricas de impacto del vector CVSS (C/I/A; v2, v3.x y v4)
+ *   exploitation  → explotación activa (+2) o PoC público (+1) sobre dimensiones ya afectadas
+ *
+ * score = min(10, max(keyword, cvss) + explotación). CVSS no mide no repudio:
+ * esa dimensión solo se alimenta de keywords.
+ *
+ * Umbrales del sitio (classifyNewsByCIANR): 1-3 bajo, 4-6 medio, 7-8 alto, 9-10 crítico.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const { createKeywordMatcher } = require('./keyword-matcher');
+
+// Sube al cambiar pesos o keywords (el sitio reescala documentos sin versión)
+const CIA_MODEL_VERSION = 2;
+
+const CIA_DIMENSIONS = ['confidentiality', 'integrity', 'availability', 'nonRepudiation'];
+
+const CIA_WEIGHTS = {
+    KEYWORD_EXTRA_GROUP: 1,       // Por cada grupo adicional de la misma dimensión
+    KEYWORD_MAX: 7,               // Las keywords solas no llegan a "crítico"
+    CVSS_IMPACT: { H: 7, L: 4, N: 0 },
+    CVSS_CRITICAL_BONUS: 1,       // Impacto alto en un CVE con base >= 9.0
+    EXPLOITATION: { actively_exploited: 2, poc_available: 1 },
+    MAX: 10
+};
+
+// Keywords por dimensión: cada grupo aporta sus puntos (coincidencia por tokens)
+const CIA_KEYWORDS = {
+    confidentiality: [
+        { words: ['data breach', 'data leak', 'exposed data', 'leaked database', 'credentials leak', 'password dump'], points: 6 },
+        { words: ['unauthorized access', 'information disclosure', 'sensitive data', 'personal information', 'privacy breach'], points: 4 },
+        { words: ['encryption', 'data exposure', 'confidential', 'private key', 'secret'], points: 2 }
+    ],
+    integrity: [
+        { words: ['backdoor', 'rootkit', 'trojan', 'trojanized', 'code injection', 'sql injection', 'command injection'], points: 6 },
+        { words: ['malware', 'virus', 'worm', 'file modification', 'tampering'], points: 4 },
+        { words: ['integrity check', 'checksum', 'hash'], points: 2 }
+    ],
+    availability: [
+        { words: ['ddos', 'denial of service', 'ransomware', 'system down', 'outage', 'service disruption'], points: 6 },
+        { words: ['downtime', 'unavailable', 'crash', 'flooding'], points: 4 },
+        { words: ['performance', 'slowdown', 'resource exhaustion'], points: 2 }
+    ],
+    nonRepudiation: [
+        { words: ['log deletion', 'log tampering', 'anti-forensics', 'covering tracks'], points: 6 },
+        { words: ['logging', 'audit trail', 'forensics', 'attribution'], points: 4 },
+        { words: ['timestamp', 'digital signature', 'certificate'], points: 2 }
+    ]
+};
+
+const CIA_MATCHERS = Object.entries(CIA_KEYWORDS).map(([dimension, groups]) => ({
+    dimension,
+    groups: groups.map(group => ({ points: group.points, matcher: createKeywordMatcher(group.words) }))
+}));
+
+// Vector CVSS → dimensión: v3.x C/I/A, v4 VC/VI/VA (sistema vulnerable), v2 C/I/A con C/P/N
+const CVSS_VECTOR_PATTERN = /CVSS:[34]\.\d\/[A-Z:\/]+|\(?AV:[LAN]\/AC:[HML]\/Au:[MSN]\/C:[NPC]\/I:[NPC]\/A:[NPC]\)?/g;
+const CVSS_METRICS = {
+    confidentiality: ['C', 'VC'],
+    integrity: ['I', 'VI'],
+    availability: ['A', 'VA']
+};
+const CVSS_V2_LEVELS = { C: 'H', P: 'L', N: 'N' };
+
+/**
+ * Vector CVSS → { confidentiality, integrity, availability } con H/L/N
+ * @returns {Object|null} - null si el vector no trae impacto reconocible
+ */
+function parseCvssImpact(vector) {
+    if (!vector) return null;
+    const metrics = {};
+    for (const part of String(vector).replace(/[()]/g, '').split('/')) {
+        const [key, value] = part.split(':');
+        if (key && value) metrics[key] = value;
+    }
+
+    const isV2 = !/^CVSS:/.test(vector) && metrics.Au;
+    const impact = {};
+    for (const [dimension, keys] of Object.entries(CVSS_METRICS)) {
+        const key = keys.find(k => metrics[k]);
+        if (!key) continue;
+        const level = isV2 ? CVSS_V2_LEVELS[metrics[key]] : metrics[key];
+        if (CIA_WEIGHTS.CVSS_IMPACT[level] !== undefined) impact[dimension] = level;
+    }
+    return Object.keys(impact).length > 0 ? impact : null;
+}
+
+/**
+ * Vectores CVSS escritos en el propio texto ("CVSS:3.1/AV:N/...")
+ */
+function extractCvssVectors(text) {
+    return [...new Set(String(text || '').match(CVSS_VECTOR_PATTERN) || [])];
+}
+
+/**
+ * Evidencia de keywords del texto ya analizado (lib/keyword-matcher.js)
+ * @returns {Object} - { dimension: [{ source: 'keyword', detail, points }] }
+ */
+function collectKeywordEvidence(analyzed) {
+    const evidence = {};
+    for (const { dimension, groups } of CIA_MATCHERS) {
+        evidence[dimension] = [];
+        for (const group of groups) {
+            const matched = group.matcher.matches(analyzed);
+            if (matched.length > 0) {
+                evidence[dimension].push({ source: 'keyword', detail: matched.join(', '), points: group.points });
+            }
+        }
+    }
+    return evidence;
+}
+
+/**
+ * Score CIA+NR 0-10 con la evidencia de cada dimensión
+ *
+ * @param {Object} input
+ * @param {Object} input.keywordEvidence - Resultado de collectKeywordEvidence()
+ * @param {Array} [input.cvss] - [{ id, vector, score }] (NVD o vectores del texto)
+ * @param {string} [input.exploitationStatus] - actively_exploited | poc_available | unknown
+ * @returns {Object} - { ciaScore, ciaEvidence, ciaModelVersion }
+ */
+function scoreCIA({ keywordEvidence = {}, cvss = [], exploitationStatus = 'unknown' }) {
+    const ciaScore = {};
+    const ciaEvidence = {};
+
+    for (const dimension of CIA_DIMENSIONS) {
+        const evidence = [...(keywordEvidence[dimension] || [])];
+
+        // Keywords: el grupo más fuerte + 1 por grupo adicional
+        const keywordPoints = evidence.length === 0 ? 0 : Math.min(
+            CIA_WEIGHTS.KEYWORD_MAX,
+            Math.max(...evidence.map(entry => entry.points)) + (evidence.length - 1) * CIA_WEIGHTS.KEYWORD_EXTRA_GROUP
+        );
+
+        // CVSS: el CVE de mayor impacto en esta dimensión
+        let cvssPoints = 0;
+        for (const entry of cvss) {
+            const level = (parseCvssImpact(entry.vector) || {})[dimension];
+            if (!level || level === 'N') continue;
+            const points = CIA_WEIGHTS.CVSS_IMPACT[level] +
+                (level === 'H' && entry.score >= 9.0 ? CIA_WEIGHTS.CVSS_CRITICAL_BONUS : 0);
+            evidence.push({ source: 'cvss', detail: `${entry.id ? `${entry.id} ` : ''}${level === 'H' ? 'impacto alto' : 'impacto bajo'} (${entry.vector})`, points });
+            cvssPoints = Math.max(cvssPoints, points);
+        }
+
+        let score = Math.max(keywordPoints, cvssPoints);
+
+        // Explotación: solo agrava una dimensión ya afectada
+        const exploitationPoints = CIA_WEIGHTS.EXPLOITATION[exploitationStatus] || 0;
+        if (score > 0 && exploitationPoints > 0) {
+            evidence.push({ source: 'exploitation', detail: exploitationStatus, points: exploitationPoints });
+            score += exploitationPoints;
+        }
+
+        ciaScore[dimension] = Math.min(CIA_WEIGHTS.MAX, score);
+        ciaEvidence[dimension] = evidence;
+    }
+
+    return { ciaScore, ciaEvidence, ciaModelVersion: CIA_MODEL_VERSION };
+}
+
+module.exports = {
+    CIA_MODEL_VERSION,
+    CIA_DIMENSIONS,
+    CIA_WEIGHTS,
+    CIA_KEYWORDS,
+    parseCvssImpact,
+    extractCvssVectors,
+    collectKeywordEvidence,
+    scoreCIA
+};
@@ -0,0 +1,31 @@
+/**
+ * Utilidades de Línea de Comandos
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+/**
+ * Lee el valor de un argumento "--nombre valor"
+ * @returns {string|null}
+ */
+function getArgValue(name, argv = process.argv) {
+    const index = argv.indexOf(name);
+    return index >= 0 && argv[index + 1] && !argv[index + 1].startsWith('--')
+        ? argv[index + 1]
+        : null;
+}
+
+/**
+ * ¿Está presente el flag "--nombre"?
+ */
+function hasFlag(name, argv = process.argv) {
+    return argv.includes(name);
+}
+
+module.exports = {
+    getArgValue,
+    hasFlag
+};
@@ -0,0 +1,82 @@
+/**
+ * Concurrencia Acotada y Presupuesto de Tiempo por Ejecución
+ *
+ * - createLimiter(n): como máximo n tareas en curso; el resto espera en cola
+ * - RunDeadline: límite de reloj global; al vencer no se programa trabajo
+ *   nuevo, pero lo que ya está en curso termina y se guarda
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+/**
+ * @param {number} concurrency - Tareas simultáneas máximas
+ * @returns {Function} - limit(fn) → Promise con el resultado de fn()
+ */
+function createLimiter(concurrency) {
+    const max = Math.max(1, concurrency);
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= max || queue.length === 0) return;
+        active++;
+        const { fn, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(fn)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    const limit = (fn) => new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        next();
+    });
+
+    limit.pending = () => queue.length;
+    limit.active = () => active;
+    return limit;
+}
+
+class RunDeadline {
+    /**
+     * @param {number} budgetMs - Presupuesto total en milisegundos
+     */
+    constructor(budgetMs) {
+        this.startedAt = Date.now();
+        this.budgetMs = budgetMs;
+        this.deadline = this.startedAt + budgetMs;
+        this.reported = false;
+    }
+
+    remaining() {
+        return Math.max(0, this.deadline - Date.now());
+    }
+
+    expired() {
+        return Date.now() >= this.deadline;
+    }
+
+    elapsedSeconds() {
+        return Math.round((Date.now() - this.startedAt) / 1000);
+    }
+
+    /**
+     * true solo la primera vez que se detecta el vencimiento (para loguear una vez)
+     */
+    firstExpiry() {
+        if (!this.expired() || this.reported) return false;
+        this.reported = true;
+        return true;
+    }
+}
+
+module.exports = {
+    createLimiter,
+    RunDeadline
+};
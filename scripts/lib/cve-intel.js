@@ -0,0 +1,233 @@
+/**
+ * Enriquecimiento de CVEs con Datos Locales (NVD, CISA KEV, EPSS)
+ *
+ * El texto de la noticia rara vez trae el CVSS; los datos oficiales se leen
+ * de archivos descargados por update-cve-data.js (en su formato original):
+ *
+ *   nvd-cves.json                         → respuesta del API 2.0 de NVD (CVSS, vector, CWE)
+ *   known_exploited_vulnerabilities.json  → catálogo KEV de CISA (fecha de alta y límite)
+ *   epss_scores-current.csv[.gz]          → probabilidad EPSS y percentil
+ *
+ * Un archivo ausente solo deja sin ese dato; el pipeline nunca se detiene.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const DEFAULT_CVE_DATA_DIR = path.join(__dirname, '..', 'cache', 'cve');
+
+const CVE_DATA_FILES = {
+    nvd: 'nvd-cves.json',
+    kev: 'known_exploited_vulnerabilities.json',
+    epss: ['epss_scores-current.csv.gz', 'epss_scores-current.csv']
+};
+
+// Preferencia de métricas NVD: la versión más difundida primero;
+// dentro de cada versión, la puntuación de NVD (Primary) antes que la del CNA
+const CVSS_METRIC_PREFERENCE = ['cvssMetricV31', 'cvssMetricV30', 'cvssMetricV40', 'cvssMetricV2'];
+
+/**
+ * Severidad cualitativa de un puntaje CVSS (escala v3)
+ */
+function severityFromScore(score) {
+    if (score === null || score === undefined) return 'low';
+    if (score >= 9.0) return 'critical';
+    if (score >= 7.0) return 'high';
+    if (score >= 4.0) return 'medium';
+    return 'low';
+}
+
+// ============================================
+// PARSERS (formatos originales)
+// ============================================
+
+function pickCvssMetric(metrics = {}) {
+    for (const key of CVSS_METRIC_PREFERENCE) {
+        const entries = metrics[key] || [];
+        const metric = entries.find(entry => entry.type === 'Primary') || entries[0];
+        if (metric && metric.cvssData) {
+            const score = Number(metric.cvssData.baseScore);
+            return {
+                version: metric.cvssData.version || '',
+                score,
+                severity: (metric.cvssData.baseSeverity || metric.baseSeverity || severityFromScore(score)).toLowerCase(),
+                vector: metric.cvssData.vectorString || '',
+                source: metric.source || ''
+            };
+        }
+    }
+    return null;
+}
+
+function extractCwes(weaknesses = []) {
+    const cwes = new Set();
+    for (const weakness of weaknesses) {
+        for (const description of weakness.description || []) {
+            if (/^CWE-\d+$/.test(description.value)) cwes.add(description.value);
+        }
+    }
+    return [...cwes];
+}
+
+/**
+ * Respuesta del API 2.0 de NVD → Map<CVE, { cvss, cwes, status, published, lastModified }>
+ */
+function parseNvd(json) {
+    const records = new Map();
+    for (const { cve } of json.vulnerabilities || []) {
+        if (!cve || !cve.id) continue;
+        records.set(cve.id.toUpperCase(), {
+            cvss: pickCvssMetric(cve.metrics),
+            cwes: extractCwes(cve.weaknesses),
+            status: cve.vulnStatus || '',
+            published: cve.published || null,
+            lastModified: cve.lastModified || null
+        });
+    }
+    return records;
+}
+
+/**
+ * Catálogo KEV de CISA → Map<CVE, { dateAdded, dueDate, ransomware, requiredAction }>
+ */
+function parseKev(json) {
+    const records = new Map();
+    for (const entry of json.vulnerabilities || []) {
+        if (!entry.cveID) continue;
+        records.set(entry.cveID.toUpperCase(), {
+            dateAdded: entry.dateAdded || null,
+            dueDate: entry.dueDate || null,
+            ransomware: entry.knownRansomwareCampaignUse === 'Known',
+            requiredAction: entry.requiredAction || ''
+        });
+    }
+    return records;
+}
+
+/**
+ * CSV de EPSS (#model_version:...,score_date:... / cve,epss,percentile)
+ * @returns {Object} - { date, modelVersion, scores: Map<CVE, { score, percentile }> }
+ */
+function parseEpss(text) {
+    const scores = new Map();
+    let date = null;
+    let modelVersion = null;
+
+    for (const line of text.split(/\r?\n/)) {
+        if (line.startsWith('#')) {
+            const model = /model_version:([^,]+)/.exec(line);
+            const scoreDate = /score_date:([^,\s]+)/.exec(line);
+            if (model) modelVersion = model[1];
+            if (scoreDate) date = scoreDate[1].substring(0, 10);
+            continue;
+        }
+        const [cve, epss, percentile] = line.split(',');
+        if (!/^CVE-\d{4}-\d{4,7}$/i.test(cve || '')) continue;
+        scores.set(cve.toUpperCase(), { score: Number(epss), percentile: Number(percentile) });
+    }
+    return { date, modelVersion, scores };
+}
+
+// ============================================
+// CARGA
+// ============================================
+
+function readDataFile(dir, names) {
+    for (const name of [].concat(names)) {
+        const file = path.join(dir, name);
+        if (!fs.existsSync(file)) continue;
+        const buffer = fs.readFileSync(file);
+        return {
+            file,
+            text: (name.endsWith('.gz') ? zlib.gunzipSync(buffer) : buffer).toString('utf8'),
+            modifiedAt: fs.statSync(file).mtime
+        };
+    }
+    return null;
+}
+
+class CveIntel {
+    /**
+     * @param {Object} datasets - { nvd: Map|null, kev: Map|null, epss: { date, scores }|null, info }
+     */
+    constructor({ nvd = null, kev = null, epss = null, info = {} } = {}) {
+        this.nvd = nvd;
+        this.kev = kev;
+        this.epss = epss;
+        this.info = info;
+    }
+
+    isEmpty() {
+        return !this.nvd && !this.kev && !this.epss;
+    }
+
+    /**
+     * Datos de un CVE. null en un campo = fuente no cargada o CVE desconocido;
+     * kev.listed = false = catálogo cargado y el CVE no está en él
+     */
+    lookup(cveId) {
+        const id = cveId.toUpperCase();
+        const nvd = this.nvd ? this.nvd.get(id) : null;
+        const kev = this.kev ? this.kev.get(id) : null;
+        const epss = this.epss ? this.epss.scores.get(id) : null;
+
+        return {
+            id,
+            cvss: nvd ? nvd.cvss : null,
+            cwes: nvd ? nvd.cwes : [],
+            nvdStatus: nvd ? nvd.status : null,
+            published: nvd ? nvd.published : null,
+            kev: this.kev ? (kev ? { listed: true, ...kev } : { listed: false }) : null,
+            epss: epss ? { ...epss, date: this.epss.date } : null
+        };
+    }
+}
+
+/**
+ * Carga los archivos disponibles en el directorio de datos
+ *
+ * @param {string} [dir] - Directorio (por defecto scripts/cache/cve)
+ * @returns {CveIntel}
+ */
+function loadCveIntel(dir = DEFAULT_CVE_DATA_DIR) {
+    const datasets = { info: {} };
+
+    const nvdFile = readDataFile(dir, CVE_DATA_FILES.nvd);
+    if (nvdFile) {
+        const json = JSON.parse(nvdFile.text);
+        datasets.nvd = parseNvd(json);
+        datasets.info.nvd = { records: datasets.nvd.size, updated: json.timestamp || nvdFile.modifiedAt.toISOString() };
+    }
+
+    const kevFile = readDataFile(dir, CVE_DATA_FILES.kev);
+    if (kevFile) {
+        const json = JSON.parse(kevFile.text);
+        datasets.kev = parseKev(json);
+        datasets.info.kev = { records: datasets.kev.size, updated: json.dateReleased || kevFile.modifiedAt.toISOString() };
+    }
+
+    const epssFile = readDataFile(dir, CVE_DATA_FILES.epss);
+    if (epssFile) {
+        datasets.epss = parseEpss(epssFile.text);
+        datasets.info.epss = { records: datasets.epss.scores.size, updated: datasets.epss.date };
+    }
+
+    return new CveIntel(datasets);
+}
+
+module.exports = {
+    DEFAULT_CVE_DATA_DIR,
+    CVE_DATA_FILES,
+    severityFromScore,
+    parseNvd,
+    parseKev,
+    parseEpss,
+    CveIntel,
+    loadCveIntel
+};
@@ -0,0 +1,190 @@
+/**
+ * Modo Dry-Run (offline)
+ *
+ * Permite ejecutar el pipeline sin feeds en vivo, sin cuenta de servicio
+ * de Firebase y sin clave de Claude:
+ * - Feeds desde un directorio de fixtures (<sourceId>.xml)
+ * - Páginas de artículos (--full-text) desde fixtures/pages/<newsId>.html
+ *   (npm test lo activa: las noticias sin página de fixture cubren el fallback al texto del feed)
+ * - Datos de CVEs (NVD, KEV, EPSS) desde fixtures/cve/
+ * - Bundle STIX de ATT&CK (subconjunto) desde fixtures/attack/
+ * - Artículos del sitio (colección articles) desde fixtures/articles.json, para los feeds
+ * - Resumidor y traductor simulados con la misma forma de respuesta que la API
+ * - Resultados al backend de almacenamiento JSON en un directorio local
+ *   (o al que se indique con --storage)
+ *
+ * Uso: node fetch-rss-news.js --dry-run [--fixtures <dir>] [--pages <dir>] [--out <directorio>]
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getArgValue, hasFlag } = require('./cli-args');
+const { COLLECTIONS, deserializeDoc } = require('./storage/base-storage');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'feeds');
+const DEFAULT_PAGES_DIR = path.join(__dirname, '..', 'fixtures', 'pages');
+const DEFAULT_CVE_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'cve');
+const DEFAULT_ATTACK_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'attack');
+const DEFAULT_ARTICLES_FIXTURE = path.join(__dirname, '..', 'fixtures', 'articles.json');
+const DEFAULT_OUTPUT_DIR = path.join(__dirname, '..', 'tmp', 'dry-run');
+
+/**
+ * Opciones del modo dry-run (flag --dry-run o DRY_RUN=true)
+ */
+function getDryRunOptions(argv = process.argv) {
+    const enabled = hasFlag('--dry-run', argv) || process.env.DRY_RUN === 'true';
+    return {
+        enabled,
+        fixturesDir: path.resolve(getArgValue('--fixtures', argv) || process.env.DRY_RUN_FIXTURES || DEFAULT_FIXTURES_DIR),
+        pagesDir: path.resolve(getArgValue('--pages', argv) || process.env.DRY_RUN_PAGES || DEFAULT_PAGES_DIR),
+        cveDataDir: DEFAULT_CVE_FIXTURES_DIR,
+        attackDataDir: DEFAULT_ATTACK_FIXTURES_DIR,
+        articlesFixture: DEFAULT_ARTICLES_FIXTURE,
+        outputDir: path.resolve(getArgValue('--out', argv) || process.env.DRY_RUN_OUTPUT || DEFAULT_OUTPUT_DIR)
+    };
+}
+
+/**
+ * Busca el fixture de una fuente: <id>.xml, <id>.rss o <id>.atom
+ * @returns {string|null} - Ruta del fixture o null si no existe
+ */
+function findFixture(fixturesDir, sourceId) {
+    for (const ext of ['.xml', '.rss', '.atom']) {
+        const file = path.join(fixturesDir, `${sourceId}${ext}`);
+        if (fs.existsSync(file)) return file;
+    }
+    return null;
+}
+
+/**
+ * Simula fetchFeed() leyendo el fixture de disco
+ * Devuelve la misma forma que lib/feed-fetcher.js
+ */
+function loadFixture(fixturesDir, source) {
+    const file = findFixture(fixturesDir, source.id);
+    if (!file) {
+        const error = new Error(`Sin fixture para ${source.id}`);
+        error.code = 'NO_FIXTURE';
+        throw error;
+    }
+
+    return {
+        status: 200,
+        notModified: false,
+        body: fs.readFileSync(file),
+        contentType: '',
+        finalUrl: file,
+        redirects: [],
+        validators: {}
+    };
+}
+
+/**
+ * Simula la descarga de la página de un artículo (--full-text)
+ * Devuelve la misma forma que lib/feed-fetcher.js
+ */
+function loadPageFixture(pagesDir, newsId) {
+    const file = path.join(pagesDir, `${newsId}.html`);
+    if (!fs.existsSync(file)) {
+        const error = new Error(`Sin página de fixture para ${newsId}`);
+        error.code = 'NO_FIXTURE';
+        throw error;
+    }
+
+    return {
+        status: 200,
+        notModified: false,
+        body: fs.readFileSync(file),
+        contentType: 'text/html',
+        finalUrl: file,
+        redirects: [],
+        validators: {}
+    };
+}
+
+/**
+ * Resumidor simulado: misma forma que la respuesta de /v1/messages
+ * El resumen son las primeras frases del texto completo (si se extrajo)
+ * o de la descripción; el objeto "threat"
+ * cumple el esquema de lib/threat-extraction.js con lo que se detecta
+ * literalmente en el texto. Los tokens se estiman con la misma regla
+ * (4 caracteres ≈ 1 token) que el run real.
+ */
+async function stubClaudeAPI(prompt, maxTokens, article = {}) {
+    const description = (article.fullText || article.description || article.title || '').trim();
+    const sentences = description.match(/[^.!?]+[.!?]+/g) || [description];
+    const summary = `[dry-run] ${sentences.slice(0, 2).join(' ').trim()}`.substring(0, 600);
+
+    const fullText = `${article.title || ''} ${description}`;
+    const exploited = /actively exploited|exploited in the wild|activamente explotad/i.test(fullText);
+    const threat = {
+        cves: [...new Set((fullText.match(/CVE-\d{4}-\d{4,7}/gi) || []).map(cve => cve.toUpperCase()))],
+        threatActors: [],
+        malwareFamilies: [],
+        affected: [],
+        exploitationStatus: exploited ? 'actively_exploited' : 'unknown',
+        attackTechniques: [],
+        severity: exploited ? 'high' : 'medium',
+        severityRationale: '[dry-run] severidad simulada'
+    };
+    const text = JSON.stringify({ summary, threat });
+
+    return {
+        content: [{ type: 'text', text }],
+        usage: {
+            input_tokens: Math.ceil(prompt.length / 4),
+            output_tokens: Math.min(maxTokens, Math.ceil(text.length / 4))
+        }
+    };
+}
+
+/**
+ * Traductor simulado: misma forma que la respuesta de /v1/messages
+ * (marca el texto original en lugar de traducirlo)
+ */
+async function stubTranslationAPI(prompt, maxTokens, article = {}) {
+    const text = JSON.stringify({
+        titleEs: `[dry-run ES] ${article.title || ''}`.substring(0, 500),
+        summaryEs: `[dry-run ES] ${article.summary || ''}`.substring(0, 1000)
+    });
+
+    return {
+        content: [{ type: 'text', text }],
+        usage: {
+            input_tokens: Math.ceil(prompt.length / 4),
+            output_tokens: Math.min(maxTokens, Math.ceil(text.length / 4))
+        }
+    };
+}
+
+/**
+ * Carga los artículos de fixture en la colección articles (la gestiona el
+ * sitio; el pipeline solo la lee para los feeds)
+ * @returns {Promise<number>} - Artículos cargados
+ */
+async function seedArticleFixtures(storage, file = DEFAULT_ARTICLES_FIXTURE) {
+    if (!fs.existsSync(file)) return 0;
+    const articles = deserializeDoc(fs.readFileSync(file, 'utf8'));
+    await storage.setDocs(COLLECTIONS.ARTICLES, articles.map(({ id, ...data }) => ({ id, data })));
+    return articles.length;
+}
+
+module.exports = {
+    DEFAULT_FIXTURES_DIR,
+    DEFAULT_PAGES_DIR,
+    DEFAULT_CVE_FIXTURES_DIR,
+    DEFAULT_ATTACK_FIXTURES_DIR,
+    DEFAULT_ARTICLES_FIXTURE,
+    DEFAULT_OUTPUT_DIR,
+    getDryRunOptions,
+    loadFixture,
+    loadPageFixture,
+    seedArticleFixtures,
+    stubClaudeAPI,
+    stubTranslationAPI
+};
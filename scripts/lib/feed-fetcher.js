@@ -0,0 +1,230 @@
+/**
+ * Descarga de Feeds - educada, condicional y resiliente
+ *
+ * - Sigue redirecciones 301/302/303/307/308 (con límite de saltos)
+ * - Peticiones condicionales (ETag / Last-Modified) → 304 sin descarga
+ * - Compresión gzip / deflate / brotli
+ * - User-Agent identificable
+ * - Rate limiting por host (varias fuentes comparten feedburner.com)
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const https = require('https');
+const http = require('http');
+const zlib = require('zlib');
+
+const FETCH_CONFIG = {
+    USER_AGENT: 'HerlissNewsFetcher/4.0 (+https://www.herlissbriceno.com/about/)',
+    ACCEPT: 'application/rss+xml, application/atom+xml, application/rdf+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.5',
+    ACCEPT_HTML: 'text/html, application/xhtml+xml;q=0.9, */*;q=0.5',
+    MAX_REDIRECTS: 5,
+    TIMEOUT: 30000,
+    MAX_BODY_BYTES: 10 * 1024 * 1024,   // 10 MB, tanto en la red como una vez descomprimido
+    HOST_MIN_INTERVAL: 1000             // 1 petición por segundo por host
+};
+
+const REDIRECT_CODES = new Set([301, 302, 303, 307, 308]);
+
+// ============================================
+// RATE LIMITING POR HOST
+// ============================================
+
+class HostRateLimiter {
+    constructor(minInterval = FETCH_CONFIG.HOST_MIN_INTERVAL) {
+        this.minInterval = minInterval;
+        this.nextSlot = new Map();   // host → timestamp del próximo turno
+    }
+
+    /**
+     * Espera hasta que el host tenga turno disponible
+     * Reserva el turno antes de esperar para que llamadas concurrentes se encolen
+     */
+    async wait(host) {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot.get(host) || 0);
+        this.nextSlot.set(host, slot + this.minInterval);
+
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    }
+}
+
+const defaultLimiter = new HostRateLimiter();
+
+// ============================================
+// DESCOMPRESIÓN
+// ============================================
+
+/**
+ * Descomprime el cuerpo con el mismo límite que la descarga: un cuerpo
+ * comprimido pequeño no debe expandirse sin control en memoria
+ */
+function decompress(buffer, encoding, maxBytes = FETCH_CONFIG.MAX_BODY_BYTES) {
+    const options = { maxOutputLength: maxBytes };
+    try {
+        switch ((encoding || '').trim().toLowerCase()) {
+            case 'gzip':
+            case 'x-gzip':
+                return zlib.gunzipSync(buffer, options);
+            case 'deflate':
+                try {
+                    return zlib.inflateSync(buffer, options);
+                } catch (error) {
+                    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw error;
+                    // Algunos servidores envían deflate "raw" sin cabecera zlib
+                    return zlib.inflateRawSync(buffer, options);
+                }
+            case 'br':
+                return zlib.brotliDecompressSync(buffer, options);
+            default:
+                return buffer;
+        }
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error(`Response too large (> ${maxBytes} bytes descomprimidos)`);
+        }
+        throw error;
+    }
+}
+
+// ============================================
+// PETICIÓN HTTP (un solo salto)
+// ============================================
+
+function requestOnce(url, headers, timeout, maxBytes = FETCH_CONFIG.MAX_BODY_BYTES) {
+    return new Promise((resolve, reject) => {
+        const protocol = url.startsWith('https') ? https : http;
+
+        const req = protocol.get(url, { headers, timeout }, (res) => {
+            // Redirecciones y 304 no necesitan cuerpo
+            if (REDIRECT_CODES.has(res.statusCode) || res.statusCode === 304) {
+                res.resume();
+                resolve({ statusCode: res.statusCode, headers: res.headers, body: null });
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+            res.on('data', chunk => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    req.destroy(new Error('Response too large'));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            res.on('end', () => resolve({
+                statusCode: res.statusCode,
+                headers: res.headers,
+                body: Buffer.concat(chunks)
+            }));
+            res.on('error', reject);
+        });
+
+        req.on('timeout', () => {
+            req.destroy(new Error('Request timeout'));
+        });
+        req.on('error', reject);
+    });
+}
+
+// ============================================
+// API PÚBLICA
+// ============================================
+
+/**
+ * Descarga un feed (o una página, con options.accept) siguiendo redirecciones
+ * y con validadores condicionales
+ *
+ * @param {string} url - URL del feed
+ * @param {Object} [options]
+ * @param {Object} [options.validators] - { etag, lastModified } de la ejecución anterior
+ * @param {number} [options.maxRedirects] - Límite de saltos
+ * @param {number} [options.timeout] - Timeout por petición (ms)
+ * @param {HostRateLimiter} [options.limiter] - Rate limiter compartido
+ * @param {string} [options.accept] - Cabecera Accept (por defecto, tipos de feed)
+ * @param {Object} [options.headers] - Cabeceras adicionales (p. ej. clave de API)
+ * @param {number} [options.maxBytes] - Tamaño máximo del cuerpo (por defecto MAX_BODY_BYTES)
+ * @returns {Promise<Object>} - { status, notModified, body, contentType, finalUrl, redirects, validators }
+ */
+async function fetchFeed(url, options = {}) {
+    const {
+        validators = {},
+        maxRedirects = FETCH_CONFIG.MAX_REDIRECTS,
+        timeout = FETCH_CONFIG.TIMEOUT,
+        limiter = defaultLimiter,
+        accept = FETCH_CONFIG.ACCEPT,
+        headers: extraHeaders = {},
+        maxBytes = FETCH_CONFIG.MAX_BODY_BYTES
+    } = options;
+
+    let currentUrl = url;
+    const redirects = [];
+
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+        const headers = {
+            'User-Agent': FETCH_CONFIG.USER_AGENT,
+            'Accept': accept,
+            'Accept-Encoding': 'gzip, deflate, br',
+            ...extraHeaders
+        };
+        if (validators.etag) headers['If-None-Match'] = validators.etag;
+        if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+        await limiter.wait(new URL(currentUrl).host);
+        const res = await requestOnce(currentUrl, headers, timeout, maxBytes);
+
+        if (REDIRECT_CODES.has(res.statusCode)) {
+            const location = res.headers.location;
+            if (!location) {
+                throw new Error(`HTTP ${res.statusCode} sin Location`);
+            }
+            const nextUrl = new URL(location, currentUrl).toString();
+            redirects.push({ status: res.statusCode, from: currentUrl, to: nextUrl });
+            currentUrl = nextUrl;
+            continue;
+        }
+
+        if (res.statusCode === 304) {
+            return {
+                status: 304,
+                notModified: true,
+                body: null,
+                contentType: '',
+                finalUrl: currentUrl,
+                redirects,
+                validators
+            };
+        }
+
+        if (res.statusCode !== 200) {
+            throw new Error(`HTTP ${res.statusCode}`);
+        }
+
+        return {
+            status: 200,
+            notModified: false,
+            body: decompress(res.body, res.headers['content-encoding'], maxBytes),
+            contentType: res.headers['content-type'] || '',
+            finalUrl: currentUrl,
+            redirects,
+            validators: {
+                etag: res.headers.etag || null,
+                lastModified: res.headers['last-modified'] || null
+            }
+        };
+    }
+
+    throw new Error(`Demasiadas redirecciones (> ${maxRedirects})`);
+}
+
+module.exports = {
+    FETCH_CONFIG,
+    HostRateLimiter,
+    fetchFeed
+};
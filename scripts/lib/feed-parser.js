@@ -0,0 +1,388 @@
+/**
+ * Parser de Feeds (RSS 2.0, Atom 1.0, RDF/RSS 1.0)
+ *
+ * Reemplaza la extracción por regex de v3.x:
+ * - Parser XML en streaming (sax), sin construir DOM
+ * - Namespaces por URI (dc:, content:, media:) aunque el feed use otro prefijo
+ * - Detección de charset (BOM > Content-Type > declaración XML > UTF-8)
+ * - Decodificación completa de entidades (numéricas + HTML 4)
+ * - Categorías / tags de cada item
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const sax = require('sax');
+
+// ============================================
+// NAMESPACES CONOCIDOS
+// ============================================
+
+// URI → prefijo canónico. Los namespaces "por defecto" de cada formato
+// (Atom, RSS 1.0, RDF) se tratan como sin prefijo.
+const NAMESPACES = {
+    'http://purl.org/dc/elements/1.1/': 'dc',
+    'http://purl.org/dc/terms/': 'dcterms',
+    'http://purl.org/rss/1.0/modules/content/': 'content',
+    'http://search.yahoo.com/mrss/': 'media',
+    'http://search.yahoo.com/mrss': 'media',
+    'http://www.w3.org/2005/Atom': '',
+    'http://purl.org/rss/1.0/': '',
+    'http://www.w3.org/1999/02/22-rdf-syntax-ns#': '',
+    'http://backend.userland.com/rss2': ''
+};
+
+// ============================================
+// ENTIDADES HTML
+// ============================================
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    iexcl: '¡', cent: '¢', pound: '£', curren: '¤', yen: '¥', brvbar: '¦', sect: '§',
+    uml: '¨', copy: '©', ordf: 'ª', laquo: '«', not: '¬', shy: '­', reg: '®',
+    macr: '¯', deg: '°', plusmn: '±', sup2: '²', sup3: '³', acute: '´', micro: 'µ',
+    para: '¶', middot: '·', cedil: '¸', sup1: '¹', ordm: 'º', raquo: '»', frac14: '¼',
+    frac12: '½', frac34: '¾', iquest: '¿', times: '×', divide: '÷',
+    Agrave: 'À', Aacute: 'Á', Acirc: 'Â', Atilde: 'Ã', Auml: 'Ä', Aring: 'Å', AElig: 'Æ',
+    Ccedil: 'Ç', Egrave: 'È', Eacute: 'É', Ecirc: 'Ê', Euml: 'Ë', Igrave: 'Ì', Iacute: 'Í',
+    Icirc: 'Î', Iuml: 'Ï', ETH: 'Ð', Ntilde: 'Ñ', Ograve: 'Ò', Oacute: 'Ó', Ocirc: 'Ô',
+    Otilde: 'Õ', Ouml: 'Ö', Oslash: 'Ø', Ugrave: 'Ù', Uacute: 'Ú', Ucirc: 'Û', Uuml: 'Ü',
+    Yacute: 'Ý', THORN: 'Þ', szlig: 'ß',
+    agrave: 'à', aacute: 'á', acirc: 'â', atilde: 'ã', auml: 'ä', aring: 'å', aelig: 'æ',
+    ccedil: 'ç', egrave: 'è', eacute: 'é', ecirc: 'ê', euml: 'ë', igrave: 'ì', iacute: 'í',
+    icirc: 'î', iuml: 'ï', eth: 'ð', ntilde: 'ñ', ograve: 'ò', oacute: 'ó', ocirc: 'ô',
+    otilde: 'õ', ouml: 'ö', oslash: 'ø', ugrave: 'ù', uacute: 'ú', ucirc: 'û', uuml: 'ü',
+    yacute: 'ý', thorn: 'þ', yuml: 'ÿ',
+    OElig: 'Œ', oelig: 'œ', Scaron: 'Š', scaron: 'š', Yuml: 'Ÿ', fnof: 'ƒ', circ: 'ˆ', tilde: '˜',
+    ensp: ' ', emsp: ' ', thinsp: ' ', zwnj: '‌', zwj: '‍',
+    lrm: '‎', rlm: '‏', ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', sbquo: '‚',
+    ldquo: '“', rdquo: '”', bdquo: '„', dagger: '†', Dagger: '‡', bull: '•', hellip: '…',
+    permil: '‰', prime: '′', Prime: '″', lsaquo: '‹', rsaquo: '›', oline: '‾', frasl: '⁄',
+    euro: '€', trade: '™', larr: '←', uarr: '↑', rarr: '→', darr: '↓', harr: '↔',
+    minus: '−', le: '≤', ge: '≥', ne: '≠', asymp: '≈', infin: '∞', check: '✓'
+};
+
+/**
+ * Decodifica entidades numéricas (&#8217; &#x2019;) y con nombre (&rsquo;)
+ * Las entidades desconocidas se dejan tal cual.
+ */
+function decodeEntities(text) {
+    if (!text) return '';
+    return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            if (!Number.isFinite(code) || code <= 0 || code > 0x10ffff) return match;
+            try {
+                return String.fromCodePoint(code);
+            } catch (error) {
+                return match;
+            }
+        }
+        return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, entity)
+            ? NAMED_ENTITIES[entity]
+            : match;
+    });
+}
+
+/**
+ * Limpia HTML: elimina tags y decodifica entidades
+ * (se decodifica dos veces para cubrir contenido doblemente escapado
+ * del tipo "&amp;#8217;", frecuente en descripciones de WordPress)
+ */
+function stripHTML(html) {
+    if (!html) return '';
+    const withoutTags = html
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ');
+    return decodeEntities(decodeEntities(withoutTags))
+        .replace(/<[^>]+>/g, ' ')      // tags que venían escapados
+        .replace(/[\s ]+/g, ' ')  // espacios múltiples → uno
+        .trim();
+}
+
+/**
+ * Texto plano (títulos, autores): solo entidades y espacios
+ */
+function cleanText(text) {
+    return decodeEntities(decodeEntities(text || '')).replace(/[\s ]+/g, ' ').trim();
+}
+
+// ============================================
+// DETECCIÓN DE CHARSET
+// ============================================
+
+/**
+ * Detecta el charset de un feed
+ * Orden: BOM > Content-Type > declaración XML > UTF-8
+ *
+ * @param {Buffer} buffer - Bytes del feed
+ * @param {string} [contentType] - Header Content-Type de la respuesta
+ * @returns {string} - Etiqueta de codificación para TextDecoder
+ */
+function detectCharset(buffer, contentType = '') {
+    if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf-8';
+    if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+    if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
+
+    const headerMatch = /charset=["']?([\w.:-]+)/i.exec(contentType || '');
+    if (headerMatch) return headerMatch[1].toLowerCase();
+
+    // La declaración XML siempre es ASCII, basta leer el inicio como latin1
+    const head = buffer.subarray(0, 200).toString('latin1');
+    const declMatch = /<\?xml[^>]*encoding=["']([\w.:-]+)["']/i.exec(head);
+    if (declMatch) return declMatch[1].toLowerCase();
+
+    return 'utf-8';
+}
+
+/**
+ * Decodifica los bytes del feed al charset detectado
+ * (charset desconocido → UTF-8)
+ */
+function decodeFeed(input, contentType) {
+    if (typeof input === 'string') return input;
+
+    const charset = detectCharset(input, contentType);
+    let decoder;
+    try {
+        decoder = new TextDecoder(charset);
+    } catch (error) {
+        decoder = new TextDecoder('utf-8');
+    }
+    return decoder.decode(input);
+}
+
+// ============================================
+// PARSER
+// ============================================
+
+/**
+ * Nombre canónico de un nodo sax (modo xmlns): "dc:creator", "title"...
+ */
+function canonicalName(node) {
+    const local = (node.local || node.name || '').toLowerCase();
+    if (node.uri && Object.prototype.hasOwnProperty.call(NAMESPACES, node.uri)) {
+        const prefix = NAMESPACES[node.uri];
+        return prefix ? `${prefix}:${local}` : local;
+    }
+    // Namespace desconocido o sin declarar: conservar el prefijo tal cual
+    return node.prefix ? `${node.prefix.toLowerCase()}:${local}` : local;
+}
+
+function attributeMap(node) {
+    const attrs = {};
+    for (const attr of Object.values(node.attributes || {})) {
+        const local = (attr.local || attr.name || '').toLowerCase();
+        attrs[local] = attr.value;
+    }
+    return attrs;
+}
+
+/**
+ * Parsea un feed completo
+ *
+ * @param {Buffer|string} input - Contenido del feed
+ * @param {Object} [options]
+ * @param {string} [options.contentType] - Header Content-Type (para charset)
+ * @param {number} [options.maxItems] - Máximo de items a devolver
+ * @param {Object} [options.fieldMap] - Overrides { campo: 'tag' } del registro
+ * @returns {Object} - { format, title, items: Array }
+ */
+function parseFeed(input, options = {}) {
+    const { contentType = '', maxItems = Infinity, fieldMap = {} } = options;
+    const xml = decodeFeed(input, contentType).replace(/^﻿/, '');
+
+    const parser = sax.parser(false, { xmlns: true, lowercase: true, trim: false, normalize: false });
+
+    const result = { format: 'unknown', title: '', items: [] };
+    const stack = [];          // { name, text, attrs }
+    let itemDepth = -1;        // profundidad del <item>/<entry> abierto
+    let current = null;        // { fields: {}, attrs: {} }
+    let done = false;
+
+    const appendText = (text) => {
+        if (done) return;
+        // El texto cuenta para todos los elementos abiertos dentro del item
+        // (necesario para contenido xhtml de Atom con hijos)
+        const from = itemDepth >= 0 ? itemDepth + 1 : stack.length - 1;
+        for (let i = Math.max(from, 0); i < stack.length; i++) {
+            stack[i].text += text;
+        }
+    };
+
+    parser.onerror = () => {
+        // Modo tolerante: continuar tras errores de XML mal formado
+        parser.error = null;
+        parser.resume();
+    };
+
+    parser.onopentag = (node) => {
+        if (done) return;
+        const name = canonicalName(node);
+
+        if (stack.length === 0) {
+            if (name === 'rss') result.format = 'rss2';
+            else if (name === 'feed') result.format = 'atom';
+            else if (name === 'rdf') result.format = 'rdf';
+        }
+
+        stack.push({ name, text: '', attrs: attributeMap(node) });
+
+        if (itemDepth < 0 && (name === 'item' || name === 'entry')) {
+            itemDepth = stack.length - 1;
+            current = { fields: {}, attrs: {} };
+        }
+    };
+
+    parser.ontext = appendText;
+    parser.oncdata = appendText;
+
+    parser.onclosetag = () => {
+        if (done) return;
+        const node = stack.pop();
+        if (!node) return;
+
+        if (itemDepth >= 0 && stack.length > itemDepth) {
+            // Ruta relativa al item: "title", "author/name", "media:group/media:content"
+            const key = stack.slice(itemDepth + 1).map(n => n.name).concat(node.name).join('/');
+            (current.fields[key] = current.fields[key] || []).push(node.text);
+            (current.attrs[key] = current.attrs[key] || []).push(node.attrs);
+            return;
+        }
+
+        if (itemDepth >= 0 && stack.length === itemDepth) {
+            const item = buildItem(current, fieldMap);
+            if (item.title && item.link) {
+                result.items.push(item);
+            }
+            itemDepth = -1;
+            current = null;
+            if (result.items.length >= maxItems) {
+                done = true;
+            }
+            return;
+        }
+
+        // Título del canal / feed
+        if (node.name === 'title' && !result.title && itemDepth < 0) {
+            result.title = cleanText(node.text);
+        }
+    };
+
+    parser.write(xml).close();
+    return result;
+}
+
+// ============================================
+// CONSTRUCCIÓN DE ITEMS
+// ============================================
+
+function buildItem({ fields, attrs }, fieldMap) {
+    const first = (key) => (fields[key] && fields[key].find(v => v && v.trim())) || '';
+    const attrList = (key) => attrs[key] || [];
+
+    const getLink = () => {
+        // RSS 2.0 / RDF: <link>texto</link>
+        const textLink = first('link').trim();
+        if (textLink) return textLink;
+
+        // Atom: <link rel="alternate" href="..."/> (rel ausente = alternate)
+        const links = attrList('link').filter(a => a.href);
+        const alternate = links.find(a => !a.rel || a.rel === 'alternate') || links[0];
+        if (alternate) return alternate.href.trim();
+
+        // guid permalink como último recurso
+        const guidAttrs = attrList('guid')[0] || {};
+        const guid = first('guid').trim();
+        if (guid && guidAttrs.ispermalink !== 'false' && /^https?:\/\//i.test(guid)) return guid;
+
+        return '';
+    };
+
+    const getPubDate = () => {
+        const candidates = [first('pubdate'), first('published'), first('dc:date'), first('updated'), first('dcterms:modified')];
+        for (const value of candidates) {
+            if (!value) continue;
+            const date = new Date(value.trim());
+            if (!isNaN(date.getTime())) return date;
+        }
+        return new Date();
+    };
+
+    const getThumbnail = () => {
+        const mediaKeys = ['media:content', 'media:group/media:content', 'media:thumbnail', 'media:group/media:thumbnail'];
+        for (const key of mediaKeys) {
+            const media = attrList(key).find(a => a.url && (!a.medium || a.medium === 'image') && (!a.type || a.type.startsWith('image')));
+            if (media) return media.url;
+        }
+        const enclosure = attrList('enclosure').find(a => a.url && (a.type || '').startsWith('image'));
+        if (enclosure) return enclosure.url;
+        return '';
+    };
+
+    const getCategories = () => {
+        const values = [];
+        for (const text of fields.category || []) values.push(cleanText(text));
+        for (const a of attrList('category')) values.push(cleanText(a.label || a.term || ''));
+        for (const text of fields['dc:subject'] || []) values.push(cleanText(text));
+        for (const text of fields['media:keywords'] || []) values.push(...cleanText(text).split(','));
+
+        const seen = new Set();
+        return values
+            .map(v => v.trim())
+            .filter(v => {
+                const key = v.toLowerCase();
+                if (!v || v.length > 80 || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, 20);
+    };
+
+    const getAuthor = () => cleanText(
+        first('author/name') || first('dc:creator') || first('author') || first('itunes:author')
+    );
+
+    const item = {
+        title: cleanText(first('title')),
+        link: getLink(),
+        description: stripHTML(first('description') || first('summary')) ||
+            stripHTML(first('content:encoded') || first('content')),
+        pubDate: getPubDate(),
+        author: getAuthor(),
+        thumbnail: getThumbnail(),
+        categories: getCategories(),
+        guid: cleanText(first('guid') || first('id'))
+    };
+
+    // Overrides del registro de fuentes: { campo: 'tag' }
+    for (const [field, tag] of Object.entries(fieldMap || {})) {
+        const key = tag.toLowerCase();
+        const value = first(key) || (attrList(key).find(a => a.href || a.url) || {})[field === 'link' ? 'href' : 'url'];
+        if (!value) continue;
+
+        if (field === 'pubDate') {
+            const date = new Date(value.trim());
+            if (!isNaN(date.getTime())) item.pubDate = date;
+        } else if (field === 'description') {
+            item.description = stripHTML(value);
+        } else {
+            item[field] = cleanText(value);
+        }
+    }
+
+    return item;
+}
+
+module.exports = {
+    parseFeed,
+    detectCharset,
+    decodeFeed,
+    decodeEntities,
+    stripHTML,
+    cleanText
+};
@@ -0,0 +1,171 @@
+/**
+ * Serialización de Feeds: RSS 2.0, Atom 1.0 y JSON Feed 1.1
+ *
+ * Los tres formatos salen del mismo modelo:
+ *
+ *   feed  → { id, title, description, homePageUrl, urls: { rss, atom, json }, language, author }
+ *   item  → { id, url, title, summary, contentHtml, published, updated, author, categories, source }
+ *
+ * source = { name, url } es el feed de origen (RSS <source>, Atom <source>);
+ * JSON Feed no tiene equivalente.
+ *
+ * La fecha del feed es la del item más reciente (no la de la ejecución):
+ * sin cambios en los items, la salida es idéntica byte a byte.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+// Caracteres no permitidos en XML 1.0
+const INVALID_XML_CHARS = /[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+function escapeXml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function toDate(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Fecha del feed: la actualización más reciente entre sus items
+ */
+function feedUpdated(items) {
+    const times = items
+        .map(item => toDate(item.updated) || toDate(item.published))
+        .filter(Boolean)
+        .map(date => date.getTime());
+    return times.length > 0 ? new Date(Math.max(...times)) : new Date(0);
+}
+
+// ============================================
+// RSS 2.0
+// ============================================
+
+function buildRss(feed, items) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+        '<channel>',
+        `<title>${escapeXml(feed.title)}</title>`,
+        `<link>${escapeXml(feed.homePageUrl)}</link>`,
+        `<description>${escapeXml(feed.description)}</description>`,
+        `<language>${escapeXml(feed.language)}</language>`,
+        `<lastBuildDate>${feedUpdated(items).toUTCString()}</lastBuildDate>`,
+        `<atom:link href="${escapeXml(feed.urls.rss)}" rel="self" type="application/rss+xml"/>`
+    ];
+
+    for (const item of items) {
+        const published = toDate(item.published);
+        lines.push('<item>');
+        lines.push(`<title>${escapeXml(item.title)}</title>`);
+        lines.push(`<link>${escapeXml(item.url)}</link>`);
+        lines.push(`<guid isPermaLink="false">${escapeXml(item.id)}</guid>`);
+        if (published) lines.push(`<pubDate>${published.toUTCString()}</pubDate>`);
+        if (item.author) lines.push(`<dc:creator>${escapeXml(item.author)}</dc:creator>`);
+        lines.push(`<description>${escapeXml(item.summary)}</description>`);
+        if (item.contentHtml) lines.push(`<content:encoded>${escapeXml(item.contentHtml)}</content:encoded>`);
+        for (const category of item.categories || []) {
+            lines.push(`<category>${escapeXml(category)}</category>`);
+        }
+        if (item.source) lines.push(`<source url="${escapeXml(item.source.url)}">${escapeXml(item.source.name)}</source>`);
+        lines.push('</item>');
+    }
+
+    lines.push('</channel>', '</rss>');
+    return lines.join('\n') + '\n';
+}
+
+// ============================================
+// ATOM 1.0
+// ============================================
+
+function buildAtom(feed, items) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">`,
+        `<id>${escapeXml(feed.id)}</id>`,
+        `<title>${escapeXml(feed.title)}</title>`,
+        `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+        `<updated>${feedUpdated(items).toISOString()}</updated>`,
+        `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.urls.atom)}"/>`,
+        `<link rel="alternate" type="text/html" href="${escapeXml(feed.homePageUrl)}"/>`,
+        `<author><name>${escapeXml(feed.author)}</name></author>`
+    ];
+
+    for (const item of items) {
+        const published = toDate(item.published);
+        const updated = toDate(item.updated) || published;
+        lines.push('<entry>');
+        lines.push(`<id>${escapeXml(`${feed.id}:${item.id}`)}</id>`);
+        lines.push(`<title>${escapeXml(item.title)}</title>`);
+        lines.push(`<link rel="alternate" href="${escapeXml(item.url)}"/>`);
+        if (published) lines.push(`<published>${published.toISOString()}</published>`);
+        if (updated) lines.push(`<updated>${updated.toISOString()}</updated>`);
+        if (item.author) lines.push(`<author><name>${escapeXml(item.author)}</name></author>`);
+        lines.push(`<summary type="text">${escapeXml(item.summary)}</summary>`);
+        if (item.contentHtml) lines.push(`<content type="html">${escapeXml(item.contentHtml)}</content>`);
+        for (const category of item.categories || []) {
+            lines.push(`<category term="${escapeXml(category)}"/>`);
+        }
+        if (item.source) {
+            lines.push(`<source><title>${escapeXml(item.source.name)}</title><link href="${escapeXml(item.source.url)}"/></source>`);
+        }
+        lines.push('</entry>');
+    }
+
+    lines.push('</feed>');
+    return lines.join('\n') + '\n';
+}
+
+// ============================================
+// JSON FEED 1.1
+// ============================================
+
+function buildJsonFeed(feed, items) {
+    const json = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homePageUrl,
+        feed_url: feed.urls.json,
+        description: feed.description,
+        language: feed.language,
+        authors: [{ name: feed.author }],
+        items: items.map(item => {
+            const published = toDate(item.published);
+            const updated = toDate(item.updated);
+            const entry = {
+                id: item.id,
+                url: item.url,
+                title: item.title,
+                summary: item.summary
+            };
+            if (item.contentHtml) entry.content_html = item.contentHtml;
+            else entry.content_text = item.summary;
+            if (published) entry.date_published = published.toISOString();
+            if (updated) entry.date_modified = updated.toISOString();
+            if (item.author) entry.authors = [{ name: item.author }];
+            if (item.categories && item.categories.length > 0) entry.tags = item.categories;
+            return entry;
+        })
+    };
+    return JSON.stringify(json, null, 2) + '\n';
+}
+
+module.exports = {
+    escapeXml,
+    feedUpdated,
+    buildRss,
+    buildAtom,
+    buildJsonFeed
+};
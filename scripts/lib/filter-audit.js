@@ -0,0 +1,112 @@
+/**
+ * Auditoría del Filtro PRE-API
+ *
+ * - Cada noticia guardada lleva la decisión del filtro (campo "filter")
+ * - Los artículos rechazados se registran en filter_rejections con
+ *   retención corta (expiresAt) para investigar falsos negativos
+ * - Un rechazo se puede promover: la siguiente ejecución lo procesa
+ *   completo (resumen + metadata) aunque el filtro lo vuelva a rechazar
+ *
+ * En Firestore conviene además una política TTL sobre expiresAt;
+ * el pipeline purga los vencidos en cada ejecución igualmente.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const AUDIT_CONFIG = {
+    RETENTION_DAYS: 14,
+    DESCRIPTION_MAX_CHARS: 2000,   // Suficiente para resumir si se promueve
+    MATCHED_KEYWORDS_MAX: 10
+};
+
+/**
+ * Decisión del filtro que se guarda en el documento de noticia
+ */
+function summarizeDecision(decision) {
+    return {
+        score: decision.score,
+        category: decision.category,
+        audience: decision.audience,
+        reason: decision.reason,
+        matchedKeywords: (decision.matchedKeywords || []).slice(0, AUDIT_CONFIG.MATCHED_KEYWORDS_MAX),
+        rulesVersion: decision.rulesVersion || null,
+        promoted: decision.promoted === true
+    };
+}
+
+/**
+ * Tipo de rechazo para agrupar: "blacklist" o "low_score"
+ */
+function rejectionReasonType(decision) {
+    return decision.category === 'blocked' ? 'blacklist' : 'low_score';
+}
+
+/**
+ * Construye el registro de filter_rejections de un artículo rechazado
+ *
+ * @param {Object} article - Artículo del feed (+ id y contentHash)
+ * @param {Object} source - Fuente del registro
+ * @param {Object} decision - Resultado de shouldProcessWithClaude()
+ * @returns {Object} - { id, data }
+ */
+function buildRejectionRecord(article, source, decision, now = new Date()) {
+    const pubDate = new Date(article.pubDate);
+    return {
+        id: article.id,
+        data: {
+            id: article.id,
+            title: article.title || '',
+            link: article.link || '',
+            description: (article.description || '').substring(0, AUDIT_CONFIG.DESCRIPTION_MAX_CHARS),
+            pubDate: isNaN(pubDate.getTime()) ? now : pubDate,
+            author: article.author || '',
+            categories: article.categories || [],
+            sourceId: source.id,
+            sourceName: source.name,
+            contentHash: article.contentHash,
+            reasonType: rejectionReasonType(decision),
+            ...summarizeDecision(decision),
+            rejectedAt: now,
+            expiresAt: new Date(now.getTime() + AUDIT_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000)
+        }
+    };
+}
+
+/**
+ * ¿Hay que (re)escribir el rechazo? Solo si es nuevo, cambió el contenido
+ * o cambiaron las reglas; así los items repetidos en cada feed no generan escrituras.
+ */
+function isRejectionChanged(existing, record) {
+    return !existing ||
+        existing.contentHash !== record.data.contentHash ||
+        existing.rulesVersion !== record.data.rulesVersion;
+}
+
+/**
+ * Agrupa rechazos por fuente y motivo
+ * (el motivo de blacklist es la keyword; el de score bajo, el tipo)
+ *
+ * @returns {Array<Object>} - [{ sourceId, reason, count }] ordenado por count desc
+ */
+function groupRejections(docs) {
+    const groups = new Map();
+    for (const doc of docs) {
+        const reason = doc.reasonType === 'blacklist' ? doc.reason : 'Score bajo';
+        const key = `${doc.sourceId}\n${reason}`;
+        if (!groups.has(key)) groups.set(key, { sourceId: doc.sourceId, reason, count: 0 });
+        groups.get(key).count++;
+    }
+    return [...groups.values()].sort((a, b) => b.count - a.count || a.sourceId.localeCompare(b.sourceId));
+}
+
+module.exports = {
+    AUDIT_CONFIG,
+    summarizeDecision,
+    rejectionReasonType,
+    buildRejectionRecord,
+    isRejectionChanged,
+    groupRejections
+};
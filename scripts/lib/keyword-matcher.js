@@ -0,0 +1,213 @@
+/**
+ * Coincidencia de Keywords por Tokens
+ *
+ * Reemplaza text.includes(keyword), que confunde subcadenas
+ * ("clop" en "cyclops", "hash" en "hashtag", "ios" en "scenarios"):
+ * - Tokenización con límites de palabra y acentos normalizados
+ * - Stemming ligero EN/ES (plurales, -ed/-ing, género en español)
+ * - Frases como secuencia de tokens, con proximidad opcional
+ *   (near: N permite hasta N tokens intermedios entre cada término)
+ *
+ * El texto se analiza una vez y se compara contra muchas frases.
+ * Lo usan el filtro PRE-API, el score CIA+NR (lib/cia-scoring.js) y los
+ * alias de threat actors y productos (lib/threat-actors.js, lib/product-catalog.js).
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const MIN_STEM_LENGTH = 3;
+
+// ============================================
+// NORMALIZACIÓN Y STEMMING
+// ============================================
+
+function normalize(text) {
+    return (text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+function tokenize(text) {
+    return normalize(text).match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Stemming ligero en inglés: plurales, -ed, -ing
+ * ("exploited" → "exploit", "patches" → "patch", "class" se mantiene)
+ */
+function stemEnglish(token) {
+    if (token.endsWith('ies') && token.length > 4) return `${token.slice(0, -3)}y`;
+    if (/(ch|sh|x|ss|z)es$/.test(token)) return token.slice(0, -2);
+    if (token.endsWith('ing') && token.length - 3 >= MIN_STEM_LENGTH) return token.slice(0, -3);
+    if (token.endsWith('ed') && token.length - 2 >= MIN_STEM_LENGTH) return token.slice(0, -2);
+    if (token.endsWith('s') && !/(ss|us|is)$/.test(token) && token.length - 1 >= MIN_STEM_LENGTH) return token.slice(0, -1);
+    return token;
+}
+
+/**
+ * Stemming ligero en español: plural y género
+ * ("explotado"/"explotadas" → "explotad", "ataques" → "ataqu")
+ */
+function stemSpanish(token) {
+    if (token.endsWith('ciones')) return `${token.slice(0, -6)}cion`;
+    for (const suffix of ['es', 'os', 'as', 's', 'o', 'a', 'e']) {
+        if (token.endsWith(suffix) && token.length - suffix.length >= MIN_STEM_LENGTH) {
+            return token.slice(0, -suffix.length);
+        }
+    }
+    return token;
+}
+
+/**
+ * Los tokens con dígitos (cve, apt28, 2026) no se alteran
+ */
+function stem(token, language) {
+    if (token.length <= MIN_STEM_LENGTH || /\d/.test(token)) return token;
+    return language === 'es' ? stemSpanish(token) : stemEnglish(token);
+}
+
+// ============================================
+// ANÁLISIS Y COINCIDENCIA
+// ============================================
+
+function indexPositions(tokens) {
+    const positions = new Map();
+    tokens.forEach((token, i) => {
+        if (!positions.has(token)) positions.set(token, []);
+        positions.get(token).push(i);
+    });
+    return positions;
+}
+
+/**
+ * Analiza un texto una sola vez para compararlo contra muchas frases
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.language] - 'en' | 'es' (stemming); por defecto inglés
+ * @returns {Object} - { language, tokens, stems, tokenPositions, stemPositions }
+ */
+function analyzeText(text, options = {}) {
+    const language = options.language || 'en';
+    const tokens = tokenize(text);
+    const stems = tokens.map(token => stem(token, language));
+    return {
+        language,
+        tokens,
+        stems,
+        tokenPositions: indexPositions(tokens),
+        stemPositions: indexPositions(stems)
+    };
+}
+
+/**
+ * Compila una frase para matchPhrase()
+ *
+ * @param {string} phrase - Texto de la frase ("actively exploited", "cve-2026-")
+ * @param {Object} [options]
+ * @param {boolean} [options.stem=true] - false = solo tokens exactos (nombres de productos)
+ * @param {number} [options.near=0] - Tokens intermedios permitidos entre términos
+ * @returns {Object} - { label, terms, stem, near, stemsByLanguage }
+ */
+function compilePhrase(phrase, options = {}) {
+    const terms = tokenize(phrase);
+    if (terms.length === 0) {
+        throw new Error(`Frase sin tokens: "${phrase}"`);
+    }
+    return {
+        label: phrase,
+        terms,
+        stem: options.stem !== false,
+        near: options.near || 0,
+        stemsByLanguage: new Map()
+    };
+}
+
+function termsFor(compiled, language) {
+    if (!compiled.stem) return compiled.terms;
+    if (!compiled.stemsByLanguage.has(language)) {
+        compiled.stemsByLanguage.set(language, compiled.terms.map(term => stem(term, language)));
+    }
+    return compiled.stemsByLanguage.get(language);
+}
+
+/**
+ * Fin (exclusivo) de la frase si empieza en `start`, o -1
+ * Los términos deben aparecer en orden, con a lo sumo `near` tokens entre cada par.
+ */
+function matchEnd(sequence, terms, near, start) {
+    let position = start;
+    for (let t = 1; t < terms.length; t++) {
+        const limit = Math.min(sequence.length - 1, position + 1 + near);
+        let next = -1;
+        for (let j = position + 1; j <= limit; j++) {
+            if (sequence[j] === terms[t]) {
+                next = j;
+                break;
+            }
+        }
+        if (next < 0) return -1;
+        position = next;
+    }
+    return position + 1;
+}
+
+function phraseContext(analyzed, compiled) {
+    const terms = termsFor(compiled, analyzed.language);
+    return {
+        terms,
+        sequence: compiled.stem ? analyzed.stems : analyzed.tokens,
+        starts: (compiled.stem ? analyzed.stemPositions : analyzed.tokenPositions).get(terms[0]) || []
+    };
+}
+
+/**
+ * ¿Aparece la frase en el texto analizado?
+ */
+function matchPhrase(analyzed, compiled) {
+    const { terms, sequence, starts } = phraseContext(analyzed, compiled);
+    return starts.some(start => matchEnd(sequence, terms, compiled.near, start) >= 0);
+}
+
+/**
+ * Todas las apariciones de la frase como tramos de tokens
+ * @returns {Array} - [{ start, end }] (end exclusivo, índices en analyzed.tokens)
+ */
+function findPhrase(analyzed, compiled) {
+    const { terms, sequence, starts } = phraseContext(analyzed, compiled);
+    const spans = [];
+    for (const start of starts) {
+        const end = matchEnd(sequence, terms, compiled.near, start);
+        if (end >= 0) spans.push({ start, end });
+    }
+    return spans;
+}
+
+/**
+ * Lista de frases compiladas con las mismas opciones
+ * @returns {Object} - { phrases, test(analyzed), matches(analyzed), spans(analyzed) }
+ */
+function createKeywordMatcher(phrases, options = {}) {
+    const compiled = phrases.map(phrase => compilePhrase(phrase, options));
+    return {
+        phrases: compiled,
+        test: (analyzed) => compiled.some(phrase => matchPhrase(analyzed, phrase)),
+        matches: (analyzed) => compiled.filter(phrase => matchPhrase(analyzed, phrase)).map(phrase => phrase.label),
+        spans: (analyzed) => compiled.flatMap(phrase => findPhrase(analyzed, phrase))
+    };
+}
+
+module.exports = {
+    normalize,
+    tokenize,
+    stem,
+    analyzeText,
+    compilePhrase,
+    matchPhrase,
+    findPhrase,
+    createKeywordMatcher
+};
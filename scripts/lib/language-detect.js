@@ -0,0 +1,65 @@
+/**
+ * Detección de Idioma por Artículo (EN/ES)
+ *
+ * El idioma del registro de fuentes es solo una pista: hay fuentes en
+ * español que publican notas en inglés y viceversa. Se cuentan palabras
+ * funcionales de cada idioma (más ñ, ¿, ¡ y -ción) en título + descripción;
+ * si la evidencia no alcanza se usa el idioma de la fuente.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const { tokenize } = require('./keyword-matcher');
+
+const LANGUAGE_CONFIG = {
+    MIN_HITS: 3,           // Palabras funcionales mínimas para decidir
+    MIN_CONFIDENCE: 0.65   // Proporción mínima del idioma ganador
+};
+
+// Palabras funcionales sin acentos (tokenize() los elimina); sin ambiguas como "a" o "no"
+const FUNCTION_WORDS = {
+    en: new Set([
+        'the', 'and', 'of', 'to', 'in', 'is', 'for', 'on', 'with', 'that', 'by', 'as', 'are',
+        'from', 'this', 'was', 'were', 'has', 'have', 'it', 'its', 'be', 'an', 'at', 'or',
+        'which', 'after', 'their', 'been', 'will', 'into', 'over', 'new'
+    ]),
+    es: new Set([
+        'el', 'la', 'los', 'las', 'de', 'del', 'que', 'y', 'en', 'un', 'una', 'por', 'para',
+        'con', 'se', 'su', 'sus', 'es', 'al', 'como', 'mas', 'pero', 'esta', 'este', 'ha',
+        'han', 'sobre', 'tras', 'entre', 'nueva', 'nuevo', 'segun'
+    ])
+};
+
+/**
+ * Detecta el idioma de un texto
+ *
+ * @param {string} text - Título + descripción
+ * @param {string|null} [fallback] - Idioma de la fuente
+ * @returns {Object} - { language, confidence, detected }
+ */
+function detectLanguage(text, fallback = null) {
+    const hits = { en: 0, es: 0 };
+    for (const token of tokenize(text)) {
+        if (FUNCTION_WORDS.en.has(token)) hits.en++;
+        if (FUNCTION_WORDS.es.has(token)) hits.es++;
+    }
+    // Marcas ortográficas exclusivas del español
+    hits.es += ((text || '').match(/[ñ¿¡]|ción\b/gi) || []).length;
+
+    const total = hits.en + hits.es;
+    const language = hits.es > hits.en ? 'es' : 'en';
+    const confidence = total > 0 ? Math.max(hits.en, hits.es) / total : 0;
+
+    if (total < LANGUAGE_CONFIG.MIN_HITS || confidence < LANGUAGE_CONFIG.MIN_CONFIDENCE) {
+        return { language: fallback, confidence, detected: false };
+    }
+    return { language, confidence, detected: true };
+}
+
+module.exports = {
+    LANGUAGE_CONFIG,
+    detectLanguage
+};
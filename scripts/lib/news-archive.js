@@ -0,0 +1,189 @@
+/**
+ * Retención de Noticias y Archivos Mensuales
+ *
+ * La retención trabaja por meses completos: un mes vence cuando termina
+ * antes del corte (hoy - días de retención). Cada mes vencido se exporta a
+ * <dir>/YYYY-MM.json.gz (JSON de los documentos, fechas en ISO) y se anota en
+ * <dir>/index.json, que el sitio lee para enlazar los meses históricos
+ * (news-date-widget.js).
+ *
+ * Un mes que ya tenía archivo (noticias tardías) se fusiona por id con el
+ * existente. Cada archivo se relee y se verifica antes de que el llamador
+ * borre nada del almacenamiento.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { serializeDoc, deserializeDoc } = require('./storage/base-storage');
+
+const DEFAULT_ARCHIVE_DIR = path.join(__dirname, '..', '..', 'archive', 'news');
+const ARCHIVE_INDEX_FILE = 'index.json';
+const ARCHIVE_INDEX_VERSION = 1;
+
+// ============================================
+// MESES Y CORTE
+// ============================================
+
+/**
+ * Mes UTC de una fecha: "2026-07"
+ */
+function monthKey(date) {
+    const d = date instanceof Date ? date : new Date(date);
+    return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Corte de retención redondeado al inicio de mes (UTC): todo lo anterior
+ * pertenece a meses completos fuera de la ventana
+ */
+function retentionCutoff(retentionDays, now = new Date()) {
+    const limit = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+    return new Date(Date.UTC(limit.getUTCFullYear(), limit.getUTCMonth(), 1));
+}
+
+/**
+ * Documentos agrupados por mes de publicación
+ * @returns {Map<string, Array>} - YYYY-MM → documentos (orden cronológico)
+ */
+function groupByMonth(docs) {
+    const months = new Map();
+    for (const doc of docs) {
+        const pubDate = doc.pubDate instanceof Date ? doc.pubDate : new Date(doc.pubDate);
+        if (isNaN(pubDate.getTime())) continue;
+        const key = monthKey(pubDate);
+        if (!months.has(key)) months.set(key, []);
+        months.get(key).push(doc);
+    }
+    for (const docs of months.values()) {
+        docs.sort((a, b) => new Date(a.pubDate) - new Date(b.pubDate));
+    }
+    return new Map([...months.entries()].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// ============================================
+// ARCHIVOS
+// ============================================
+
+function archiveFileName(month) {
+    return `${month}.json.gz`;
+}
+
+/**
+ * Documentos de un archivo mensual ([] si no existe)
+ */
+function readMonthArchive(dir, month) {
+    const file = path.join(dir, archiveFileName(month));
+    if (!fs.existsSync(file)) return [];
+    const content = deserializeDoc(zlib.gunzipSync(fs.readFileSync(file)).toString('utf8'));
+    return Array.isArray(content.news) ? content.news : [];
+}
+
+/**
+ * Escribe el archivo de un mes (fusionado con el existente) y lo verifica
+ *
+ * @param {string} dir - Directorio de archivos
+ * @param {string} month - YYYY-MM
+ * @param {Array} docs - Documentos que vencen en este mes
+ * @returns {Object} - Registro { month, file, count, added, bytes, sha256, firstPubDate, lastPubDate, archivedAt }
+ */
+function writeMonthArchive(dir, month, docs) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const byId = new Map(readMonthArchive(dir, month).map(doc => [doc.id, doc]));
+    const previousCount = byId.size;
+    for (const doc of docs) byId.set(doc.id, doc);
+    const news = [...byId.values()].sort((a, b) => new Date(a.pubDate) - new Date(b.pubDate));
+
+    const archivedAt = new Date();
+    const buffer = zlib.gzipSync(serializeDoc({ month, archivedAt, count: news.length, news }), { level: 9 });
+
+    // Escritura atómica: un fallo a mitad nunca deja un archivo truncado
+    const file = path.join(dir, archiveFileName(month));
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, buffer);
+    fs.renameSync(tmpFile, file);
+
+    // Verificación: el archivo en disco debe contener todos los ids
+    const stored = new Set(readMonthArchive(dir, month).map(doc => doc.id));
+    const missing = docs.filter(doc => !stored.has(doc.id));
+    if (missing.length > 0) {
+        throw new Error(`Archivo ${archiveFileName(month)} incompleto: faltan ${missing.length} noticia(s)`);
+    }
+
+    return {
+        month,
+        file: archiveFileName(month),
+        count: news.length,
+        added: news.length - previousCount,
+        bytes: buffer.length,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        firstPubDate: new Date(news[0].pubDate),
+        lastPubDate: new Date(news[news.length - 1].pubDate),
+        archivedAt
+    };
+}
+
+// ============================================
+// ÍNDICE (lo lee el sitio)
+// ============================================
+
+function readArchiveIndex(dir) {
+    const file = path.join(dir, ARCHIVE_INDEX_FILE);
+    if (!fs.existsSync(file)) {
+        return { version: ARCHIVE_INDEX_VERSION, updated: null, retentionDays: null, months: [] };
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Añade o reemplaza meses en el índice (más reciente primero)
+ */
+function updateArchiveIndex(dir, records, { retentionDays } = {}) {
+    const index = readArchiveIndex(dir);
+    const months = new Map(index.months.map(entry => [entry.month, entry]));
+    for (const record of records) {
+        months.set(record.month, {
+            month: record.month,
+            file: record.file,
+            count: record.count,
+            bytes: record.bytes,
+            sha256: record.sha256,
+            firstPubDate: record.firstPubDate.toISOString(),
+            lastPubDate: record.lastPubDate.toISOString(),
+            archivedAt: record.archivedAt.toISOString()
+        });
+    }
+
+    const updated = {
+        version: ARCHIVE_INDEX_VERSION,
+        updated: new Date().toISOString(),
+        retentionDays: retentionDays || index.retentionDays,
+        months: [...months.values()].sort((a, b) => b.month.localeCompare(a.month))
+    };
+
+    const file = path.join(dir, ARCHIVE_INDEX_FILE);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(updated, null, 2) + '\n');
+    fs.renameSync(tmpFile, file);
+    return updated;
+}
+
+module.exports = {
+    DEFAULT_ARCHIVE_DIR,
+    ARCHIVE_INDEX_FILE,
+    monthKey,
+    retentionCutoff,
+    groupByMonth,
+    archiveFileName,
+    readMonthArchive,
+    writeMonthArchive,
+    readArchiveIndex,
+    updateArchiveIndex
+};
@@ -0,0 +1,207 @@
+/**
+ * Snapshots Estáticos de Noticias para el Sitio
+ *
+ * El pipeline publica las noticias como JSON estático (assets/data/news/),
+ * para que la página cargue sin consultar Firestore:
+ *
+ *   YYYY-MM.json   → noticias del mes (orden: más reciente primero)
+ *   latest.json    → las más recientes, para pintar la página al instante
+ *   manifest.json  → meses disponibles con conteo y hash de contenido
+ *
+ * El manifest se pide sin caché; los demás archivos con ?v=<hash>, así el
+ * CDN puede cachearlos sin servir versiones viejas; un archivo cuyo contenido
+ * no cambió no se reescribe (ni cambia su hash). Cada ejecución revisa
+ * el mes actual, el anterior (agrupación entre fuentes, correcciones) y los
+ * meses de las noticias guardadas, fusionando por id con el snapshot previo:
+ * los meses que archive-news.js ya borró del almacenamiento conservan sus
+ * noticias y el sitio sigue mostrando el historial.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { monthKey } = require('./news-archive');
+
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, '..', '..', 'assets', 'data', 'news');
+const SNAPSHOT_MANIFEST_FILE = 'manifest.json';
+const SNAPSHOT_LATEST_FILE = 'latest.json';
+const SNAPSHOT_VERSION = 1;
+
+const SNAPSHOT_CONFIG = {
+    LATEST_COUNT: 60,          // Suficiente para la primera pantalla y los widgets
+    REBUILD_MONTHS: 18         // Sin manifest: meses que se reconstruyen desde el almacenamiento
+};
+
+// Campos internos del pipeline que el sitio no usa
+const OMITTED_FIELDS = ['filter', 'fullTextExtraction', 'contentHash'];
+
+const MONTH_FILE_PATTERN = /^\d{4}-\d{2}\.json$/;
+
+/**
+ * Documento guardado → versión pública (fechas en ISO)
+ */
+function toPublicDoc(doc) {
+    const publicDoc = {};
+    for (const [key, value] of Object.entries(doc)) {
+        if (!OMITTED_FIELDS.includes(key)) publicDoc[key] = value;
+    }
+    return publicDoc;
+}
+
+function byPubDateDesc(a, b) {
+    return new Date(b.pubDate) - new Date(a.pubDate);
+}
+
+/**
+ * Inicio (UTC) del mes "YYYY-MM" (offset 1: el del mes siguiente)
+ */
+function monthStart(month, offset = 0) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(Date.UTC(year, monthNumber - 1 + offset, 1));
+}
+
+/**
+ * Escritura atómica; devuelve { bytes, hash } del contenido
+ */
+function writeSnapshotFile(dir, file, data) {
+    const content = JSON.stringify(data);
+    const target = path.join(dir, file);
+    const tmpFile = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, content);
+    fs.renameSync(tmpFile, target);
+    return {
+        bytes: Buffer.byteLength(content),
+        hash: crypto.createHash('sha256').update(content).digest('hex').substring(0, 12)
+    };
+}
+
+function readSnapshot(dir, file) {
+    const target = path.join(dir, file);
+    return fs.existsSync(target) ? JSON.parse(fs.readFileSync(target, 'utf8')) : null;
+}
+
+// Documentos del almacenamiento (Date) y del snapshot (ISO) comparan igual vía JSON
+function sameNews(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function readManifest(dir) {
+    const file = path.join(dir, SNAPSHOT_MANIFEST_FILE);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+/**
+ * Meses que se reescriben en esta ejecución
+ *
+ * @param {Array<Date>} pubDates - Fechas de las noticias guardadas
+ * @param {Object} options - { now, rebuild }
+ * @returns {Array<string>} - YYYY-MM, el más antiguo primero
+ */
+function monthsToWrite(pubDates, { now = new Date(), rebuild = false } = {}) {
+    const months = new Set();
+    const count = rebuild ? SNAPSHOT_CONFIG.REBUILD_MONTHS : 2;
+    for (let i = 0; i < count; i++) {
+        months.add(monthKey(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1))));
+    }
+    for (const date of pubDates) {
+        if (!isNaN(date.getTime()) && date <= now) months.add(monthKey(date));
+    }
+    return [...months].sort();
+}
+
+/**
+ * Reescribe los snapshots de los meses indicados, latest.json y el manifest
+ *
+ * @param {BaseStorage} storage - Backend del pipeline
+ * @param {Object} options
+ * @param {string} options.dir - Directorio de snapshots
+ * @param {Array<Date>} [options.pubDates] - Fechas de las noticias guardadas en la ejecución
+ * @param {boolean} [options.rebuild] - Reconstruir REBUILD_MONTHS meses (implícito sin manifest)
+ * @returns {Promise<Object>} - { months: [YYYY-MM], news, latest }
+ */
+async function writeNewsSnapshots(storage, { dir, pubDates = [], rebuild = false, now = new Date() }) {
+    fs.mkdirSync(dir, { recursive: true });
+    const previous = readManifest(dir);
+    const months = monthsToWrite(pubDates, { now, rebuild: rebuild || !previous });
+
+    // Una consulta acotada por mes: una noticia vieja no arrastra todo lo posterior
+    const byMonth = new Map();
+    let storedCount = 0;
+    for (const month of months) {
+        const docs = await storage.getNewsBetween(monthStart(month), monthStart(month, 1));
+        byMonth.set(month, docs.map(toPublicDoc));
+        storedCount += docs.length;
+    }
+
+    // Entradas del manifest anterior cuyo archivo sigue existiendo (y archivos sin entrada)
+    const entries = new Map(((previous && previous.months) || [])
+        .filter(entry => fs.existsSync(path.join(dir, entry.file)))
+        .map(entry => [entry.month, entry]));
+    for (const file of fs.readdirSync(dir).filter(name => MONTH_FILE_PATTERN.test(name))) {
+        const month = file.slice(0, 7);
+        if (entries.has(month) || byMonth.has(month)) continue;
+        const content = fs.readFileSync(path.join(dir, file));
+        entries.set(month, {
+            month,
+            file,
+            count: JSON.parse(content).count,
+            bytes: content.length,
+            hash: crypto.createHash('sha256').update(content).digest('hex').substring(0, 12),
+            updatedAt: null
+        });
+    }
+
+    const generatedAt = now.toISOString();
+    const written = [];
+    for (const [month, stored] of byMonth) {
+        const file = `${month}.json`;
+        const existing = readSnapshot(dir, file);
+        // El almacenamiento manda; el snapshot previo aporta lo que ya no está en él
+        const merged = new Map(((existing || {}).news || []).map(doc => [doc.id, doc]));
+        stored.forEach(doc => merged.set(doc.id, doc));
+        if (merged.size === 0) continue;
+        const news = [...merged.values()].sort(byPubDateDesc);
+        if (existing && entries.has(month) && sameNews(existing.news, news)) continue;
+        const { bytes, hash } = writeSnapshotFile(dir, file, { version: SNAPSHOT_VERSION, month, generatedAt, count: news.length, news });
+        entries.set(month, { month, file, count: news.length, bytes, hash, updatedAt: generatedAt });
+        written.push(month);
+    }
+
+    const latestDocs = (await storage.getLatestNews(SNAPSHOT_CONFIG.LATEST_COUNT)).map(toPublicDoc);
+    const previousLatest = readSnapshot(dir, SNAPSHOT_LATEST_FILE);
+    const latestChanged = !previous || !previousLatest || !sameNews(previousLatest.news, latestDocs);
+
+    if (!latestChanged && written.length === 0 && entries.size === previous.months.length) {
+        return { months: written, news: storedCount, latest: latestDocs.length };
+    }
+
+    const latest = latestChanged
+        ? writeSnapshotFile(dir, SNAPSHOT_LATEST_FILE, { version: SNAPSHOT_VERSION, generatedAt, count: latestDocs.length, news: latestDocs })
+        : { hash: previous.latest.hash };
+
+    const manifestMonths = [...entries.values()].sort((a, b) => b.month.localeCompare(a.month));
+    writeSnapshotFile(dir, SNAPSHOT_MANIFEST_FILE, {
+        version: SNAPSHOT_VERSION,
+        generatedAt,
+        latest: { file: SNAPSHOT_LATEST_FILE, count: latestDocs.length, hash: latest.hash },
+        totalNews: manifestMonths.reduce((sum, entry) => sum + entry.count, 0),
+        months: manifestMonths
+    });
+
+    return { months: written, news: storedCount, latest: latestDocs.length };
+}
+
+module.exports = {
+    DEFAULT_SNAPSHOT_DIR,
+    SNAPSHOT_MANIFEST_FILE,
+    SNAPSHOT_LATEST_FILE,
+    SNAPSHOT_CONFIG,
+    toPublicDoc,
+    monthsToWrite,
+    writeNewsSnapshots
+};
@@ -0,0 +1,188 @@
+/**
+ * Catálogo de Fabricantes y Productos (ids estilo CPE)
+ *
+ * Lee el catálogo compartido con el sitio (assets/data/products.json):
+ * id vendor:product de CPE 2.3, nombre para mostrar, familia y alias.
+ *
+ * - extract(analizado): productos mencionados → [{ id, vendor, name, family }]
+ *   Los alias se comparan como frases de tokens sobre el texto ya analizado
+ *   (lib/keyword-matcher.js). Entre alias solapados gana el más largo ("Windows Server" no cuenta
+ *   además como "Windows"); una mención solo del fabricante ("Cisco") se
+ *   guarda como vendor:* y se descarta si ya hay un producto suyo.
+ * - resolve(nombre, fabricante): un nombre suelto (p. ej. el del modelo) → producto
+ *   Los desconocidos conservan el texto y reciben un id por slug.
+ *
+ * El sitio compila las mismas variantes de cada alias como regex (news-advanced-filters.js).
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { analyzeText } = require('./keyword-matcher');
+const { aliasKey, aliasMatcher } = require('./threat-actors');
+
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '..', '..', 'assets', 'data', 'products.json');
+
+/**
+ * Componente de CPE: minúsculas, espacios → "_" ("Palo Alto" → palo_alto)
+ */
+function cpeSlug(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .trim()
+        .replace(/\s+/g, '_')
+        .replace(/[^a-z0-9_.-]/g, '');
+}
+
+class ProductCatalog {
+    /**
+     * @param {Object} raw - Contenido de products.json
+     */
+    constructor(raw) {
+        if (!raw || !Array.isArray(raw.products) || !Array.isArray(raw.vendors)) {
+            throw new Error('Catálogo de productos inválido: faltan "vendors" o "products"');
+        }
+
+        this.version = raw.version;
+        this.families = raw.families || {};
+        this.vendors = new Map();
+        this.byId = new Map();
+        this.byAlias = new Map();
+        this.matchers = [];
+
+        const register = (name, id) => {
+            const key = aliasKey(name);
+            const owner = this.byAlias.get(key);
+            if (owner && owner !== id) {
+                throw new Error(`Alias "${name}" asignado a ${owner} y ${id}`);
+            }
+            this.byAlias.set(key, id);
+        };
+        const addMatcher = (names, id) => {
+            names.forEach(name => register(name, id));
+            this.matchers.push({ id, matcher: aliasMatcher(names) });
+        };
+
+        for (const vendor of raw.vendors) {
+            this.vendors.set(vendor.id, vendor);
+            const id = `${vendor.id}:*`;
+            this.byId.set(id, { id, vendor: vendor.id, name: vendor.name, family: null });
+            addMatcher([vendor.name, ...(vendor.aliases || [])], id);
+        }
+
+        for (const product of raw.products) {
+            const [vendor, name] = String(product.id).split(':');
+            if (!vendor || !name || !product.name) {
+                throw new Error(`Producto incompleto en el catálogo: ${JSON.stringify(product)}`);
+            }
+            if (this.byId.has(product.id)) {
+                throw new Error(`ID de producto duplicado: ${product.id}`);
+            }
+            if (product.family && !this.families[product.family]) {
+                throw new Error(`Familia desconocida "${product.family}" en ${product.id}`);
+            }
+            this.byId.set(product.id, { id: product.id, vendor, name: product.name, family: product.family || null });
+            addMatcher([product.name, ...(product.aliases || [])], product.id);
+        }
+    }
+
+    get(id) {
+        return this.byId.get(id) || null;
+    }
+
+    /**
+     * Nombre suelto (y fabricante, si se conoce) → { id, vendor, name, family, known }
+     */
+    resolve(name, vendor = '') {
+        const id = this.byAlias.get(aliasKey(name)) ||
+            (vendor ? this.byAlias.get(aliasKey(`${vendor} ${name}`)) : null);
+        if (id) return { ...this.byId.get(id), known: true };
+
+        const vendorId = vendor ? this.byAlias.get(aliasKey(vendor)) : null;
+        const vendorPart = vendorId ? this.byId.get(vendorId).vendor : (cpeSlug(vendor) || '*');
+        return { id: `${vendorPart}:${cpeSlug(name)}`, vendor: vendorPart, name: String(name).trim(), family: null, known: false };
+    }
+
+    /**
+     * Varios nombres ({ name, vendor } o texto) → lista sin duplicados por id,
+     * sin menciones solo del fabricante cuando ya hay un producto suyo
+     */
+    canonicalize(entries = []) {
+        const seen = new Map();
+        for (const entry of entries) {
+            const { name, vendor } = typeof entry === 'string' ? { name: entry } : entry;
+            if (!name) continue;
+            const product = this.resolve(name, vendor);
+            if (!seen.has(product.id)) seen.set(product.id, product);
+        }
+        return dropVendorOnly([...seen.values()]);
+    }
+
+    /**
+     * Productos mencionados en un texto
+     * @param {Object|string} analyzed - Resultado de analyzeText() (o el texto)
+     * @returns {Array} - [{ id, vendor, name, family, known }]
+     */
+    extract(analyzed) {
+        if (typeof analyzed === 'string') analyzed = analyzeText(analyzed);
+        const candidates = [];
+        for (const { id, matcher } of this.matchers) {
+            for (const span of matcher.spans(analyzed)) {
+                candidates.push({ id, ...span });
+            }
+        }
+
+        // El alias más largo se queda con el tramo de texto
+        candidates.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+        const taken = [];
+        const found = new Map();
+        for (const candidate of candidates) {
+            if (taken.some(span => candidate.start < span.end && span.start < candidate.end)) continue;
+            taken.push(candidate);
+            if (!found.has(candidate.id)) found.set(candidate.id, { start: candidate.start, product: this.byId.get(candidate.id) });
+        }
+
+        const products = [...found.values()]
+            .sort((a, b) => a.start - b.start)
+            .map(({ product }) => ({ ...product, known: true }));
+        return dropVendorOnly(products);
+    }
+}
+
+function dropVendorOnly(products) {
+    const withProduct = new Set(products.filter(p => !p.id.endsWith(':*')).map(p => p.vendor));
+    return products.filter(p => !p.id.endsWith(':*') || !withProduct.has(p.vendor));
+}
+
+/**
+ * Campos de metadata de una lista de productos canónicos
+ */
+function productMetadata(products) {
+    return {
+        affectedProducts: products.map(product => product.name),
+        productIds: products.map(product => product.id),
+        vendors: [...new Set(products.map(product => product.vendor).filter(vendor => vendor && vendor !== '*'))],
+        productFamilies: [...new Set(products.map(product => product.family).filter(Boolean))]
+    };
+}
+
+/**
+ * Carga el catálogo (por defecto el del sitio)
+ */
+function loadProductCatalog(catalogPath = process.env.PRODUCT_CATALOG_PATH || DEFAULT_CATALOG_PATH) {
+    return new ProductCatalog(JSON.parse(fs.readFileSync(catalogPath, 'utf8')));
+}
+
+module.exports = {
+    DEFAULT_CATALOG_PATH,
+    cpeSlug,
+    ProductCatalog,
+    productMetadata,
+    loadProductCatalog
+};
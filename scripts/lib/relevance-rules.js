@@ -0,0 +1,251 @@
+/**
+ * Reglas de Relevancia del Filtro PRE-API
+ *
+ * Las listas de keywords (blacklist, señales de alto/moderado impacto,
+ * señales negativas) y el umbral viven en data/relevance-rules/v<versión>.json.
+ * Cada regla es una frase o una expresión regular, con idioma y etiqueta:
+ *
+ *   { "phrase": "actively exploited", "lang": "en", "tag": "active-exploitation" }
+ *   { "regex": "\\bcve-202[5-6]-\\d{4,7}", "lang": "any", "tag": "recent-cve", "weight": 3 }
+ *
+ * Cada grupo define su peso y un tope de coincidencias (cap) para no
+ * inflar el puntaje. Con "languageFilter": true las reglas "en"/"es" solo
+ * se aplican a artículos de ese idioma (si el idioma es conocido).
+ *
+ * "matcher" define cómo se comparan las frases:
+ * - "substring" (por defecto, v3.1): subcadena del texto en minúsculas
+ * - "tokens": lib/keyword-matcher.js (límites de palabra, acentos, stemming);
+ *   cada frase admite "near" (proximidad) y "stem": false (token exacto)
+ * Las regex se evalúan siempre sobre el texto en minúsculas.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { analyzeText, compilePhrase, matchPhrase } = require('./keyword-matcher');
+
+const RULES_DIR = path.join(__dirname, '..', 'data', 'relevance-rules');
+const GROUP_ORDER = ['high', 'medium', 'negative'];
+const RULE_LANGUAGES = ['en', 'es', 'any'];
+const MATCHERS = ['substring', 'tokens'];
+
+// ============================================
+// CARGA Y VALIDACIÓN
+// ============================================
+
+/**
+ * Compara versiones "3.1" / "3.10" / "4.0" numéricamente
+ */
+function compareVersions(a, b) {
+    const pa = String(a).split('.').map(Number);
+    const pb = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Archivos de reglas disponibles, de la versión más antigua a la más nueva
+ * @returns {Array<Object>} - [{ version, file }]
+ */
+function listRuleVersions(dir = RULES_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .map(name => name.match(/^v(\d+(?:\.\d+)*)\.json$/))
+        .filter(Boolean)
+        .map(match => ({ version: match[1], file: path.join(dir, match[0]) }))
+        .sort((a, b) => compareVersions(a.version, b.version));
+}
+
+function compileRule(rule, groupName, index, matcher) {
+    const where = `${groupName}.rules[${index}]`;
+    if (typeof rule.phrase === 'string' === (typeof rule.regex === 'string')) {
+        throw new Error(`Regla inválida en ${where}: debe tener "phrase" o "regex" (solo uno)`);
+    }
+    const lang = rule.lang || 'any';
+    if (!RULE_LANGUAGES.includes(lang)) {
+        throw new Error(`Idioma inválido en ${where}: "${lang}"`);
+    }
+
+    let test;
+    if (rule.phrase !== undefined && matcher === 'tokens') {
+        const compiled = compilePhrase(rule.phrase, { stem: rule.stem, near: rule.near });
+        test = (input) => matchPhrase(input.analyzed, compiled);
+    } else if (rule.phrase !== undefined) {
+        const phrase = rule.phrase.toLowerCase();
+        test = (input) => input.text.includes(phrase);
+    } else {
+        let regex;
+        try {
+            regex = new RegExp(rule.regex, 'i');
+        } catch (error) {
+            throw new Error(`Regex inválida en ${where}: ${error.message}`);
+        }
+        test = (input) => regex.test(input.text);
+    }
+
+    return {
+        label: rule.phrase !== undefined ? rule.phrase : `/${rule.regex}/`,
+        lang,
+        tag: rule.tag || null,
+        weight: rule.weight,
+        test
+    };
+}
+
+/**
+ * Carga y compila un archivo de reglas
+ *
+ * @param {string} [file] - Ruta; por defecto RELEVANCE_RULES_PATH o la versión más nueva
+ * @returns {Object} - { version, file, minScore, matcher, languageFilter, technicalTerms, blacklist, groups }
+ */
+function loadRelevanceRules(file = process.env.RELEVANCE_RULES_PATH) {
+    if (!file) {
+        const versions = listRuleVersions();
+        if (versions.length === 0) {
+            throw new Error(`No hay reglas de relevancia en ${RULES_DIR}`);
+        }
+        file = versions[versions.length - 1].file;
+    }
+
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!raw.version || typeof raw.minScore !== 'number' || !raw.groups || !raw.groups.blacklist) {
+        throw new Error(`Archivo de reglas inválido: ${file}`);
+    }
+    const matcher = raw.matcher || 'substring';
+    if (!MATCHERS.includes(matcher)) {
+        throw new Error(`Matcher desconocido "${matcher}" en ${file} (opciones: ${MATCHERS.join(', ')})`);
+    }
+
+    const groups = {};
+    for (const name of GROUP_ORDER) {
+        const group = raw.groups[name];
+        if (!group) continue;
+        if (typeof group.weight !== 'number') {
+            throw new Error(`Grupo "${name}" sin peso en ${file}`);
+        }
+        groups[name] = {
+            weight: group.weight,
+            cap: group.cap === undefined ? null : group.cap,
+            rules: group.rules.map((rule, i) => compileRule(rule, name, i, matcher))
+        };
+    }
+
+    return {
+        version: raw.version,
+        file,
+        minScore: raw.minScore,
+        matcher,
+        languageFilter: raw.languageFilter === true,
+        technicalTerms: raw.technicalTerms || [],
+        blacklist: raw.groups.blacklist.rules.map((rule, i) => compileRule(rule, 'blacklist', i, matcher)),
+        groups
+    };
+}
+
+// ============================================
+// EVALUACIÓN
+// ============================================
+
+function appliesToLanguage(rule, language, rules) {
+    if (!rules.languageFilter || !language || rule.lang === 'any') return true;
+    return rule.lang === language;
+}
+
+/**
+ * Evalúa si un artículo es relevante para CISOs/C-Level
+ * Regla: BLACKLIST > scoring por señales > umbral minScore
+ *
+ * @param {Object} article - { title, description, language? }
+ * @param {Object} rules - Resultado de loadRelevanceRules()
+ * @returns {Object} - { process, reason, category, audience, score, matchedKeywords, rulesVersion }
+ */
+function evaluateRelevance(article, rules) {
+    const text = `${article.title || ''} ${article.description || ''}`.toLowerCase();
+    const language = article.language || null;
+    const input = {
+        text,
+        analyzed: rules.matcher === 'tokens' ? analyzeText(text, { language }) : null
+    };
+
+    // ── PASO 1: BLACKLIST — prioridad absoluta, score irrelevante ──────────────
+    for (const rule of rules.blacklist) {
+        if (appliesToLanguage(rule, language, rules) && rule.test(input)) {
+            return {
+                process: false,
+                reason: `Blacklist: "${rule.label}"`,
+                category: 'blocked',
+                audience: 'N/A',
+                score: -99,
+                matchedKeywords: [rule.label],
+                rulesVersion: rules.version
+            };
+        }
+    }
+
+    // ── PASO 2: SCORING — acumular puntos por señales, con tope por grupo ──────
+    let score = 0;
+    const matchedKeywords = [];
+
+    for (const name of GROUP_ORDER) {
+        const group = rules.groups[name];
+        if (!group) continue;
+
+        let matches = 0;
+        for (const rule of group.rules) {
+            if (!appliesToLanguage(rule, language, rules) || !rule.test(input)) continue;
+            const weight = rule.weight !== undefined ? rule.weight : group.weight;
+            score += weight;
+            matchedKeywords.push(`${weight > 0 ? '+' : ''}${weight}:"${rule.label}"`);
+            matches++;
+            if (group.cap !== null && matches >= group.cap) break;
+        }
+    }
+
+    // ── PASO 3: DECISIÓN por umbral ───────────────────────────────────────────
+    const approved = score >= rules.minScore;
+
+    // Determinar categoría y audiencia
+    let category = 'no_match';
+    let audience = 'N/A';
+
+    if (approved) {
+        // ¿Es técnico o negocio? (alguna señal positiva con término técnico,
+        // aunque haya quedado fuera del tope del grupo)
+        const isTechnical = GROUP_ORDER
+            .filter(name => rules.groups[name] && rules.groups[name].weight > 0)
+            .some(name => rules.groups[name].rules.some(rule =>
+                rules.technicalTerms.some(term => rule.label.toLowerCase().includes(term)) &&
+                appliesToLanguage(rule, language, rules) && rule.test(input)
+            ));
+
+        category = isTechnical ? 'technical' : 'business';
+        audience = isTechnical ? 'CISO/Technical' : 'C-Level/Management';
+    }
+
+    return {
+        process: approved,
+        reason: approved
+            ? `Score ${score} ≥ ${rules.minScore}: ${matchedKeywords.slice(0, 3).join(', ')}`
+            : `Score ${score} < ${rules.minScore}: insuficiente relevancia`,
+        category,
+        audience,
+        score,
+        matchedKeywords,
+        rulesVersion: rules.version
+    };
+}
+
+module.exports = {
+    RULES_DIR,
+    compareVersions,
+    listRuleVersions,
+    loadRelevanceRules,
+    evaluateRelevance
+};
@@ -0,0 +1,154 @@
+/**
+ * Reintentos con Backoff y Circuit Breaker para la API de Claude
+ *
+ * - Reintenta errores transitorios (429, 529, 5xx, timeouts, red)
+ *   con backoff exponencial + jitter, respetando retry-after
+ * - No reintenta errores fatales (400, 401, 403, 404): no cambian al repetir
+ * - El circuit breaker se abre tras varios artículos fallidos seguidos
+ *   (o ante un error de autenticación) y el resto de la ejecución usa
+ *   el resumen extractivo sin esperar timeouts
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const RETRY_CONFIG = {
+    MAX_ATTEMPTS: 3,               // Intentos totales por artículo
+    BASE_DELAY: 1000,              // 1s, 2s, 4s... (antes del jitter)
+    MAX_DELAY: 20000,              // Tope de espera entre intentos
+    MAX_RETRY_AFTER: 60000,        // Si la API pide esperar más, no se reintenta
+    BREAKER_THRESHOLD: 3           // Artículos fallidos seguidos para abrir el circuito
+};
+
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+const AUTH_STATUS = new Set([401, 403]);
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'API_TIMEOUT']);
+
+/**
+ * Crea un error HTTP de la API con la información para decidir el reintento
+ */
+function createAPIError(statusCode, body, headers = {}) {
+    const error = new Error(`HTTP ${statusCode}: ${body}`);
+    error.status = statusCode;
+    error.retryAfter = parseRetryAfter(headers['retry-after']);
+    return error;
+}
+
+/**
+ * retry-after en segundos o como fecha HTTP
+ * @returns {number|null} - Milisegundos de espera
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function isRetryable(error) {
+    if (error.status) return RETRYABLE_STATUS.has(error.status);
+    return RETRYABLE_NETWORK_CODES.has(error.code);
+}
+
+/**
+ * Errores que afectan a todas las llamadas (clave inválida o sin permisos)
+ */
+function isAuthError(error) {
+    return AUTH_STATUS.has(error.status);
+}
+
+/**
+ * Espera antes del siguiente intento: retry-after si viene,
+ * si no backoff exponencial con jitter completo
+ */
+function computeDelay(attempt, error, config = RETRY_CONFIG) {
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+        return error.retryAfter;
+    }
+    const exponential = Math.min(config.MAX_DELAY, config.BASE_DELAY * Math.pow(2, attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+/**
+ * Ejecuta fn() con reintentos
+ *
+ * @param {Function} fn - (attempt) → Promise
+ * @param {Object} [options] - { config, canRetry(delay), onRetry(error, attempt, delay), sleep }
+ */
+async function withRetry(fn, options = {}) {
+    const config = options.config || RETRY_CONFIG;
+    const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            error.attempts = attempt;
+            if (!isRetryable(error) || attempt >= config.MAX_ATTEMPTS) throw error;
+
+            const delay = computeDelay(attempt, error, config);
+            if (delay > config.MAX_RETRY_AFTER) throw error;
+            if (options.canRetry && !options.canRetry(delay)) throw error;
+
+            if (options.onRetry) options.onRetry(error, attempt, delay);
+            await sleep(delay);
+        }
+    }
+}
+
+class CircuitBreaker {
+    constructor(threshold = RETRY_CONFIG.BREAKER_THRESHOLD) {
+        this.threshold = threshold;
+        this.consecutiveFailures = 0;
+        this.open = false;
+        this.reason = null;
+    }
+
+    isOpen() {
+        return this.open;
+    }
+
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+    }
+
+    /**
+     * @returns {boolean} - true si este fallo abrió el circuito
+     */
+    recordFailure(error) {
+        if (this.open) return false;
+
+        if (isAuthError(error)) {
+            this.trip(`error de autenticación (HTTP ${error.status})`);
+            return true;
+        }
+        // Un 400 es culpa del artículo, no de la API: no cuenta
+        if (error.status && !isRetryable(error)) return false;
+
+        this.consecutiveFailures++;
+        if (this.consecutiveFailures >= this.threshold) {
+            this.trip(`${this.consecutiveFailures} fallos consecutivos (último: ${error.message.substring(0, 80)})`);
+            return true;
+        }
+        return false;
+    }
+
+    trip(reason) {
+        this.open = true;
+        this.reason = reason;
+    }
+}
+
+module.exports = {
+    RETRY_CONFIG,
+    createAPIError,
+    parseRetryAfter,
+    isRetryable,
+    isAuthError,
+    computeDelay,
+    withRetry,
+    CircuitBreaker
+};
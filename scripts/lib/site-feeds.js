@@ -0,0 +1,256 @@
+/**
+ * Feeds Propios del Sitio (noticias curadas y artículos publicados)
+ *
+ * Cada feed se publica en RSS 2.0, Atom y JSON Feed (lib/feed-writer.js)
+ * bajo feeds/ en la raíz del sitio:
+ *
+ *   news                      → historias curadas (resumen, severidad y CVEs como categorías)
+ *   news-critical|high|medium → severidad igual o mayor que el nivel
+ *   news-category-<id>        → categoría de la fuente (assets/data/news-sources.json)
+ *   articles                  → análisis publicados (colección articles)
+ *   articles-category-<slug>  → categoría del artículo
+ *
+ * Más feeds/index.json con la lista de variantes. Un archivo solo se
+ * reescribe si su contenido cambió.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { buildRss, buildAtom, buildJsonFeed } = require('./feed-writer');
+
+const DEFAULT_FEEDS_DIR = path.join(__dirname, '..', '..', 'feeds');
+
+const SITE_FEEDS_CONFIG = {
+    SITE_URL: 'https://www.herlissbriceno.com',
+    FEEDS_PATH: '/feeds/',       // Ruta pública de DEFAULT_FEEDS_DIR
+    AUTHOR: 'Herliss Briceño',
+    LANGUAGE: 'es',
+    NEWS_WINDOW_DAYS: 30,        // Historias candidatas
+    MAX_ITEMS: 50,               // Items por feed
+    NEWS_PAGE: '/categories/noticias.html',
+    ARTICLES_PAGE: '/categories/articulos-publicados.html'
+};
+
+// Variantes por severidad: el nivel y los superiores
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+const SEVERITY_VARIANTS = {
+    critical: 'críticas',
+    high: 'de severidad alta o crítica',
+    medium: 'de severidad media o superior'
+};
+
+const FEED_FORMATS = [
+    { key: 'rss', extension: '.rss.xml', build: buildRss },
+    { key: 'atom', extension: '.atom.xml', build: buildAtom },
+    { key: 'json', extension: '.json', build: buildJsonFeed }
+];
+
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// ============================================
+// ITEMS
+// ============================================
+
+/**
+ * Noticia guardada → item: el resumen de Claude (en español si se tradujo),
+ * severidad, CVEs y categoría de la fuente como categorías
+ *
+ * @param {Object} doc - Noticia guardada
+ * @param {Object} options - { categoryLabels: id → etiqueta, sourceFeeds: sourceId → URL del RSS }
+ */
+function newsToItem(doc, { categoryLabels = {}, sourceFeeds = {} } = {}) {
+    const metadata = doc.metadata || {};
+    const categories = [];
+    if (metadata.severityLevel) categories.push(`severity:${metadata.severityLevel}`);
+    categories.push(...(metadata.cves || []));
+    if (doc.sourceCategory) categories.push(categoryLabels[doc.sourceCategory] || doc.sourceCategory);
+
+    return {
+        id: doc.id,
+        url: doc.link,
+        title: doc.titleEs || doc.title,
+        summary: doc.summaryEs || doc.summary || doc.description || '',
+        published: doc.pubDate,
+        updated: doc.updatedAt || doc.pubDate,
+        author: doc.author || null,
+        categories,
+        source: doc.sourceName ? { name: doc.sourceName, url: sourceFeeds[doc.sourceId] || doc.link } : null
+    };
+}
+
+/**
+ * Artículo publicado → item con el HTML completo
+ */
+function articleToItem(doc, siteUrl) {
+    return {
+        id: doc.id,
+        url: `${siteUrl}${SITE_FEEDS_CONFIG.ARTICLES_PAGE}?slug=${encodeURIComponent(doc.slug || doc.id)}`,
+        title: doc.title,
+        summary: doc.excerpt || '',
+        contentHtml: doc.content || null,
+        published: doc.publishedAt,
+        updated: doc.updatedAt || doc.publishedAt,
+        author: doc.author || SITE_FEEDS_CONFIG.AUTHOR,
+        categories: [doc.category, ...(doc.subcategories || [])].filter(Boolean),
+        source: null
+    };
+}
+
+function byDateDesc(field) {
+    return (a, b) => new Date(b[field]) - new Date(a[field]);
+}
+
+// ============================================
+// VARIANTES
+// ============================================
+
+/**
+ * Definiciones de todos los feeds: [{ name, title, description, page, items }]
+ */
+function buildFeedDefinitions({ news, articles, categoryLabels = {}, sourceFeeds = {}, siteUrl }) {
+    const stories = news
+        .filter(doc => doc.clusterPrimary !== false)    // Una entrada por historia
+        .sort(byDateDesc('pubDate'));
+    const toNewsItems = docs => docs.slice(0, SITE_FEEDS_CONFIG.MAX_ITEMS).map(doc => newsToItem(doc, { categoryLabels, sourceFeeds }));
+
+    const definitions = [{
+        name: 'news',
+        title: 'Herliss Briceño · Noticias de Ciberseguridad',
+        description: 'Noticias de ciberseguridad seleccionadas y resumidas, con severidad y CVEs',
+        page: SITE_FEEDS_CONFIG.NEWS_PAGE,
+        items: toNewsItems(stories)
+    }];
+
+    for (const [level, label] of Object.entries(SEVERITY_VARIANTS)) {
+        const minimum = SEVERITY_LEVELS.indexOf(level);
+        definitions.push({
+            name: `news-${level}`,
+            title: `Herliss Briceño · Noticias ${label}`,
+            description: `Noticias de ciberseguridad ${label}`,
+            page: SITE_FEEDS_CONFIG.NEWS_PAGE,
+            items: toNewsItems(stories.filter(doc =>
+                SEVERITY_LEVELS.indexOf((doc.metadata || {}).severityLevel) >= minimum))
+        });
+    }
+
+    for (const [category, label] of Object.entries(categoryLabels)) {
+        definitions.push({
+            name: `news-category-${slugify(category)}`,
+            title: `Herliss Briceño · ${label}`,
+            description: `Noticias de ciberseguridad: ${label}`,
+            page: SITE_FEEDS_CONFIG.NEWS_PAGE,
+            items: toNewsItems(stories.filter(doc => doc.sourceCategory === category))
+        });
+    }
+
+    const published = articles.sort(byDateDesc('publishedAt'));
+    const toArticleItems = docs => docs.slice(0, SITE_FEEDS_CONFIG.MAX_ITEMS).map(doc => articleToItem(doc, siteUrl));
+
+    definitions.push({
+        name: 'articles',
+        title: 'Herliss Briceño · Artículos',
+        description: 'Análisis de ciberseguridad publicados en herlissbriceno.com',
+        page: SITE_FEEDS_CONFIG.ARTICLES_PAGE,
+        items: toArticleItems(published)
+    });
+
+    const articleCategories = [...new Set(published.map(doc => doc.category).filter(Boolean))];
+    for (const category of articleCategories) {
+        definitions.push({
+            name: `articles-category-${slugify(category)}`,
+            title: `Herliss Briceño · Artículos: ${category}`,
+            description: `Análisis de ciberseguridad: ${category}`,
+            page: SITE_FEEDS_CONFIG.ARTICLES_PAGE,
+            items: toArticleItems(published.filter(doc => doc.category === category))
+        });
+    }
+
+    return definitions;
+}
+
+// ============================================
+// ESCRITURA
+// ============================================
+
+/**
+ * Escribe solo si el contenido cambió
+ * @returns {boolean} - true si se escribió
+ */
+function writeIfChanged(file, content) {
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) return false;
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, content);
+    fs.renameSync(tmpFile, file);
+    return true;
+}
+
+/**
+ * Genera todos los feeds desde el almacenamiento
+ *
+ * @param {BaseStorage} storage - Backend del pipeline
+ * @param {Object} options
+ * @param {string} options.dir - Directorio de salida (feeds/)
+ * @param {Object} [options.categoryLabels] - id de categoría de fuente → etiqueta
+ * @param {Object} [options.sourceFeeds] - sourceId → URL del RSS de la fuente
+ * @param {string} [options.siteUrl] - URL pública del sitio
+ * @returns {Promise<Object>} - { feeds, written }
+ */
+async function writeSiteFeeds(storage, { dir, categoryLabels = {}, sourceFeeds = {}, siteUrl = SITE_FEEDS_CONFIG.SITE_URL, now = new Date() }) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const since = new Date(now.getTime() - SITE_FEEDS_CONFIG.NEWS_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const news = await storage.getRecentNews(since);
+    const articles = await storage.getPublishedArticles();
+
+    const feedsUrl = `${siteUrl}${SITE_FEEDS_CONFIG.FEEDS_PATH}`;
+    const definitions = buildFeedDefinitions({ news, articles, categoryLabels, sourceFeeds, siteUrl });
+    const index = [];
+    let written = 0;
+
+    for (const definition of definitions) {
+        const urls = {};
+        for (const format of FEED_FORMATS) {
+            urls[format.key] = `${feedsUrl}${definition.name}${format.extension}`;
+        }
+        const feed = {
+            id: urls.atom,
+            title: definition.title,
+            description: definition.description,
+            homePageUrl: `${siteUrl}${definition.page}`,
+            urls,
+            language: SITE_FEEDS_CONFIG.LANGUAGE,
+            author: SITE_FEEDS_CONFIG.AUTHOR
+        };
+
+        for (const format of FEED_FORMATS) {
+            const file = path.join(dir, `${definition.name}${format.extension}`);
+            if (writeIfChanged(file, format.build(feed, definition.items))) written++;
+        }
+        index.push({ name: definition.name, title: definition.title, items: definition.items.length, ...urls });
+    }
+
+    if (writeIfChanged(path.join(dir, 'index.json'), JSON.stringify({ feeds: index }, null, 2) + '\n')) written++;
+
+    return { feeds: definitions.length, written };
+}
+
+module.exports = {
+    DEFAULT_FEEDS_DIR,
+    SITE_FEEDS_CONFIG,
+    newsToItem,
+    articleToItem,
+    buildFeedDefinitions,
+    writeSiteFeeds
+};
@@ -0,0 +1,104 @@
+/**
+ * Registro de Fuentes RSS
+ *
+ * Lee el registro versionado compartido con el sitio
+ * (assets/data/news-sources.json) y lo normaliza para el pipeline.
+ * Agregar o deshabilitar una fuente es un cambio en un solo archivo.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '..', '..', 'assets', 'data', 'news-sources.json');
+
+// Campos que un fieldMap puede redefinir en el parser
+const MAPPABLE_FIELDS = ['title', 'link', 'description', 'pubDate', 'author', 'thumbnail'];
+
+/**
+ * Carga y valida el registro de fuentes
+ *
+ * @param {string} [registryPath] - Ruta al JSON (por defecto el del sitio)
+ * @returns {Object} - { version, categories, sources: Array }
+ */
+function loadSourceRegistry(registryPath = process.env.NEWS_SOURCES_PATH || DEFAULT_REGISTRY_PATH) {
+    const raw = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+
+    if (!raw || !Array.isArray(raw.sources)) {
+        throw new Error(`Registro de fuentes inválido: ${registryPath}`);
+    }
+
+    const defaults = raw.defaults || {};
+    const categories = raw.categories || {};
+    const seen = new Set();
+
+    const sources = raw.sources.map(entry => {
+        const source = {
+            ...defaults,
+            ...entry,
+            fieldMap: { ...(defaults.fieldMap || {}), ...(entry.fieldMap || {}) }
+        };
+
+        if (!source.id || !source.name || !source.rss) {
+            throw new Error(`Fuente incompleta en el registro: ${JSON.stringify(entry)}`);
+        }
+        if (seen.has(source.id)) {
+            throw new Error(`ID de fuente duplicado: ${source.id}`);
+        }
+        if (!categories[source.category]) {
+            throw new Error(`Categoría desconocida "${source.category}" en fuente ${source.id}`);
+        }
+        for (const field of Object.keys(source.fieldMap)) {
+            if (!MAPPABLE_FIELDS.includes(field)) {
+                throw new Error(`fieldMap inválido en ${source.id}: "${field}"`);
+            }
+        }
+        seen.add(source.id);
+
+        source.enabled = source.enabled !== false;
+        source.trust = Number(source.trust) || 2;
+        source.maxItems = Number(source.maxItems) || 25;
+        source.fullText = source.fullText !== false;  // false = no descargar la página (paywall, bloqueos)
+
+        // Límite mensual de gasto en Claude para la fuente (USD, opcional)
+        if (source.monthlyBudget !== undefined && source.monthlyBudget !== null) {
+            source.monthlyBudget = Number(source.monthlyBudget);
+            if (!(source.monthlyBudget >= 0)) {
+                throw new Error(`monthlyBudget inválido en ${source.id}`);
+            }
+        }
+
+        return source;
+    });
+
+    return {
+        version: raw.version,
+        categories,
+        sources
+    };
+}
+
+/**
+ * Devuelve solo las fuentes habilitadas, indexadas por ID
+ * (misma forma que el antiguo NEWS_SOURCES)
+ */
+function getEnabledSources(registry) {
+    const enabled = {};
+    for (const source of registry.sources) {
+        if (source.enabled) {
+            enabled[source.id] = source;
+        }
+    }
+    return enabled;
+}
+
+module.exports = {
+    DEFAULT_REGISTRY_PATH,
+    MAPPABLE_FIELDS,
+    loadSourceRegistry,
+    getEnabledSources
+};
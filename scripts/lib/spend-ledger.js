@@ -0,0 +1,179 @@
+/**
+ * Libro de Gasto de Claude API
+ *
+ * Suma el gasto registrado en api_usage (mes y día en curso, UTC) más
+ * el gasto de la ejecución actual, y decide si se puede llamar a Claude:
+ * - Límite mensual (con reserva mínima para no quedar en cero)
+ * - Límite diario
+ * - Límite mensual por fuente (opcional, "monthlyBudget" en el registro)
+ *
+ * Cuando el gasto mensual cruza el umbral de alerta se guarda un
+ * registro en budget_alerts (uno por mes) para que quede constancia.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+function startOfUTCDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function startOfUTCMonth(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+class SpendLedger {
+    /**
+     * @param {Object} limits - { monthly, daily, alertThreshold, monthlyReserve, sourceCaps: { sourceId: USD } }
+     */
+    constructor(limits, now = new Date()) {
+        this.limits = {
+            sourceCaps: {},
+            monthlyReserve: 0,
+            ...limits
+        };
+        this.now = now;
+        this.monthStart = startOfUTCMonth(now);
+        this.dayStart = startOfUTCDay(now);
+
+        // Gasto previo (api_usage)
+        this.previous = { monthly: 0, daily: 0, monthlyCalls: 0, bySource: {} };
+        // Gasto de esta ejecución
+        this.run = { total: 0, bySource: {} };
+        // Llamadas denegadas por motivo
+        this.denied = { monthly: 0, daily: 0, source: 0 };
+    }
+
+    /**
+     * Carga el gasto del mes desde los registros de uso
+     */
+    async load(storage) {
+        const usage = await storage.getUsageSince(this.monthStart);
+        for (const record of usage) {
+            const cost = record.actualCost || 0;
+            this.previous.monthly += cost;
+            this.previous.monthlyCalls += record.apiCalls || 0;
+            if (record.timestamp && new Date(record.timestamp) >= this.dayStart) {
+                this.previous.daily += cost;
+            }
+            for (const [sourceId, sourceCost] of Object.entries(record.costBySource || {})) {
+                this.previous.bySource[sourceId] = (this.previous.bySource[sourceId] || 0) + sourceCost;
+            }
+        }
+        return this;
+    }
+
+    // ============================================
+    // GASTO ACUMULADO
+    // ============================================
+
+    monthlySpent() {
+        return this.previous.monthly + this.run.total;
+    }
+
+    dailySpent() {
+        return this.previous.daily + this.run.total;
+    }
+
+    sourceSpent(sourceId) {
+        return (this.previous.bySource[sourceId] || 0) + (this.run.bySource[sourceId] || 0);
+    }
+
+    record(sourceId, cost) {
+        this.run.total += cost;
+        if (sourceId) {
+            this.run.bySource[sourceId] = (this.run.bySource[sourceId] || 0) + cost;
+        }
+    }
+
+    // ============================================
+    // DECISIÓN
+    // ============================================
+
+    /**
+     * Reserva el costo estimado si cabe en todos los límites.
+     * La reserva evita que llamadas concurrentes superen el límite;
+     * al terminar, settle() la reemplaza por el costo real.
+     *
+     * @returns {Object} - { allowed, reason: null|'monthly'|'daily'|'source' }
+     */
+    tryReserve(sourceId, estimatedCost) {
+        const { monthly, daily, monthlyReserve, sourceCaps } = this.limits;
+        let reason = null;
+
+        if (monthly - this.monthlySpent() < Math.max(monthlyReserve, estimatedCost)) {
+            reason = 'monthly';
+        } else if (daily && daily - this.dailySpent() < estimatedCost) {
+            reason = 'daily';
+        } else if (sourceCaps[sourceId] !== undefined && sourceCaps[sourceId] - this.sourceSpent(sourceId) < estimatedCost) {
+            reason = 'source';
+        }
+
+        if (reason) {
+            this.denied[reason]++;
+        } else {
+            this.record(sourceId, estimatedCost);
+        }
+        return { allowed: reason === null, reason };
+    }
+
+    /**
+     * Reemplaza una reserva por el costo real (0 si la llamada falló)
+     */
+    settle(sourceId, reservedCost, actualCost) {
+        this.record(sourceId, actualCost - reservedCost);
+    }
+
+    isMonthlyExhausted() {
+        return this.monthlySpent() >= this.limits.monthly;
+    }
+
+    isAlertCrossed() {
+        return this.limits.alertThreshold !== undefined && this.monthlySpent() >= this.limits.alertThreshold;
+    }
+
+    // ============================================
+    // ALERTAS Y REPORTE
+    // ============================================
+
+    /**
+     * Registro de alerta del mes (id estable: se guarda una vez por mes)
+     */
+    buildAlertRecord() {
+        const month = this.monthStart.toISOString().substring(0, 7);
+        return {
+            id: `monthly-${month}`,
+            data: {
+                period: month,
+                type: 'monthly_alert_threshold',
+                spent: this.monthlySpent(),
+                threshold: this.limits.alertThreshold,
+                limit: this.limits.monthly,
+                raisedAt: new Date()
+            }
+        };
+    }
+
+    /**
+     * Margen restante por periodo (y por fuente con límite)
+     */
+    getHeadroom() {
+        const sources = {};
+        for (const [sourceId, cap] of Object.entries(this.limits.sourceCaps)) {
+            sources[sourceId] = { spent: this.sourceSpent(sourceId), limit: cap, remaining: cap - this.sourceSpent(sourceId) };
+        }
+        return {
+            monthly: { spent: this.monthlySpent(), limit: this.limits.monthly, remaining: this.limits.monthly - this.monthlySpent() },
+            daily: { spent: this.dailySpent(), limit: this.limits.daily, remaining: this.limits.daily - this.dailySpent() },
+            sources
+        };
+    }
+}
+
+module.exports = {
+    SpendLedger,
+    startOfUTCDay,
+    startOfUTCMonth
+};
@@ -0,0 +1,352 @@
+/**
+ * Interfaz de Almacenamiento del Pipeline
+ *
+ * Cada backend (Firestore, directorio JSON, SQLite) implementa un API
+ * mínimo de documentos con la misma semántica que Firestore:
+ *
+ *   getDoc(collection, id)              → Object|null
+ *   getDocs(collection, ids)            → Map<id, Object>
+ *   setDocs(collection, [{ id, data }], { merge })
+ *   addDoc(collection, data)            → id
+ *   queryDocs(collection, { where: [field, op, value] | [[field, op, value], ...], orderBy, limit })
+ *   deleteDocs(collection, ids)
+ *   close()
+ *
+ * Las fechas viajan como Date en ambas direcciones.
+ * Sobre ese API, esta clase implementa las operaciones del pipeline
+ * (noticias, uso de API, caché de resúmenes, estado de feeds, rechazos del filtro,
+ * registro de archivos mensuales, lectura de artículos publicados)
+ * una sola vez para todos.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const COLLECTIONS = {
+    NEWS: 'news',
+    API_USAGE: 'api_usage',
+    FEED_STATE: 'feed_state',
+    SUMMARY_CACHE: 'summary_cache',
+    BUDGET_ALERTS: 'budget_alerts',
+    FILTER_REJECTIONS: 'filter_rejections',
+    NEWS_ARCHIVES: 'news_archives',
+    ARTICLES: 'articles'
+};
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+/**
+ * Serializa un documento a JSON (Date → ISO)
+ */
+function serializeDoc(data) {
+    return JSON.stringify(data);
+}
+
+/**
+ * Deserializa un documento JSON (ISO → Date)
+ */
+function deserializeDoc(json) {
+    return JSON.parse(json, (key, value) =>
+        typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value
+    );
+}
+
+/**
+ * Condiciones de una consulta: una sola [field, op, value] o una lista (AND)
+ */
+function whereClauses(where) {
+    if (!where) return [];
+    return Array.isArray(where[0]) ? where : [where];
+}
+
+/**
+ * Evalúa las condiciones where sobre un documento en memoria
+ * (backends sin motor de consultas: JSON y SQLite)
+ */
+function matchesWhere(doc, where) {
+    return whereClauses(where).every(clause => matchesClause(doc, clause));
+}
+
+function matchesClause(doc, [field, op, expected]) {
+    let actual = doc[field];
+    let value = expected;
+    if (actual instanceof Date) actual = actual.getTime();
+    if (value instanceof Date) value = value.getTime();
+
+    switch (op) {
+        case '==': return actual === value;
+        case '!=': return actual !== value;
+        case '<': return actual < value;
+        case '<=': return actual <= value;
+        case '>': return actual > value;
+        case '>=': return actual >= value;
+        case 'in': return Array.isArray(value) && value.includes(actual);
+        default: throw new Error(`Operador no soportado: ${op}`);
+    }
+}
+
+/**
+ * Ordena y limita resultados en memoria
+ */
+function applyQueryOptions(docs, { orderBy, limit } = {}) {
+    let result = docs;
+    if (orderBy) {
+        const [field, direction = 'asc'] = Array.isArray(orderBy) ? orderBy : [orderBy];
+        const sign = direction === 'desc' ? -1 : 1;
+        result = [...result].sort((a, b) => {
+            const va = a[field] instanceof Date ? a[field].getTime() : a[field];
+            const vb = b[field] instanceof Date ? b[field].getTime() : b[field];
+            if (va === vb) return 0;
+            return va > vb ? sign : -sign;
+        });
+    }
+    return limit ? result.slice(0, limit) : result;
+}
+
+class BaseStorage {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async init() {
+        return this;
+    }
+
+    async close() {}
+
+    // ============================================
+    // NOTICIAS
+    // ============================================
+
+    /**
+     * Guarda documentos de noticias (ya construidos por buildNewsDocument)
+     * @returns {Promise<number>} - Noticias guardadas
+     */
+    async saveNews(docs) {
+        if (docs.length === 0) return 0;
+        await this.setDocs(COLLECTIONS.NEWS, docs.map(doc => ({ id: doc.id, data: doc })));
+        return docs.length;
+    }
+
+    /**
+     * Consulta por lotes de noticias guardadas
+     * @returns {Promise<Map>} - id → documento (solo los que existen)
+     */
+    async getNewsByIds(ids) {
+        if (ids.length === 0) return new Map();
+        return this.getDocs(COLLECTIONS.NEWS, ids);
+    }
+
+    /**
+     * Noticias publicadas desde una fecha
+     */
+    async getRecentNews(since) {
+        return this.queryDocs(COLLECTIONS.NEWS, { where: ['pubDate', '>=', since] });
+    }
+
+    /**
+     * Noticias publicadas en [from, to)
+     */
+    async getNewsBetween(from, to) {
+        return this.queryDocs(COLLECTIONS.NEWS, { where: [['pubDate', '>=', from], ['pubDate', '<', to]] });
+    }
+
+    /**
+     * Noticias guardadas de los clusters indicados
+     * (lotes de 30: límite del operador 'in' en Firestore)
+     */
+    async getNewsByClusterIds(clusterIds) {
+        const docs = [];
+        const uniqueIds = [...new Set(clusterIds)];
+        for (let i = 0; i < uniqueIds.length; i += 30) {
+            docs.push(...await this.queryDocs(COLLECTIONS.NEWS, { where: ['clusterId', 'in', uniqueIds.slice(i, i + 30)] }));
+        }
+        return docs;
+    }
+
+    /**
+     * Actualización parcial de noticias guardadas: [{ id, data }]
+     */
+    async updateNews(entries) {
+        if (entries.length === 0) return 0;
+        await this.setDocs(COLLECTIONS.NEWS, entries, { merge: true });
+        return entries.length;
+    }
+
+    /**
+     * Las N noticias más recientes por fecha de publicación
+     */
+    async getLatestNews(limit) {
+        return this.queryDocs(COLLECTIONS.NEWS, { orderBy: ['pubDate', 'desc'], limit });
+    }
+
+    /**
+     * Noticias publicadas antes de una fecha (candidatas a archivo)
+     */
+    async getNewsBefore(cutoff) {
+        return this.queryDocs(COLLECTIONS.NEWS, { where: ['pubDate', '<', cutoff] });
+    }
+
+    async deleteNews(ids) {
+        if (ids.length === 0) return 0;
+        await this.deleteDocs(COLLECTIONS.NEWS, ids);
+        return ids.length;
+    }
+
+    // ============================================
+    // ARCHIVOS MENSUALES
+    // ============================================
+
+    /**
+     * Registra (o actualiza) el archivo de un mes: id = YYYY-MM
+     */
+    async saveArchiveRecord(record) {
+        await this.setDocs(COLLECTIONS.NEWS_ARCHIVES, [{ id: record.month, data: record }], { merge: true });
+    }
+
+    /**
+     * Meses archivados, el más reciente primero
+     */
+    async getArchiveRecords() {
+        return this.queryDocs(COLLECTIONS.NEWS_ARCHIVES, { orderBy: ['month', 'desc'] });
+    }
+
+    // ============================================
+    // ARTÍCULOS (los gestiona el sitio; el pipeline solo los lee)
+    // ============================================
+
+    /**
+     * Artículos publicados, el más reciente primero (orden en memoria:
+     * evita un índice compuesto status + publishedAt en Firestore)
+     */
+    async getPublishedArticles() {
+        const docs = await this.queryDocs(COLLECTIONS.ARTICLES, { where: ['status', '==', 'published'] });
+        return docs.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+    }
+
+    // ============================================
+    // USO DE API
+    // ============================================
+
+    async logUsage(record) {
+        return this.addDoc(COLLECTIONS.API_USAGE, { timestamp: new Date(), ...record });
+    }
+
+    /**
+     * Registros de uso desde una fecha
+     */
+    async getUsageSince(since) {
+        return this.queryDocs(COLLECTIONS.API_USAGE, { where: ['timestamp', '>=', since] });
+    }
+
+    /**
+     * Guarda una alerta de presupuesto si no existe ya ({ id, data })
+     * @returns {Promise<boolean>} - true si es nueva
+     */
+    async raiseBudgetAlert(alert) {
+        const existing = await this.getDoc(COLLECTIONS.BUDGET_ALERTS, alert.id);
+        if (existing) return false;
+        await this.setDocs(COLLECTIONS.BUDGET_ALERTS, [alert]);
+        return true;
+    }
+
+    // ============================================
+    // CACHÉ DE RESÚMENES
+    // ============================================
+
+    async getCachedSummary(key) {
+        return this.getDoc(COLLECTIONS.SUMMARY_CACHE, key);
+    }
+
+    async saveCachedSummary(key, entry) {
+        await this.setDocs(COLLECTIONS.SUMMARY_CACHE, [{ id: key, data: { ...entry, createdAt: new Date() } }]);
+    }
+
+    // ============================================
+    // RECHAZOS DEL FILTRO
+    // ============================================
+
+    async getFilterRejections(ids) {
+        if (ids.length === 0) return new Map();
+        return this.getDocs(COLLECTIONS.FILTER_REJECTIONS, ids);
+    }
+
+    async saveFilterRejections(records) {
+        if (records.length === 0) return 0;
+        await this.setDocs(COLLECTIONS.FILTER_REJECTIONS, records, { merge: true });
+        return records.length;
+    }
+
+    /**
+     * Rechazos recientes, opcionalmente de una sola fuente
+     * (con fuente se ordena en memoria: evita un índice compuesto en Firestore)
+     */
+    async queryFilterRejections({ sourceId, limit } = {}) {
+        const order = { orderBy: ['rejectedAt', 'desc'], limit };
+        if (!sourceId) {
+            return this.queryDocs(COLLECTIONS.FILTER_REJECTIONS, order);
+        }
+        const docs = await this.queryDocs(COLLECTIONS.FILTER_REJECTIONS, { where: ['sourceId', '==', sourceId] });
+        return applyQueryOptions(docs, order);
+    }
+
+    /**
+     * Rechazos promovidos a procesamiento completo y aún no procesados
+     */
+    async getPromotedRejections() {
+        return this.queryDocs(COLLECTIONS.FILTER_REJECTIONS, { where: ['promoted', '==', true] });
+    }
+
+    async deleteFilterRejections(ids) {
+        if (ids.length === 0) return 0;
+        await this.deleteDocs(COLLECTIONS.FILTER_REJECTIONS, ids);
+        return ids.length;
+    }
+
+    /**
+     * Elimina los rechazos vencidos (expiresAt < now)
+     * @returns {Promise<number>} - Rechazos eliminados
+     */
+    async purgeFilterRejections(now = new Date()) {
+        const expired = await this.queryDocs(COLLECTIONS.FILTER_REJECTIONS, { where: ['expiresAt', '<', now] });
+        return this.deleteFilterRejections(expired.map(doc => doc.id));
+    }
+
+    // ============================================
+    // ESTADO DE FEEDS
+    // ============================================
+
+    /**
+     * @returns {Promise<Object>} - { sourceId: { etag, lastModified, finalUrl } }
+     */
+    async loadFeedState() {
+        const docs = await this.queryDocs(COLLECTIONS.FEED_STATE, {});
+        const state = {};
+        for (const doc of docs) {
+            state[doc.id] = doc;
+        }
+        return state;
+    }
+
+    async saveFeedState(updates) {
+        const entries = Object.entries(updates);
+        if (entries.length === 0) return;
+        await this.setDocs(
+            COLLECTIONS.FEED_STATE,
+            entries.map(([sourceId, data]) => ({ id: sourceId, data: { ...data, id: sourceId, checkedAt: new Date() } })),
+            { merge: true }
+        );
+    }
+}
+
+module.exports = {
+    COLLECTIONS,
+    BaseStorage,
+    serializeDoc,
+    deserializeDoc,
+    whereClauses,
+    matchesWhere,
+    applyQueryOptions
+};
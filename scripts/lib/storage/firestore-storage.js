@@ -0,0 +1,144 @@
+/**
+ * Backend Firestore (comportamiento de producción)
+ *
+ * Requiere FIREBASE_CONFIG con la cuenta de servicio.
+ * firebase-admin se carga solo al inicializar este backend.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const { BaseStorage, whereClauses } = require('./base-storage');
+
+const BATCH_LIMIT = 500;    // Límite de operaciones por batch de Firestore
+const GET_ALL_LIMIT = 300;  // Documentos por llamada a getAll()
+
+class FirestoreStorage extends BaseStorage {
+    constructor(options = {}) {
+        super('firestore');
+        this.credentials = options.credentials || process.env.FIREBASE_CONFIG;
+        this.db = null;
+        this.Timestamp = null;
+    }
+
+    async init() {
+        const { initializeApp, cert } = require('firebase-admin/app');
+        const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+
+        if (!this.credentials) {
+            throw new Error('FIREBASE_CONFIG no configurado');
+        }
+
+        initializeApp({
+            credential: cert(JSON.parse(this.credentials))
+        });
+
+        this.db = getFirestore();
+        this.Timestamp = Timestamp;
+        return this;
+    }
+
+    // Date → Timestamp (recursivo, para metadata anidada)
+    toFirestore(value) {
+        if (value instanceof Date) return this.Timestamp.fromDate(value);
+        if (Array.isArray(value)) return value.map(v => this.toFirestore(v));
+        if (value && typeof value === 'object') {
+            const out = {};
+            for (const [key, v] of Object.entries(value)) {
+                if (v !== undefined) out[key] = this.toFirestore(v);
+            }
+            return out;
+        }
+        return value;
+    }
+
+    // Timestamp → Date (recursivo)
+    fromFirestore(value) {
+        if (value instanceof this.Timestamp) return value.toDate();
+        if (Array.isArray(value)) return value.map(v => this.fromFirestore(v));
+        if (value && typeof value === 'object') {
+            const out = {};
+            for (const [key, v] of Object.entries(value)) {
+                out[key] = this.fromFirestore(v);
+            }
+            return out;
+        }
+        return value;
+    }
+
+    async getDoc(collection, id) {
+        const snapshot = await this.db.collection(collection).doc(id).get();
+        return snapshot.exists ? { id: snapshot.id, ...this.fromFirestore(snapshot.data()) } : null;
+    }
+
+    async getDocs(collection, ids) {
+        const found = new Map();
+        const uniqueIds = [...new Set(ids)];
+
+        for (let i = 0; i < uniqueIds.length; i += GET_ALL_LIMIT) {
+            const refs = uniqueIds.slice(i, i + GET_ALL_LIMIT).map(id => this.db.collection(collection).doc(id));
+            const snapshots = await this.db.getAll(...refs);
+            for (const snapshot of snapshots) {
+                if (snapshot.exists) {
+                    found.set(snapshot.id, { id: snapshot.id, ...this.fromFirestore(snapshot.data()) });
+                }
+            }
+        }
+        return found;
+    }
+
+    async setDocs(collection, entries, options = {}) {
+        for (let i = 0; i < entries.length; i += BATCH_LIMIT) {
+            const batch = this.db.batch();
+            for (const { id, data } of entries.slice(i, i + BATCH_LIMIT)) {
+                const ref = this.db.collection(collection).doc(id);
+                if (options.merge) {
+                    batch.set(ref, this.toFirestore(data), { merge: true });
+                } else {
+                    batch.set(ref, this.toFirestore(data));
+                }
+            }
+            await batch.commit();
+        }
+    }
+
+    async addDoc(collection, data) {
+        const ref = await this.db.collection(collection).add(this.toFirestore(data));
+        return ref.id;
+    }
+
+    async queryDocs(collection, { where, orderBy, limit } = {}) {
+        let query = this.db.collection(collection);
+        for (const [field, op, value] of whereClauses(where)) {
+            query = query.where(field, op, this.toFirestore(value));
+        }
+        if (orderBy) {
+            const [field, direction = 'asc'] = Array.isArray(orderBy) ? orderBy : [orderBy];
+            query = query.orderBy(field, direction);
+        }
+        if (limit) {
+            query = query.limit(limit);
+        }
+
+        const snapshot = await query.get();
+        const docs = [];
+        snapshot.forEach(doc => {
+            docs.push({ id: doc.id, ...this.fromFirestore(doc.data()) });
+        });
+        return docs;
+    }
+
+    async deleteDocs(collection, ids) {
+        for (let i = 0; i < ids.length; i += BATCH_LIMIT) {
+            const batch = this.db.batch();
+            for (const id of ids.slice(i, i + BATCH_LIMIT)) {
+                batch.delete(this.db.collection(collection).doc(id));
+            }
+            await batch.commit();
+        }
+    }
+}
+
+module.exports = { FirestoreStorage };
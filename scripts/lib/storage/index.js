@@ -0,0 +1,67 @@
+/**
+ * Selección de Backend de Almacenamiento
+ *
+ * Configuración (argumento > variable de entorno > valor por defecto):
+ *   --storage firestore|json|sqlite      NEWS_STORAGE
+ *   --storage-path <directorio|archivo>  NEWS_STORAGE_PATH
+ *
+ * Ejemplos:
+ *   node fetch-rss-news.js                                   → Firestore (producción)
+ *   node fetch-rss-news.js --storage json --storage-path ./archive
+ *   node fetch-rss-news.js --storage sqlite --storage-path ./news.db
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const { getArgValue } = require('../cli-args');
+const { COLLECTIONS } = require('./base-storage');
+const { FirestoreStorage } = require('./firestore-storage');
+const { JsonStorage } = require('./json-storage');
+const { SqliteStorage } = require('./sqlite-storage');
+
+const BACKENDS = {
+    firestore: FirestoreStorage,
+    json: JsonStorage,
+    sqlite: SqliteStorage
+};
+
+/**
+ * Resuelve la configuración de almacenamiento
+ * En dry-run el valor por defecto es el backend JSON en el directorio de salida
+ *
+ * @param {Object} [dryRun] - Opciones de lib/dry-run.js
+ * @returns {Object} - { type, path }
+ */
+function getStorageConfig(dryRun = {}, argv = process.argv) {
+    const type = getArgValue('--storage', argv) || process.env.NEWS_STORAGE || (dryRun.enabled ? 'json' : 'firestore');
+    const storagePath = getArgValue('--storage-path', argv) || process.env.NEWS_STORAGE_PATH ||
+        (dryRun.enabled ? (type === 'sqlite' ? `${dryRun.outputDir}.db` : dryRun.outputDir) : null);
+
+    return { type, path: storagePath };
+}
+
+/**
+ * Crea e inicializa el backend configurado
+ *
+ * @param {Object} config - { type, path }
+ * @returns {Promise<BaseStorage>}
+ */
+async function createStorage(config) {
+    const Backend = BACKENDS[config.type];
+    if (!Backend) {
+        throw new Error(`Backend de almacenamiento desconocido: "${config.type}" (opciones: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    const storage = new Backend(config);
+    await storage.init();
+    return storage;
+}
+
+module.exports = {
+    BACKENDS,
+    COLLECTIONS,
+    getStorageConfig,
+    createStorage
+};
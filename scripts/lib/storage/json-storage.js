@@ -0,0 +1,104 @@
+/**
+ * Backend de Directorio JSON
+ *
+ * Un archivo por documento: <dir>/<colección>/<id>.json
+ * Útil para archivos locales, dry-run y revisar resultados a mano.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { BaseStorage, serializeDoc, deserializeDoc, matchesWhere, applyQueryOptions } = require('./base-storage');
+
+// IDs seguros como nombre de archivo
+function safeFileName(id) {
+    return String(id).replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+class JsonStorage extends BaseStorage {
+    constructor(options = {}) {
+        super('json');
+        if (!options.path) {
+            throw new Error('El backend JSON requiere una ruta (--storage-path)');
+        }
+        this.dir = path.resolve(options.path);
+    }
+
+    async init() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        return this;
+    }
+
+    collectionDir(collection) {
+        const dir = path.join(this.dir, safeFileName(collection));
+        fs.mkdirSync(dir, { recursive: true });
+        return dir;
+    }
+
+    docPath(collection, id) {
+        return path.join(this.collectionDir(collection), `${safeFileName(id)}.json`);
+    }
+
+    readFile(file) {
+        try {
+            return deserializeDoc(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async getDoc(collection, id) {
+        const doc = this.readFile(this.docPath(collection, id));
+        return doc ? { id, ...doc } : null;
+    }
+
+    async getDocs(collection, ids) {
+        const found = new Map();
+        for (const id of new Set(ids)) {
+            const doc = await this.getDoc(collection, id);
+            if (doc) found.set(id, doc);
+        }
+        return found;
+    }
+
+    async setDocs(collection, entries, options = {}) {
+        for (const { id, data } of entries) {
+            const file = this.docPath(collection, id);
+            const previous = options.merge ? this.readFile(file) : null;
+            const merged = previous ? { ...previous, ...data } : data;
+            // Escritura atómica: archivo temporal + rename
+            const tmpFile = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpFile, serializeDoc(merged));
+            fs.renameSync(tmpFile, file);
+        }
+    }
+
+    async addDoc(collection, data) {
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        await this.setDocs(collection, [{ id, data }]);
+        return id;
+    }
+
+    async queryDocs(collection, options = {}) {
+        const dir = this.collectionDir(collection);
+        const docs = fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => ({ id: file.slice(0, -5), ...this.readFile(path.join(dir, file)) }))
+            .filter(doc => matchesWhere(doc, options.where));
+        return applyQueryOptions(docs, options);
+    }
+
+    async deleteDocs(collection, ids) {
+        for (const id of ids) {
+            fs.rmSync(this.docPath(collection, id), { force: true });
+        }
+    }
+}
+
+module.exports = { JsonStorage };
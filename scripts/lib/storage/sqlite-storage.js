@@ -0,0 +1,159 @@
+/**
+ * Backend SQLite
+ *
+ * Una tabla genérica de documentos (colección, id, JSON) con índice
+ * por colección y fecha. Usa sql.js (WebAssembly, sin compilación nativa):
+ * la base se carga en memoria y se escribe a disco en cada flush/close.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { BaseStorage, serializeDoc, deserializeDoc, matchesWhere, applyQueryOptions } = require('./base-storage');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_documents_collection ON documents (collection, updated_at);
+`;
+
+class SqliteStorage extends BaseStorage {
+    constructor(options = {}) {
+        super('sqlite');
+        if (!options.path) {
+            throw new Error('El backend SQLite requiere una ruta (--storage-path)');
+        }
+        this.file = path.resolve(options.path);
+        this.db = null;
+        this.dirty = false;
+    }
+
+    async init() {
+        let initSqlJs;
+        try {
+            initSqlJs = require('sql.js');
+        } catch (error) {
+            throw new Error('Backend SQLite no disponible: instala la dependencia opcional "sql.js"');
+        }
+
+        const SQL = await initSqlJs();
+        const existing = fs.existsSync(this.file) ? fs.readFileSync(this.file) : null;
+        this.db = existing ? new SQL.Database(existing) : new SQL.Database();
+        this.db.exec(SCHEMA);
+        return this;
+    }
+
+    /**
+     * Escribe la base en disco si hubo cambios
+     */
+    flush() {
+        if (!this.db || !this.dirty) return;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmpFile = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpFile, Buffer.from(this.db.export()));
+        fs.renameSync(tmpFile, this.file);
+        this.dirty = false;
+    }
+
+    async close() {
+        this.flush();
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    selectRows(sql, params) {
+        const stmt = this.db.prepare(sql);
+        const rows = [];
+        try {
+            stmt.bind(params);
+            while (stmt.step()) {
+                rows.push(stmt.getAsObject());
+            }
+        } finally {
+            stmt.free();
+        }
+        return rows;
+    }
+
+    async getDoc(collection, id) {
+        const rows = this.selectRows('SELECT id, data FROM documents WHERE collection = ? AND id = ?', [collection, id]);
+        return rows.length > 0 ? { id: rows[0].id, ...deserializeDoc(rows[0].data) } : null;
+    }
+
+    async getDocs(collection, ids) {
+        const found = new Map();
+        const uniqueIds = [...new Set(ids)];
+
+        // Consultas por bloques para no superar el límite de parámetros
+        for (let i = 0; i < uniqueIds.length; i += 500) {
+            const chunk = uniqueIds.slice(i, i + 500);
+            const placeholders = chunk.map(() => '?').join(', ');
+            const rows = this.selectRows(
+                `SELECT id, data FROM documents WHERE collection = ? AND id IN (${placeholders})`,
+                [collection, ...chunk]
+            );
+            for (const row of rows) {
+                found.set(row.id, { id: row.id, ...deserializeDoc(row.data) });
+            }
+        }
+        return found;
+    }
+
+    async setDocs(collection, entries, options = {}) {
+        const now = new Date().toISOString();
+        this.db.exec('BEGIN');
+        try {
+            const stmt = this.db.prepare(
+                'INSERT OR REPLACE INTO documents (collection, id, data, updated_at) VALUES (?, ?, ?, ?)'
+            );
+            for (const { id, data } of entries) {
+                const previous = options.merge ? await this.getDoc(collection, id) : null;
+                const merged = previous ? { ...previous, ...data } : data;
+                stmt.run([collection, id, serializeDoc(merged), now]);
+            }
+            stmt.free();
+            this.db.exec('COMMIT');
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+        this.dirty = true;
+    }
+
+    async addDoc(collection, data) {
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        await this.setDocs(collection, [{ id, data }]);
+        return id;
+    }
+
+    async queryDocs(collection, options = {}) {
+        const rows = this.selectRows('SELECT id, data FROM documents WHERE collection = ?', [collection]);
+        const docs = rows
+            .map(row => ({ id: row.id, ...deserializeDoc(row.data) }))
+            .filter(doc => matchesWhere(doc, options.where));
+        return applyQueryOptions(docs, options);
+    }
+
+    async deleteDocs(collection, ids) {
+        const stmt = this.db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?');
+        for (const id of ids) {
+            stmt.run([collection, id]);
+        }
+        stmt.free();
+        this.dirty = true;
+    }
+}
+
+module.exports = { SqliteStorage };
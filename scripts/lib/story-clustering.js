@@ -0,0 +1,236 @@
+/**
+ * Agrupación de Noticias entre Fuentes ("también cubierta por")
+ *
+ * El mismo incidente llega de varias fuentes como tarjetas separadas.
+ * Se agrupan noticias casi duplicadas en clusters con un clusterId estable:
+ * - CVEs o threat actors compartidos (señal fuerte)
+ * - Similitud de texto (Jaccard) entre títulos y descripciones
+ * - Ventana temporal entre publicaciones
+ *
+ * El clusterId se hereda del miembro más antiguo, así que no cambia
+ * cuando llegan nuevas coberturas en ejecuciones posteriores.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const CLUSTER_CONFIG = {
+    // Umbrales de similitud combinada (0-1) según la evidencia compartida
+    THRESHOLD_SHARED_CVE: 0.10,
+    THRESHOLD_SHARED_ACTOR: 0.25,
+    THRESHOLD_TEXT_ONLY: 0.45,
+
+    // Peso del título frente a la descripción
+    TITLE_WEIGHT: 0.6,
+
+    // Ventanas temporales entre publicaciones
+    WINDOW_SHARED_CVE_HOURS: 7 * 24,
+    WINDOW_TEXT_HOURS: 72,
+
+    // Días hacia atrás de noticias guardadas que participan en el clustering
+    LOOKBACK_DAYS: 7
+};
+
+const STOPWORDS = new Set([
+    // EN
+    'the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'were', 'has', 'have', 'had',
+    'its', 'into', 'over', 'after', 'new', 'via', 'can', 'could', 'will', 'would', 'not', 'but',
+    'they', 'their', 'them', 'than', 'then', 'been', 'being', 'which', 'who', 'what', 'when', 'how',
+    'more', 'also', 'about', 'out', 'use', 'used', 'using', 'says', 'said', 'report', 'reports',
+    // ES
+    'los', 'las', 'del', 'por', 'para', 'con', 'una', 'uno', 'que', 'como', 'sus', 'más', 'mas',
+    'este', 'esta', 'estos', 'estas', 'ser', 'han', 'sobre', 'entre', 'sin', 'nueva', 'nuevo'
+]);
+
+// ============================================
+// TOKENIZACIÓN Y SIMILITUD
+// ============================================
+
+function tokenize(text) {
+    const normalized = (text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+
+    const tokens = new Set();
+    for (const cve of normalized.match(/cve-\d{4}-\d{4,7}/g) || []) {
+        tokens.add(cve);
+    }
+    for (const token of normalized.split(/[^a-z0-9]+/)) {
+        if (token.length >= 3 && !STOPWORDS.has(token)) {
+            tokens.add(token);
+        }
+    }
+    return tokens;
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let intersection = 0;
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    for (const token of small) {
+        if (large.has(token)) intersection++;
+    }
+    return intersection / (a.size + b.size - intersection);
+}
+
+function intersects(a, b) {
+    for (const value of a) {
+        if (b.has(value)) return true;
+    }
+    return false;
+}
+
+/**
+ * Prepara un artículo o documento guardado para comparar
+ */
+function toClusterItem(entry, isStored) {
+    const metadata = entry.metadata || {};
+    return {
+        entry,
+        isStored,
+        id: entry.id,
+        sourceId: entry.sourceId || entry.sourceName || '',
+        time: new Date(entry.pubDate).getTime(),
+        titleTokens: tokenize(entry.title),
+        descTokens: tokenize(`${entry.title || ''} ${entry.summary || entry.description || ''}`),
+        cves: new Set((metadata.cves || []).map(cve => cve.toUpperCase())),
+        // Ids canónicos de la taxonomía; documentos anteriores solo tienen nombres
+        actors: new Set((metadata.threatActorIds || metadata.threatActors || []).map(actor => String(actor).toLowerCase()))
+    };
+}
+
+/**
+ * ¿Son dos items la misma historia?
+ */
+function isSameStory(a, b) {
+    if (a.sourceId === b.sourceId) return false;
+
+    const hours = Math.abs(a.time - b.time) / 3600000;
+    const sharedCve = intersects(a.cves, b.cves);
+    if (hours > (sharedCve ? CLUSTER_CONFIG.WINDOW_SHARED_CVE_HOURS : CLUSTER_CONFIG.WINDOW_TEXT_HOURS)) {
+        return false;
+    }
+
+    const similarity =
+        CLUSTER_CONFIG.TITLE_WEIGHT * jaccard(a.titleTokens, b.titleTokens) +
+        (1 - CLUSTER_CONFIG.TITLE_WEIGHT) * jaccard(a.descTokens, b.descTokens);
+
+    if (sharedCve) return similarity >= CLUSTER_CONFIG.THRESHOLD_SHARED_CVE;
+    if (intersects(a.actors, b.actors)) return similarity >= CLUSTER_CONFIG.THRESHOLD_SHARED_ACTOR;
+    return similarity >= CLUSTER_CONFIG.THRESHOLD_TEXT_ONLY;
+}
+
+// ============================================
+// CLUSTERING
+// ============================================
+
+/**
+ * Elige el artículo principal del cluster:
+ * fuente más confiable (trust 1 > 2 > 3), luego más CVEs,
+ * luego resumen más completo, luego el más antiguo
+ */
+function pickPrimary(items, trustOf) {
+    return [...items].sort((a, b) =>
+        (trustOf(a.entry) - trustOf(b.entry)) ||
+        (b.cves.size - a.cves.size) ||
+        ((b.entry.summary || '').length - (a.entry.summary || '').length) ||
+        (a.time - b.time)
+    )[0];
+}
+
+/**
+ * Agrupa artículos nuevos con las noticias guardadas recientes
+ *
+ * @param {Array} articles - Artículos nuevos (con id, sourceId, metadata)
+ * @param {Array} storedDocs - Noticias guardadas de los últimos días
+ * @param {Object} [options]
+ * @param {Function} [options.trustOf] - entry → trust tier (1 = más confiable)
+ * @returns {Object} - { assignments: Map<id, cluster>, storedUpdates: Array<{ id, data }>, clusters: number }
+ */
+function clusterStories(articles, storedDocs = [], options = {}) {
+    const trustOf = options.trustOf || (() => 2);
+
+    const newIds = new Set(articles.map(a => a.id));
+    const items = [
+        ...storedDocs.filter(doc => !newIds.has(doc.id)).map(doc => toClusterItem(doc, true)),
+        ...articles.map(article => toClusterItem(article, false))
+    ];
+
+    // Union-find
+    const parent = items.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const union = (i, j) => {
+        const ri = find(i);
+        const rj = find(j);
+        if (ri !== rj) parent[rj] = ri;
+    };
+
+    // Los clusters ya existentes se mantienen unidos
+    const byExistingCluster = new Map();
+    items.forEach((item, i) => {
+        const clusterId = item.entry.clusterId;
+        if (!clusterId) return;
+        if (byExistingCluster.has(clusterId)) union(byExistingCluster.get(clusterId), i);
+        else byExistingCluster.set(clusterId, i);
+    });
+
+    // Solo se comparan pares donde al menos uno es nuevo
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            if (items[i].isStored && items[j].isStored) continue;
+            if (find(i) === find(j)) continue;
+            if (isSameStory(items[i], items[j])) union(i, j);
+        }
+    }
+
+    const groups = new Map();
+    items.forEach((item, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(item);
+    });
+
+    const assignments = new Map();
+    const storedUpdates = [];
+    let multiSourceClusters = 0;
+
+    for (const members of groups.values()) {
+        const byAge = [...members].sort((a, b) => a.time - b.time);
+        const inherited = byAge.find(m => m.entry.clusterId);
+        const clusterId = inherited ? inherited.entry.clusterId : `cl_${byAge[0].id}`;
+        const primary = pickPrimary(members, trustOf);
+        const clusterSize = new Set(members.map(m => m.sourceId)).size;
+
+        if (clusterSize > 1) multiSourceClusters++;
+
+        for (const member of members) {
+            const cluster = {
+                clusterId,
+                clusterPrimary: member === primary,
+                clusterSize
+            };
+
+            if (!member.isStored) {
+                assignments.set(member.id, cluster);
+            } else if (
+                member.entry.clusterId !== cluster.clusterId ||
+                member.entry.clusterPrimary !== cluster.clusterPrimary ||
+                member.entry.clusterSize !== cluster.clusterSize
+            ) {
+                storedUpdates.push({ id: member.id, data: cluster });
+            }
+        }
+    }
+
+    return { assignments, storedUpdates, clusters: multiSourceClusters };
+}
+
+module.exports = {
+    CLUSTER_CONFIG,
+    tokenize,
+    jaccard,
+    clusterStories
+};
@@ -0,0 +1,83 @@
+/**
+ * Caché de Resúmenes Direccionada por Contenido
+ *
+ * La clave es un hash de todo lo que determina la respuesta de Claude:
+ * versión del prompt, modelo y el prompt ya construido (título + descripción).
+ * Así, la misma noticia bajo otra URL, o una noticia sin cambios,
+ * reutiliza el resumen sin pagar otra llamada.
+ *
+ * Al cambiar el texto de buildOptimizedPrompt() hay que subir PROMPT_VERSION
+ * para que las entradas antiguas dejen de coincidir.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+class SummaryCache {
+    /**
+     * @param {BaseStorage} storage - Backend donde persiste la caché
+     * @param {Object} options - { promptVersion, model }
+     */
+    constructor(storage, { promptVersion, model }) {
+        this.storage = storage;
+        this.promptVersion = promptVersion;
+        this.model = model;
+        this.hits = 0;
+        this.misses = 0;
+        this.errors = 0;
+    }
+
+    /**
+     * Clave SHA256 de las entradas del prompt
+     */
+    keyFor(prompt) {
+        return crypto
+            .createHash('sha256')
+            .update(`${this.promptVersion}\n${this.model}\n${prompt}`)
+            .digest('hex');
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - Resultado guardado ({ summary, ... }) o null
+     */
+    async get(key) {
+        try {
+            const entry = await this.storage.getCachedSummary(key);
+            if (entry && entry.result) {
+                this.hits++;
+                return entry.result;
+            }
+        } catch (error) {
+            // Un fallo de la caché nunca detiene el pipeline: se trata como miss
+            this.errors++;
+            console.warn(`   ⚠️ Caché de resúmenes no disponible: ${error.message}`);
+        }
+        this.misses++;
+        return null;
+    }
+
+    async set(key, result, usage = {}) {
+        try {
+            await this.storage.saveCachedSummary(key, {
+                result,
+                promptVersion: this.promptVersion,
+                model: this.model,
+                inputTokens: usage.input_tokens || 0,
+                outputTokens: usage.output_tokens || 0
+            });
+        } catch (error) {
+            this.errors++;
+            console.warn(`   ⚠️ No se pudo guardar en caché: ${error.message}`);
+        }
+    }
+
+    getStats() {
+        return { hits: this.hits, misses: this.misses, errors: this.errors };
+    }
+}
+
+module.exports = { SummaryCache };
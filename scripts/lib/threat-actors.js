@@ -0,0 +1,199 @@
+/**
+ * Taxonomía de Threat Actors con Resolución de Alias
+ *
+ * Lee la taxonomía compartida con el sitio (assets/data/threat-actors.json):
+ * nombre canónico, alias de cada esquema de nombres (Microsoft, CrowdStrike,
+ * Mandiant, Unit 42...), motivación y origen sospechado.
+ *
+ * - extract(analizado): actores mencionados → [{ id, name }] (alias → canónico)
+ *   Los alias se comparan como frases de tokens (lib/keyword-matcher.js)
+ *   sobre el texto ya analizado, sin un segundo tokenizador.
+ * - resolve(nombre): un nombre suelto (p. ej. el que extrae el modelo) → { id, name }
+ *   Los nombres desconocidos conservan el texto y reciben un id por slug.
+ *
+ * "Fancy Bear", "APT 28" y "Forest Blizzard" son el mismo id: apt28.
+ * El sitio compila las mismas variantes de cada alias como regex (news-advanced-filters.js).
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize, analyzeText, createKeywordMatcher } = require('./keyword-matcher');
+
+const DEFAULT_TAXONOMY_PATH = path.join(__dirname, '..', '..', 'assets', 'data', 'threat-actors.json');
+
+/**
+ * Clave de comparación: minúsculas, sin acentos ni separadores ("APT-28" = "apt28")
+ */
+function aliasKey(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Id para un actor fuera de la taxonomía
+ */
+function slugify(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Variantes de un alias como frases de tokens: separadores opcionales entre
+ * palabras y entre letras y números ("Black Basta" = "BlackBasta",
+ * "APT28" = "APT 28" = "APT-28"); el resto de signos separa tokens ("S/4HANA")
+ */
+function aliasPhrases(alias) {
+    let variants = [];
+    const append = (piece, optional) => {
+        variants = variants.length === 0
+            ? [piece]
+            : variants.flatMap(v => optional ? [`${v} ${piece}`, `${v}${piece}`] : [`${v} ${piece}`]);
+    };
+    for (const word of String(alias).trim().split(/[\s-]+/)) {
+        tokenize(word).forEach((token, t) => {
+            token.split(/(?<=[a-z])(?=\d)/).forEach((piece, p) => append(piece, t === 0 || p > 0));
+        });
+    }
+    return variants;
+}
+
+/**
+ * Matcher de tokens exactos (sin stemming) para todos los alias de un id
+ */
+function aliasMatcher(aliases) {
+    return createKeywordMatcher(aliases.flatMap(aliasPhrases), { stem: false });
+}
+
+/**
+ * APTnn fuera de la taxonomía ("APT99", "APT 99", "APT-99")
+ */
+function genericAptNumbers(tokens) {
+    const numbers = [];
+    tokens.forEach((token, i) => {
+        const joined = /^apt(\d+)$/.exec(token);
+        if (joined) numbers.push(joined[1]);
+        else if (token === 'apt' && /^\d+$/.test(tokens[i + 1] || '')) numbers.push(tokens[i + 1]);
+    });
+    return numbers;
+}
+
+class ThreatActorTaxonomy {
+    /**
+     * @param {Object} raw - Contenido de threat-actors.json
+     */
+    constructor(raw) {
+        if (!raw || !Array.isArray(raw.actors)) {
+            throw new Error('Taxonomía de threat actors inválida: falta "actors"');
+        }
+
+        this.version = raw.version;
+        this.actors = raw.actors;
+        this.byId = new Map();
+        this.byAlias = new Map();
+        this.matchers = [];
+
+        for (const actor of raw.actors) {
+            if (!actor.id || !actor.name) {
+                throw new Error(`Actor incompleto en la taxonomía: ${JSON.stringify(actor)}`);
+            }
+            if (this.byId.has(actor.id)) {
+                throw new Error(`ID de actor duplicado: ${actor.id}`);
+            }
+            this.byId.set(actor.id, actor);
+
+            const names = [actor.name, ...(actor.aliases || [])];
+            for (const name of names) {
+                const key = aliasKey(name);
+                const owner = this.byAlias.get(key);
+                if (owner && owner !== actor.id) {
+                    throw new Error(`Alias "${name}" asignado a ${owner} y ${actor.id}`);
+                }
+                this.byAlias.set(key, actor.id);
+            }
+
+            // matchName: false → el nombre es una palabra común; solo alias calificados
+            const matchable = actor.matchName === false ? (actor.aliases || []) : names;
+            if (matchable.length > 0) {
+                this.matchers.push({ id: actor.id, matcher: aliasMatcher(matchable) });
+            }
+        }
+    }
+
+    get(id) {
+        return this.byId.get(id) || null;
+    }
+
+    /**
+     * Nombre suelto → { id, name, known }
+     */
+    resolve(name) {
+        const id = this.byAlias.get(aliasKey(name));
+        if (id) return { id, name: this.byId.get(id).name, known: true };
+
+        const apt = /^apt[-\s]?(\d+)$/i.exec(String(name).trim());
+        if (apt) return { id: `apt${apt[1]}`, name: `APT${apt[1]}`, known: false };
+
+        return { id: slugify(name), name: String(name).trim(), known: false };
+    }
+
+    /**
+     * Varios nombres → lista sin duplicados por id (orden de aparición)
+     */
+    canonicalize(names = []) {
+        const seen = new Map();
+        for (const name of names) {
+            if (!name) continue;
+            const actor = this.resolve(name);
+            if (actor.id && !seen.has(actor.id)) seen.set(actor.id, actor);
+        }
+        return [...seen.values()];
+    }
+
+    /**
+     * Actores mencionados en un texto
+     * @param {Object|string} analyzed - Resultado de analyzeText() (o el texto)
+     * @returns {Array} - [{ id, name, known }]
+     */
+    extract(analyzed) {
+        if (typeof analyzed === 'string') analyzed = analyzeText(analyzed);
+        const found = new Map();
+        for (const { id, matcher } of this.matchers) {
+            if (matcher.test(analyzed)) {
+                found.set(id, { id, name: this.byId.get(id).name, known: true });
+            }
+        }
+
+        for (const number of genericAptNumbers(analyzed.tokens)) {
+            const actor = this.resolve(`APT${number}`);
+            if (!found.has(actor.id)) found.set(actor.id, actor);
+        }
+        return [...found.values()];
+    }
+}
+
+/**
+ * Carga la taxonomía (por defecto la del sitio)
+ */
+function loadThreatActorTaxonomy(taxonomyPath = process.env.THREAT_ACTORS_PATH || DEFAULT_TAXONOMY_PATH) {
+    return new ThreatActorTaxonomy(JSON.parse(fs.readFileSync(taxonomyPath, 'utf8')));
+}
+
+module.exports = {
+    DEFAULT_TAXONOMY_PATH,
+    aliasKey,
+    aliasMatcher,
+    ThreatActorTaxonomy,
+    loadThreatActorTaxonomy
+};
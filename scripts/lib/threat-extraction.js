@@ -0,0 +1,255 @@
+/**
+ * Extracción Estructurada de Amenazas (respuesta de Claude)
+ *
+ * La llamada de resumen devuelve además un objeto "threat" con CVEs,
+ * threat actors, familias de malware, productos/versiones afectados,
+ * estado de explotación, técnicas ATT&CK y justificación de severidad.
+ *
+ * - THREAT_RESPONSE_SCHEMA: JSON Schema (subconjunto draft-07) de la respuesta
+ * - validateSchema(): validador mínimo sin dependencias para ese subconjunto
+ * - mergeThreatMetadata(): combina con la metadata de reglas (regex/keywords)
+ *   y registra la procedencia de cada campo: rule | model | rule+model
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const EXPLOITATION_STATUS = ['actively_exploited', 'poc_available', 'not_exploited', 'unknown'];
+const SEVERITY_LEVELS = ['critical', 'high', 'medium', 'low'];
+
+const stringList = (maxItems, extra = {}) => ({
+    type: 'array',
+    maxItems,
+    items: { type: 'string', minLength: 1, maxLength: 120, ...extra }
+});
+
+const THREAT_RESPONSE_SCHEMA = {
+    type: 'object',
+    required: ['summary'],
+    properties: {
+        summary: { type: 'string', maxLength: 1000 },
+        threat: {
+            type: 'object',
+            required: ['exploitationStatus', 'severity'],
+            additionalProperties: false,
+            properties: {
+                cves: stringList(20, { pattern: '^[Cc][Vv][Ee]-\\d{4}-\\d{4,7}$' }),
+                threatActors: stringList(10),
+                malwareFamilies: stringList(10),
+                affected: {
+                    type: 'array',
+                    maxItems: 15,
+                    items: {
+                        type: 'object',
+                        required: ['vendor', 'product'],
+                        additionalProperties: false,
+                        properties: {
+                            vendor: { type: 'string', minLength: 1, maxLength: 80 },
+                            product: { type: 'string', minLength: 1, maxLength: 120 },
+                            versions: stringList(10)
+                        }
+                    }
+                },
+                exploitationStatus: { type: 'string', enum: EXPLOITATION_STATUS },
+                attackTechniques: stringList(15, { pattern: '^[Tt]\\d{4}(\\.\\d{3})?$' }),
+                severity: { type: 'string', enum: SEVERITY_LEVELS },
+                severityRationale: { type: 'string', maxLength: 500 }
+            }
+        }
+    }
+};
+
+// ============================================
+// VALIDACIÓN
+// ============================================
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Valida un valor contra el subconjunto de JSON Schema usado aquí
+ * (type, required, properties, additionalProperties, items, enum,
+ * pattern, minLength, maxLength, maxItems)
+ *
+ * @returns {Array<string>} - Errores ("$.threat.cves[0]: no cumple el patrón"); vacío si es válido
+ */
+function validateSchema(value, schema, at = '$') {
+    const errors = [];
+    const actualType = typeOf(value);
+
+    if (schema.type && actualType !== schema.type) {
+        return [`${at}: se esperaba ${schema.type}, llegó ${actualType}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: "${value}" no es uno de ${schema.enum.join(', ')}`);
+    }
+
+    if (actualType === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: texto vacío`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: supera ${schema.maxLength} caracteres`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: no cumple el patrón ${schema.pattern}`);
+    }
+
+    if (actualType === 'array') {
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: más de ${schema.maxItems} elementos`);
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+        }
+    }
+
+    if (actualType === 'object') {
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) errors.push(`${at}.${field}: requerido`);
+        }
+        const properties = schema.properties || {};
+        for (const [field, fieldValue] of Object.entries(value)) {
+            if (properties[field]) {
+                errors.push(...validateSchema(fieldValue, properties[field], `${at}.${field}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${at}.${field}: campo no permitido`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Valida y normaliza la respuesta completa de Claude
+ * Un "threat" inválido se descarta sin perder el resumen.
+ *
+ * @returns {Object} - { summary, threat: Object|null, errors: Array<string> }
+ */
+function validateThreatResponse(parsed) {
+    if (typeOf(parsed) !== 'object') {
+        return { summary: '', threat: null, errors: [`$: se esperaba object, llegó ${typeOf(parsed)}`] };
+    }
+
+    const summaryErrors = validateSchema(parsed.summary, THREAT_RESPONSE_SCHEMA.properties.summary, '$.summary');
+    if (summaryErrors.length > 0) {
+        return { summary: '', threat: null, errors: summaryErrors };
+    }
+
+    if (parsed.threat === undefined || parsed.threat === null) {
+        return { summary: parsed.summary, threat: null, errors: [] };
+    }
+
+    const threatErrors = validateSchema(parsed.threat, THREAT_RESPONSE_SCHEMA.properties.threat, '$.threat');
+    if (threatErrors.length > 0) {
+        return { summary: parsed.summary, threat: null, errors: threatErrors };
+    }
+
+    const threat = parsed.threat;
+    const unique = (list) => [...new Set((list || []).map(item => item.trim()).filter(Boolean))];
+
+    return {
+        summary: parsed.summary,
+        threat: {
+            cves: unique(threat.cves).map(cve => cve.toUpperCase()),
+            threatActors: unique(threat.threatActors),
+            malwareFamilies: unique(threat.malwareFamilies),
+            affected: (threat.affected || []).map(entry => ({
+                vendor: entry.vendor.trim(),
+                product: entry.product.trim(),
+                versions: unique(entry.versions)
+            })),
+            exploitationStatus: threat.exploitationStatus,
+            attackTechniques: unique(threat.attackTechniques).map(id => id.toUpperCase()),
+            severity: threat.severity,
+            severityRationale: (threat.severityRationale || '').trim()
+        },
+        errors: []
+    };
+}
+
+// ============================================
+// COMBINACIÓN CON METADATA DE REGLAS
+// ============================================
+
+function provenanceOf(fromRule, fromModel) {
+    if (fromRule && fromModel) return 'rule+model';
+    if (fromModel) return 'model';
+    if (fromRule) return 'rule';
+    return null;
+}
+
+/**
+ * Une listas sin duplicados (comparación sin mayúsculas), conservando
+ * la forma de la regla cuando ambas fuentes coinciden
+ */
+function mergeLists(ruleList = [], modelList = []) {
+    const seen = new Map();
+    for (const item of [...ruleList, ...modelList]) {
+        const key = String(item).toLowerCase();
+        if (!seen.has(key)) seen.set(key, item);
+    }
+    return [...seen.values()];
+}
+
+/**
+ * @param {Object} ruleMetadata - Resultado de enrichMetadata()
+ * @param {Object|null} threat - Extracción validada del modelo (o null)
+ * @returns {Object} - Metadata combinada con metadata.provenance por campo
+ */
+function mergeThreatMetadata(ruleMetadata, threat) {
+    const metadata = { ...ruleMetadata };
+    const provenance = {};
+    const model = threat || {};
+
+    const listField = (field, ruleList, modelList) => {
+        metadata[field] = mergeLists(ruleList, modelList);
+        provenance[field] = provenanceOf((ruleList || []).length > 0, (modelList || []).length > 0);
+    };
+
+    listField('cves', ruleMetadata.cves, model.cves);
+    listField('threatActors', ruleMetadata.threatActors, model.threatActors);
+    listField('malwareFamilies', [], model.malwareFamilies);
+    listField('affectedProducts', ruleMetadata.affectedProducts, (model.affected || []).map(entry => entry.product));
+    listField('attackTechniques', [], model.attackTechniques);
+
+    metadata.affectedVersions = model.affected || [];
+    provenance.affectedVersions = metadata.affectedVersions.length > 0 ? 'model' : null;
+
+    // Estado de explotación: el modelo lee el contexto; la regla solo detecta frases explícitas
+    const ruleStatus = ruleMetadata.exploitationStatus || 'unknown';
+    if (model.exploitationStatus && model.exploitationStatus !== 'unknown') {
+        metadata.exploitationStatus = model.exploitationStatus;
+        provenance.exploitationStatus = model.exploitationStatus === ruleStatus ? 'rule+model' : 'model';
+    } else {
+        metadata.exploitationStatus = ruleStatus;
+        provenance.exploitationStatus = ruleStatus !== 'unknown' ? 'rule' : null;
+    }
+
+    // Severidad: un CVSS explícito manda; si no hay, se usa la del modelo
+    if (ruleMetadata.cvssScore === null && model.severity) {
+        metadata.severityLevel = model.severity;
+        provenance.severityLevel = 'model';
+    } else {
+        provenance.severityLevel = ruleMetadata.cvssScore !== null ? 'rule' : null;
+    }
+    metadata.severityRationale = model.severityRationale || '';
+    provenance.severityRationale = metadata.severityRationale ? 'model' : null;
+
+    for (const field of Object.keys(provenance)) {
+        if (provenance[field] === null) delete provenance[field];
+    }
+
+    metadata.provenance = provenance;
+    metadata.extractedByModel = Boolean(threat);
+    return metadata;
+}
+
+module.exports = {
+    EXPLOITATION_STATUS,
+    SEVERITY_LEVELS,
+    THREAT_RESPONSE_SCHEMA,
+    validateSchema,
+    validateThreatResponse,
+    mergeThreatMetadata
+};
@@ -0,0 +1,101 @@
+/**
+ * Actualización del Bundle Local de MITRE ATT&CK (Enterprise, STIX 2.1)
+ *
+ * Descarga el bundle oficial de mitre-attack/attack-stix-data y guarda solo
+ * lo que lee lib/attack-mapping.js (técnicas, tácticas, matriz y colección),
+ * en formato STIX: ~40 MB → < 1 MB.
+ *
+ * Uso:
+ *   node update-attack-data.js [--dir <directorio>] [--force]
+ *
+ * El workflow lo ejecuta antes del pipeline, con el directorio en la caché de Actions.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getArgValue, hasFlag } = require('./lib/cli-args');
+const { fetchFeed } = require('./lib/feed-fetcher');
+const { DEFAULT_ATTACK_DATA_DIR, ATTACK_BUNDLE_FILE, parseAttackBundle } = require('./lib/attack-mapping');
+
+const UPDATE_CONFIG = {
+    BUNDLE_URL: 'https://raw.githubusercontent.com/mitre-attack/attack-stix-data/master/enterprise-attack/enterprise-attack.json',
+    MAX_AGE_HOURS: 168,            // ATT&CK publica pocas versiones al año
+    MAX_BYTES: 80 * 1024 * 1024,   // El bundle completo ronda los 40 MB
+    TIMEOUT: 120000
+};
+
+// Objetos y campos que usa lib/attack-mapping.js
+const KEPT_TYPES = new Set(['x-mitre-collection', 'x-mitre-matrix', 'x-mitre-tactic', 'attack-pattern']);
+const KEPT_FIELDS = [
+    'type', 'id', 'name', 'revoked', 'x_mitre_deprecated', 'x_mitre_version',
+    'x_mitre_shortname', 'x_mitre_is_subtechnique', 'tactic_refs', 'kill_chain_phases'
+];
+
+function isFresh(file, maxAgeHours) {
+    if (!fs.existsSync(file)) return false;
+    return Date.now() - fs.statSync(file).mtimeMs < maxAgeHours * 3600000;
+}
+
+function trimObject(object) {
+    const trimmed = {};
+    for (const field of KEPT_FIELDS) {
+        if (object[field] !== undefined) trimmed[field] = object[field];
+    }
+    trimmed.external_references = (object.external_references || [])
+        .filter(ref => ref.source_name === 'mitre-attack')
+        .map(ref => ({ source_name: ref.source_name, external_id: ref.external_id }));
+    return trimmed;
+}
+
+async function main() {
+    const dir = path.resolve(getArgValue('--dir') || process.env.ATTACK_DATA_PATH || DEFAULT_ATTACK_DATA_DIR);
+    const file = path.join(dir, ATTACK_BUNDLE_FILE);
+
+    fs.mkdirSync(dir, { recursive: true });
+    console.log(`🎯 Bundle ATT&CK en ${dir}\n`);
+
+    if (!hasFlag('--force') && isFresh(file, UPDATE_CONFIG.MAX_AGE_HOURS)) {
+        console.log(`   ⏭️ Al día (< ${UPDATE_CONFIG.MAX_AGE_HOURS} h)`);
+        return;
+    }
+
+    const response = await fetchFeed(UPDATE_CONFIG.BUNDLE_URL, {
+        accept: 'application/json, */*;q=0.5',
+        timeout: UPDATE_CONFIG.TIMEOUT,
+        maxBytes: UPDATE_CONFIG.MAX_BYTES
+    });
+    const json = JSON.parse(response.body.toString('utf8'));
+    if (json.type !== 'bundle' || !Array.isArray(json.objects)) {
+        throw new Error('la respuesta no es un bundle STIX');
+    }
+
+    const bundle = {
+        type: 'bundle',
+        id: json.id,
+        objects: json.objects.filter(object => KEPT_TYPES.has(object.type)).map(trimObject)
+    };
+
+    // Validar antes de reemplazar el archivo anterior
+    const parsed = parseAttackBundle(bundle);
+    if (parsed.techniques.size === 0 || parsed.tactics.size === 0) {
+        throw new Error('bundle sin técnicas o tácticas vigentes');
+    }
+
+    // Escritura atómica: un fallo a mitad nunca deja un archivo truncado
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(bundle));
+    fs.renameSync(tmpFile, file);
+
+    console.log(`   ✅ ATT&CK v${parsed.version || '?'}: ${parsed.techniques.size} técnicas, ${parsed.tactics.size} tácticas`);
+}
+
+// Un bundle viejo sigue sirviendo: el pipeline usa lo que haya en disco
+main().catch(error => {
+    console.error('❌ Error actualizando ATT&CK:', error.message);
+    process.exit(1);
+});
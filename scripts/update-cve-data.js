@@ -0,0 +1,277 @@
+/**
+ * Actualización de Datos Locales de CVEs (NVD, CISA KEV, EPSS)
+ *
+ * Descarga los archivos que lee lib/cve-intel.js, en su formato original:
+ * - KEV y EPSS: archivo completo si el local supera su antigüedad máxima
+ * - NVD: sincronización incremental por lastModified (API 2.0, ventanas de
+ *   120 días) fusionada con el archivo local; los CVEs sin cambios en
+ *   NVD_RETENTION_DAYS se descartan para acotar el tamaño. El archivo se
+ *   reescribe tras cada página con el punto de reanudación: una ejecución
+ *   cortada por el timeout del workflow continúa donde quedó la anterior
+ *
+ * Uso:
+ *   node update-cve-data.js [--dir <directorio>] [--only nvd|kev|epss] [--force]
+ *
+ * NVD_API_KEY (opcional) sube el límite de NVD de 5 a 50 peticiones cada 30 s.
+ * El workflow lo ejecuta antes del pipeline, con el directorio en la caché de Actions.
+ *
+ * Autor: Herliss Briceño
+ * Fecha: Octubre 2026
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getArgValue, hasFlag } = require('./lib/cli-args');
+const { fetchFeed, HostRateLimiter } = require('./lib/feed-fetcher');
+const { DEFAULT_CVE_DATA_DIR, CVE_DATA_FILES } = require('./lib/cve-intel');
+
+const UPDATE_CONFIG = {
+    KEV_URL: 'https://www.cisa.gov/sites/default/files/feeds/known_exploited_vulnerabilities.json',
+    EPSS_URL: 'https://epss.empiricalsecurity.com/epss_scores-current.csv.gz',
+    NVD_URL: 'https://services.nvd.nist.gov/rest/json/cves/2.0',
+
+    // Antigüedad máxima del archivo local antes de volver a descargar
+    MAX_AGE_HOURS: { nvd: 2, kev: 12, epss: 20 },
+
+    NVD_PAGE_SIZE: 2000,           // Máximo del API
+    NVD_MAX_BODY_BYTES: 64 * 1024 * 1024,  // Una página de 2000 CVEs supera el límite por defecto de fetchFeed
+    NVD_MAX_RANGE_DAYS: 120,       // Rango máximo de lastModified por consulta
+    NVD_RETENTION_DAYS: 730,
+    NVD_INTERVAL: 6500,            // Sin clave: 5 peticiones / 30 s
+    NVD_INTERVAL_WITH_KEY: 700,    // Con clave: 50 peticiones / 30 s
+    TIMEOUT: 60000
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ============================================
+// UTILIDADES
+// ============================================
+
+function isFresh(file, maxAgeHours) {
+    if (!fs.existsSync(file)) return false;
+    return Date.now() - fs.statSync(file).mtimeMs < maxAgeHours * 3600000;
+}
+
+/**
+ * Escritura atómica: un fallo a mitad nunca deja un archivo truncado
+ */
+function writeAtomic(file, content) {
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, content);
+    fs.renameSync(tmpFile, file);
+}
+
+function download(url, options = {}) {
+    return fetchFeed(url, { accept: 'application/json, */*;q=0.5', timeout: UPDATE_CONFIG.TIMEOUT, ...options });
+}
+
+// ============================================
+// KEV Y EPSS (archivo completo)
+// ============================================
+
+async function updateKev(dir) {
+    const response = await download(UPDATE_CONFIG.KEV_URL);
+    const json = JSON.parse(response.body.toString('utf8'));
+    if (!Array.isArray(json.vulnerabilities)) {
+        throw new Error('catálogo KEV sin "vulnerabilities"');
+    }
+    writeAtomic(path.join(dir, CVE_DATA_FILES.kev), response.body);
+    return `${json.vulnerabilities.length} CVEs (catálogo ${json.catalogVersion || '?'})`;
+}
+
+async function updateEpss(dir) {
+    const response = await download(UPDATE_CONFIG.EPSS_URL, { accept: '*/*' });
+    const [gzName, csvName] = CVE_DATA_FILES.epss;
+
+    // Si el servidor lo envió con Content-Encoding, fetchFeed ya lo descomprimió
+    const gzipped = response.body[0] === 0x1f && response.body[1] === 0x8b;
+    writeAtomic(path.join(dir, gzipped ? gzName : csvName), response.body);
+    fs.rmSync(path.join(dir, gzipped ? csvName : gzName), { force: true });
+    return `${(response.body.length / 1024 / 1024).toFixed(1)} MB${gzipped ? ' (gzip)' : ''}`;
+}
+
+// ============================================
+// NVD (incremental)
+// ============================================
+
+/**
+ * Solo los campos que usa lib/cve-intel.js
+ */
+function trimCve(cve) {
+    return {
+        id: cve.id,
+        published: cve.published,
+        lastModified: cve.lastModified,
+        vulnStatus: cve.vulnStatus,
+        metrics: cve.metrics || {},
+        weaknesses: cve.weaknesses || []
+    };
+}
+
+/**
+ * Escribe el archivo NVD con los CVEs dentro de la retención
+ *
+ * @param {string} timestamp - Fin del último rango completo: la próxima sincronización parte de ahí
+ * @param {Object|null} resume - Rango en curso { start, end, startIndex } o null si terminó
+ * @returns {number} - CVEs escritos
+ */
+function writeNvdFile(file, records, { timestamp, resume = null, now = new Date() }) {
+    const cutoff = now.getTime() - UPDATE_CONFIG.NVD_RETENTION_DAYS * DAY;
+    const kept = [...records.values()].filter(cve => new Date(cve.lastModified).getTime() >= cutoff);
+
+    const data = {
+        format: 'NVD_CVE',
+        version: '2.0',
+        timestamp,
+        totalResults: kept.length,
+        vulnerabilities: kept.map(cve => ({ cve }))
+    };
+    if (resume) data.resume = resume;
+    writeAtomic(file, JSON.stringify(data));
+    return kept.length;
+}
+
+/**
+ * ¿Quedó a medias la última sincronización de NVD? (entonces no está "al día"
+ * aunque el archivo sea reciente)
+ */
+function nvdSyncPending(dir) {
+    const file = path.join(dir, CVE_DATA_FILES.nvd);
+    if (!fs.existsSync(file)) return false;
+    try {
+        return Boolean(JSON.parse(fs.readFileSync(file, 'utf8')).resume);
+    } catch (error) {
+        return true;
+    }
+}
+
+/**
+ * Pagina un rango de lastModified; onPage(nextIndex) tras cada página
+ */
+async function fetchNvdRange(start, end, records, { startIndex = 0, onPage = () => {} } = {}) {
+    const apiKey = process.env.NVD_API_KEY;
+    const limiter = new HostRateLimiter(apiKey ? UPDATE_CONFIG.NVD_INTERVAL_WITH_KEY : UPDATE_CONFIG.NVD_INTERVAL);
+    let total = 0;
+    let fetched = 0;
+
+    do {
+        const params = new URLSearchParams({
+            lastModStartDate: start.toISOString(),
+            lastModEndDate: end.toISOString(),
+            resultsPerPage: String(UPDATE_CONFIG.NVD_PAGE_SIZE),
+            startIndex: String(startIndex)
+        });
+        const response = await download(`${UPDATE_CONFIG.NVD_URL}?${params}`, {
+            limiter,
+            maxBytes: UPDATE_CONFIG.NVD_MAX_BODY_BYTES,
+            headers: apiKey ? { apiKey } : {}
+        });
+        const page = JSON.parse(response.body.toString('utf8'));
+
+        for (const { cve } of page.vulnerabilities || []) {
+            records.set(cve.id, trimCve(cve));
+        }
+        fetched += (page.vulnerabilities || []).length;
+        total = page.totalResults || 0;
+        startIndex += page.resultsPerPage || UPDATE_CONFIG.NVD_PAGE_SIZE;
+        if (startIndex < total) onPage(startIndex);
+    } while (startIndex < total);
+
+    return fetched;
+}
+
+async function updateNvd(dir) {
+    const file = path.join(dir, CVE_DATA_FILES.nvd);
+    const existing = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { vulnerabilities: [] };
+    const records = new Map(existing.vulnerabilities.map(({ cve }) => [cve.id, cve]));
+
+    // Desde la última sincronización (1 h de solape); sin archivo, los últimos 120 días
+    const now = new Date();
+    const lastSync = existing.timestamp ? new Date(existing.timestamp) : null;
+    let start = lastSync && now - lastSync < UPDATE_CONFIG.NVD_MAX_RANGE_DAYS * DAY
+        ? new Date(lastSync.getTime() - 3600000)
+        : new Date(now.getTime() - UPDATE_CONFIG.NVD_MAX_RANGE_DAYS * DAY);
+
+    // Rango que quedó a medias: se retoma con una página de solape, por si
+    // algún CVE salió del rango (modificado de nuevo) y desplazó los índices
+    let resume = existing.resume && lastSync && new Date(existing.resume.start).getTime() === lastSync.getTime()
+        ? existing.resume
+        : null;
+    if (resume) {
+        console.log(`   ↪️ NVD: retomando ${resume.start.substring(0, 10)} → ${resume.end.substring(0, 10)} desde el índice ${resume.startIndex}`);
+    }
+
+    let changed = 0;
+    let kept = 0;
+    while (start < now) {
+        const rangeStart = resume ? new Date(resume.start) : start;
+        const end = resume
+            ? new Date(resume.end)
+            : new Date(Math.min(now.getTime(), start.getTime() + UPDATE_CONFIG.NVD_MAX_RANGE_DAYS * DAY));
+        const startIndex = resume ? Math.max(0, resume.startIndex - UPDATE_CONFIG.NVD_PAGE_SIZE) : 0;
+        resume = null;
+
+        changed += await fetchNvdRange(rangeStart, end, records, {
+            startIndex,
+            onPage: nextIndex => writeNvdFile(file, records, {
+                timestamp: rangeStart.toISOString(),
+                resume: { start: rangeStart.toISOString(), end: end.toISOString(), startIndex: nextIndex },
+                now
+            })
+        });
+        kept = writeNvdFile(file, records, { timestamp: end.toISOString(), now });
+        start = end;
+    }
+
+    return `${changed} modificados, ${kept} en el archivo local`;
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+const UPDATERS = { nvd: updateNvd, kev: updateKev, epss: updateEpss };
+
+async function main() {
+    const dir = path.resolve(getArgValue('--dir') || process.env.CVE_DATA_PATH || DEFAULT_CVE_DATA_DIR);
+    const only = getArgValue('--only');
+    const force = hasFlag('--force');
+
+    if (only && !UPDATERS[only]) {
+        console.error(`❌ Fuente desconocida: "${only}" (opciones: ${Object.keys(UPDATERS).join(', ')})`);
+        process.exit(2);
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    console.log(`🛡️ Datos de CVEs en ${dir}\n`);
+
+    let failures = 0;
+    for (const [name, update] of Object.entries(UPDATERS)) {
+        if (only && only !== name) continue;
+
+        const files = [].concat(CVE_DATA_FILES[name]).map(fileName => path.join(dir, fileName));
+        const pending = name === 'nvd' && nvdSyncPending(dir);
+        if (!force && !pending && files.some(file => isFresh(file, UPDATE_CONFIG.MAX_AGE_HOURS[name]))) {
+            console.log(`   ⏭️ ${name.toUpperCase()}: al día (< ${UPDATE_CONFIG.MAX_AGE_HOURS[name]} h)`);
+            continue;
+        }
+
+        try {
+            console.log(`   ✅ ${name.toUpperCase()}: ${await update(dir)}`);
+        } catch (error) {
+            failures++;
+            console.error(`   ❌ ${name.toUpperCase()}: ${error.message}`);
+        }
+    }
+
+    // Un dato viejo sigue sirviendo: el pipeline usa lo que haya en disco
+    if (failures > 0) process.exit(1);
+}
+
+main().catch(error => {
+    console.error('❌ Error fatal:', error.message);
+    process.exit(1);
+});